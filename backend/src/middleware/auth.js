@@ -1,7 +1,21 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { findActiveSession, touchSession } = require('../services/sessions');
+const { isTwoFactorRequired } = require('../services/settings');
+const { loadRoles, can } = require('../services/permissions');
+const { hasManagementRights } = require('../services/projectRoles');
+const {
+  isAccessToken,
+  findActiveAccessToken,
+  requiredScope,
+  hasScope,
+  touchAccessToken
+} = require('../services/accessTokens');
 
-// Middleware to verify JWT token
+// Routes still reachable by users who must set up two-factor authentication
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/2fa', '/api/auth/me', '/api/auth/logout'];
+
+// Middleware to verify JWT token or personal access token
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -16,8 +30,51 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    let session = null;
+    let accessToken = null;
+    let userId;
+
+    if (isAccessToken(token)) {
+      accessToken = await findActiveAccessToken(token);
+      if (!accessToken) {
+        return res.status(401).json({
+          error: {
+            message: 'Access token is invalid, expired or revoked',
+            status: 401
+          }
+        });
+      }
+
+      const scope = requiredScope(req);
+      if (!scope || !hasScope(accessToken.scopes, scope)) {
+        return res.status(403).json({
+          error: {
+            message: scope
+              ? `Access token is missing the ${scope} scope`
+              : 'Access tokens cannot be used for this endpoint',
+            status: 403
+          }
+        });
+      }
+
+      userId = accessToken.user.toString();
+    } else {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      session = decoded.sessionId ? await findActiveSession(decoded.sessionId) : null;
+      if (!session || session.user.toString() !== decoded.userId) {
+        return res.status(401).json({
+          error: {
+            message: 'Session has expired or been revoked',
+            status: 401
+          }
+        });
+      }
+
+      userId = decoded.userId;
+    }
+
+    const user = await User.findById(userId).select('-password');
 
     if (!user) {
       return res.status(401).json({
@@ -37,7 +94,31 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (
+      !user.twoFactor.enabled &&
+      !TWO_FACTOR_SETUP_PATHS.some(path => req.originalUrl.startsWith(path)) &&
+      await isTwoFactorRequired(user.role)
+    ) {
+      return res.status(403).json({
+        error: {
+          message: 'Two-factor authentication must be set up before continuing',
+          status: 403,
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        }
+      });
+    }
+
+    await loadRoles();
+
+    if (session) {
+      touchSession(session, req);
+    } else {
+      touchAccessToken(accessToken, req);
+    }
+
     req.user = user;
+    req.authSession = session;
+    req.accessToken = accessToken;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -66,25 +147,12 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user has admin role
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      error: {
-        message: 'Admin access required',
-        status: 403
-      }
-    });
-  }
-  next();
-};
-
-// Middleware to check if user has team leader or admin role
-const requireTeamLeaderOrAdmin = (req, res, next) => {
-  if (!['admin', 'team_leader'].includes(req.user.role)) {
+// Middleware to check that the user's role grants a permission
+const requirePermission = (action, resource) => (req, res, next) => {
+  if (!can(req.user, action, resource)) {
     return res.status(403).json({
       error: {
-        message: 'Team leader or admin access required',
+        message: `Permission ${resource}:${action} required`,
         status: 403
       }
     });
@@ -92,10 +160,10 @@ const requireTeamLeaderOrAdmin = (req, res, next) => {
   next();
 };
 
-// Middleware to check if user is team leader of specific team or admin
+// Middleware to check if user is team leader of specific team or can manage all teams
 const requireTeamLeaderOfTeamOrAdmin = async (req, res, next) => {
   try {
-    if (req.user.role === 'admin') {
+    if (can(req.user, 'manage_all', 'teams')) {
       return next();
     }
 
@@ -146,7 +214,7 @@ const requireTeamLeaderOfTeamOrAdmin = async (req, res, next) => {
 // Middleware to check if user can access project
 const requireProjectAccess = async (req, res, next) => {
   try {
-    if (req.user.role === 'admin') {
+    if (can(req.user, 'read_all', 'projects')) {
       return next();
     }
 
@@ -207,10 +275,12 @@ const requireProjectAccess = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user can manage project (project manager, team leader, or admin)
+// Middleware to check if user can manage project (project manager, a member
+// whose project role has management rights, team leader, or a role allowed to
+// manage all projects)
 const requireProjectManagement = async (req, res, next) => {
   try {
-    if (req.user.role === 'admin') {
+    if (can(req.user, 'manage_all', 'projects')) {
       return next();
     }
 
@@ -236,8 +306,8 @@ const requireProjectManagement = async (req, res, next) => {
       });
     }
 
-    // Check if user is project manager or team leader
-    if (project.isProjectManager(req.user._id) || project.team.isTeamLeader(req.user._id)) {
+    // Check if user has management rights in the project or is team leader
+    if (hasManagementRights(project, req.user._id) || project.team.isTeamLeader(req.user._id)) {
       req.project = project;
       return next();
     }
@@ -261,8 +331,7 @@ const requireProjectManagement = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
-  requireAdmin,
-  requireTeamLeaderOrAdmin,
+  requirePermission,
   requireTeamLeaderOfTeamOrAdmin,
   requireProjectAccess,
   requireProjectManagement
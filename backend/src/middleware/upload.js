@@ -0,0 +1,61 @@
+const multer = require('multer');
+const { getMaxSize, getAllowedTypes } = require('../services/attachments');
+
+// Multipart upload of a single attachment in the "file" field. Files are
+// kept in memory and handed to the storage adapter by the route.
+const uploadAttachment = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: getMaxSize(),
+      files: 1
+    },
+    fileFilter: (req, file, callback) => {
+      if (!getAllowedTypes().includes(file.mimetype)) {
+        const error = new Error(`File type ${file.mimetype || 'unknown'} is not allowed`);
+        error.code = 'INVALID_FILE_TYPE';
+        return callback(error);
+      }
+      callback(null, true);
+    }
+  }).single('file');
+
+  upload(req, res, (error) => {
+    if (error && !(error instanceof multer.MulterError) && error.code !== 'INVALID_FILE_TYPE') {
+      console.error('Upload error:', error);
+      return res.status(500).json({
+        error: {
+          message: 'Internal server error',
+          status: 500
+        }
+      });
+    }
+
+    if (error) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: {
+          message: tooLarge
+            ? `File cannot exceed ${Math.round(getMaxSize() / (1024 * 1024))} MB`
+            : error.message,
+          status: tooLarge ? 413 : 400
+        }
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: {
+          message: 'A file is required in the "file" field',
+          status: 400
+        }
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  uploadAttachment
+};
@@ -1,4 +1,11 @@
 const Joi = require('joi');
+const { parseRRule } = require('../services/recurrence');
+const { STATUS_CATEGORIES, TRANSITION_ROLES, validateWorkflowDefinition } = require('../services/workflow');
+const { ACCESS_TOKEN_SCOPES } = require('../services/accessTokens');
+const { ALL_PERMISSIONS, ROLE_KEY_PATTERN } = require('../services/permissions');
+const { MEMBER_ROLES } = require('../services/projectRoles');
+const { SEARCH_TYPES } = require('../services/search');
+const { VIEW_COLUMNS, VIEW_SORT_FIELDS } = require('../services/savedViews');
 
 // Helper function to handle validation errors
 const handleValidationError = (error, res) => {
@@ -22,7 +29,7 @@ const userValidationSchemas = {
     name: Joi.string().trim().min(2).max(100).required(),
     email: Joi.string().email().lowercase().required(),
     password: Joi.string().min(6).max(128).required(),
-    role: Joi.string().valid('admin', 'team_leader', 'member').default('member')
+    role: Joi.string().pattern(ROLE_KEY_PATTERN).default('member')
   }),
 
   login: Joi.object({
@@ -33,7 +40,7 @@ const userValidationSchemas = {
   updateUser: Joi.object({
     name: Joi.string().trim().min(2).max(100),
     email: Joi.string().email().lowercase(),
-    role: Joi.string().valid('admin', 'team_leader', 'member'),
+    role: Joi.string().pattern(ROLE_KEY_PATTERN),
     isActive: Joi.boolean(),
     profile: Joi.object({
       phone: Joi.string().pattern(/^[+]?[\d\s\-\(\)]+$/).allow(''),
@@ -46,6 +53,40 @@ const userValidationSchemas = {
   changePassword: Joi.object({
     currentPassword: Joi.string().required(),
     newPassword: Joi.string().min(6).max(128).required()
+  }),
+
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required()
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    newPassword: Joi.string().min(6).max(128).required()
+  }),
+
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/).messages({ 'string.pattern.base': 'Code must be 6 digits' }),
+    recoveryCode: Joi.string().trim().max(20)
+  }).xor('code', 'recoveryCode'),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required().messages({ 'string.pattern.base': 'Code must be 6 digits' })
+  }),
+
+  createAccessToken: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid(...ACCESS_TOKEN_SCOPES)).min(1).unique().required(),
+    expiresInDays: Joi.number().integer().min(1).max(365).default(30)
+  }),
+
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/).required().messages({ 'string.pattern.base': 'Code must be 6 digits' })
   })
 };
 
@@ -76,10 +117,42 @@ const teamValidationSchemas = {
   addMember: Joi.object({
     userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
     role: Joi.string().valid('team_leader', 'member').default('member')
+  }),
+
+  invite: Joi.object({
+    email: Joi.string().email().lowercase().required()
+  }),
+
+  joinRequest: Joi.object({
+    message: Joi.string().trim().max(500).allow('')
+  }),
+
+  reviewJoinRequest: Joi.object({
+    status: Joi.string().valid('approved', 'rejected').required(),
+    note: Joi.string().trim().max(500).allow('')
+  })
+};
+
+// Team invitation validation schemas
+const invitationValidationSchemas = {
+  // name and password create the account when the invited email has none
+  accept: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    name: Joi.string().trim().min(2).max(100),
+    password: Joi.string().min(6).max(128)
+  }).and('name', 'password'),
+
+  decline: Joi.object({
+    token: Joi.string().hex().length(64).required()
   })
 };
 
 // Project validation schemas
+// Task status key; checked against the project's workflow in the routes
+const statusKeySchema = Joi.string().pattern(/^[a-z][a-z0-9_]{1,29}$/).messages({
+  'string.pattern.base': 'Status must be a workflow status key'
+});
+
 const projectValidationSchemas = {
   create: Joi.object({
     name: Joi.string().trim().min(2).max(100).required(),
@@ -89,7 +162,7 @@ const projectValidationSchemas = {
     assignedMembers: Joi.array().items(
       Joi.object({
         user: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
-        role: Joi.string().valid('project_manager', 'developer', 'tester', 'designer', 'other').default('developer')
+        role: Joi.string().valid(...MEMBER_ROLES).default('developer')
       })
     ).default([]),
     status: Joi.string().valid('planning', 'active', 'on_hold', 'completed', 'cancelled').default('planning'),
@@ -123,9 +196,85 @@ const projectValidationSchemas = {
     return value;
   }, 'Date validation').messages({
     'custom.dateOrder': 'End date must be after start date'
-  })
+  }),
+
+  workflow: Joi.object({
+    statuses: Joi.array().items(
+      Joi.object({
+        key: statusKeySchema.required(),
+        label: Joi.string().trim().min(1).max(50).required(),
+        category: Joi.string().valid(...STATUS_CATEGORIES).required(),
+        progress: Joi.number().integer().min(0).max(100).default(0),
+        color: Joi.string().valid('gray', 'blue', 'yellow', 'green', 'red', 'orange', 'purple', 'indigo', 'pink').default('gray')
+      })
+    ).min(2).max(20).required(),
+    initialStatus: statusKeySchema.required(),
+    transitions: Joi.array().items(
+      Joi.object({
+        from: Joi.alternatives().try(Joi.string().valid('*'), statusKeySchema).required(),
+        to: statusKeySchema.required(),
+        roles: Joi.array().items(Joi.string().valid(...TRANSITION_ROLES)).unique().default([])
+      })
+    ).max(200).default([])
+  }).custom((value, helpers) => {
+    const message = validateWorkflowDefinition(value);
+    if (message) {
+      return helpers.message(message);
+    }
+    return value;
+  }, 'Workflow validation'),
+
+  memberRole: Joi.object({
+    role: Joi.string().valid(...MEMBER_ROLES).required()
+  }),
+
+  memberRules: Joi.object({
+    managementRoles: Joi.array().items(Joi.string().valid(...MEMBER_ROLES)).unique(),
+    reviewApproverRoles: Joi.array().items(Joi.string().valid(...MEMBER_ROLES)).unique(),
+    restrictedTaskTypes: Joi.array().items(
+      Joi.object({
+        role: Joi.string().valid(...MEMBER_ROLES).required(),
+        types: Joi.array().items(
+          Joi.string().valid('feature', 'bug', 'improvement', 'research', 'testing', 'documentation', 'other')
+        ).unique().required()
+      })
+    ).unique('role')
+  }).min(1)
 };
 
+// Recurrence rule schema shared by task create and series updates
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string().valid('daily', 'weekdays', 'weekly', 'monthly', 'rrule').required(),
+  interval: Joi.number().integer().min(1).max(365).default(1),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique(),
+  dayOfMonth: Joi.number().integer().min(1).max(31),
+  rrule: Joi.string().max(200).when('frequency', {
+    is: 'rrule',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  trigger: Joi.string().valid('on_completion', 'schedule').default('on_completion'),
+  endDate: Joi.date(),
+  count: Joi.number().integer().min(1)
+}).custom((value, helpers) => {
+  if (value.frequency === 'rrule') {
+    try {
+      parseRRule(value.rrule);
+    } catch (error) {
+      return helpers.message(error.message);
+    }
+  }
+  return value;
+}, 'RRULE validation');
+
+// Task dependency list schema
+const dependenciesSchema = Joi.array().items(
+  Joi.object({
+    task: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    type: Joi.string().valid('blocks', 'depends_on').default('depends_on')
+  })
+).unique('task');
+
 // Task validation schemas
 const taskValidationSchemas = {
   create: Joi.object({
@@ -139,27 +288,28 @@ const taskValidationSchemas = {
     startDate: Joi.date().required(),
     dueDate: Joi.date().greater(Joi.ref('startDate')).required(),
     tags: Joi.array().items(Joi.string().max(50)),
-    dependencies: Joi.array().items(
-      Joi.object({
-        task: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
-        type: Joi.string().valid('blocks', 'depends_on').default('depends_on')
-      })
-    )
+    dependencies: dependenciesSchema,
+    recurrence: recurrenceSchema,
+    parentTask: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+    rollupProgress: Joi.boolean().default(false),
+    checklist: Joi.array().items(Joi.string().trim().min(1).max(200)).max(100)
   }),
 
   update: Joi.object({
     title: Joi.string().trim().min(3).max(200),
     description: Joi.string().min(10).max(2000),
     assignedTo: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
-    status: Joi.string().valid('todo', 'in_progress', 'review', 'completed', 'cancelled'),
+    status: statusKeySchema,
     priority: Joi.string().valid('low', 'medium', 'high', 'critical'),
     type: Joi.string().valid('feature', 'bug', 'improvement', 'research', 'testing', 'documentation', 'other'),
     estimatedHours: Joi.number().min(0),
-    actualHours: Joi.number().min(0),
     startDate: Joi.date(),
     dueDate: Joi.date(),
     completedDate: Joi.date(),
-    tags: Joi.array().items(Joi.string().max(50))
+    tags: Joi.array().items(Joi.string().max(50)),
+    rollupProgress: Joi.boolean(),
+    dependencies: dependenciesSchema,
+    force: Joi.boolean().default(false)
   }).custom((value, helpers) => {
     if (value.startDate && value.dueDate && value.dueDate <= value.startDate) {
       return helpers.error('custom.dateOrder');
@@ -170,16 +320,185 @@ const taskValidationSchemas = {
   }),
 
   updateProgress: Joi.object({
-    status: Joi.string().valid('todo', 'in_progress', 'review', 'completed', 'cancelled').required(),
+    status: statusKeySchema.required(),
     comment: Joi.string().max(1000).allow(''),
-    hoursWorked: Joi.number().min(0).default(0)
+    hoursWorked: Joi.number().min(0).default(0),
+    force: Joi.boolean().default(false)
   }),
 
   addComment: Joi.object({
+    comment: Joi.string().min(1).max(1000).required(),
+    parentComment: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null)
+  }),
+
+  updateComment: Joi.object({
     comment: Joi.string().min(1).max(1000).required()
+  }),
+
+  updateRecurrence: recurrenceSchema,
+
+  addChecklistItem: Joi.object({
+    text: Joi.string().trim().min(1).max(200).required()
+  }),
+
+  updateChecklistItem: Joi.object({
+    text: Joi.string().trim().min(1).max(200),
+    done: Joi.boolean()
+  }).min(1)
+};
+
+// Daily check-in validation schemas
+const checkInValidationSchemas = {
+  create: Joi.object({
+    date: Joi.date(),
+    yesterday: Joi.string().max(1000).allow(''),
+    today: Joi.string().min(1).max(1000).required(),
+    blockers: Joi.string().max(1000).allow(''),
+    tasks: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).default([]),
+    hoursWorked: Joi.number().min(0).max(24).default(0)
+  }),
+
+  update: Joi.object({
+    yesterday: Joi.string().max(1000).allow(''),
+    today: Joi.string().min(1).max(1000),
+    blockers: Joi.string().max(1000).allow(''),
+    tasks: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)),
+    hoursWorked: Joi.number().min(0).max(24)
+  })
+};
+
+// Time entry validation schemas
+const timeEntryValidationSchemas = {
+  startTimer: Joi.object({
+    description: Joi.string().max(500).allow('')
+  }),
+
+  stopTimer: Joi.object({
+    description: Joi.string().max(500).allow('')
+  }),
+
+  create: Joi.object({
+    startTime: Joi.date().required(),
+    endTime: Joi.date().greater(Joi.ref('startTime')),
+    hours: Joi.number().greater(0).max(24),
+    description: Joi.string().max(500).allow('')
+  }).xor('endTime', 'hours'),
+
+  update: Joi.object({
+    startTime: Joi.date(),
+    endTime: Joi.date(),
+    description: Joi.string().max(500).allow('')
+  }).custom((value, helpers) => {
+    if (value.startTime && value.endTime && value.endTime <= value.startTime) {
+      return helpers.error('custom.timeOrder');
+    }
+    return value;
+  }, 'Time validation').messages({
+    'custom.timeOrder': 'End time must be after start time'
+  })
+};
+
+// Notification validation schemas
+const notificationValidationSchemas = {
+  markRead: Joi.object({
+    isRead: Joi.boolean().default(true)
+  }),
+
+  updatePreferences: Joi.object({
+    task_assigned: Joi.boolean(),
+    task_commented: Joi.boolean(),
+    task_mentioned: Joi.boolean(),
+    task_review: Joi.boolean(),
+    team_join_request: Joi.boolean(),
+    team_join_response: Joi.boolean()
+  }).min(1)
+};
+
+// Email digest validation schemas
+const digestValidationSchemas = {
+  updatePreferences: Joi.object({
+    enabled: Joi.boolean().required()
+  })
+};
+
+// Application settings validation schemas
+const settingsValidationSchemas = {
+  updateSecurity: Joi.object({
+    twoFactorRequiredRoles: Joi.array().items(Joi.string().pattern(ROLE_KEY_PATTERN)).unique().required()
+  })
+};
+
+// Role validation schemas
+const roleValidationSchemas = {
+  create: Joi.object({
+    key: Joi.string().pattern(ROLE_KEY_PATTERN).required(),
+    name: Joi.string().trim().min(2).max(50).required(),
+    description: Joi.string().trim().max(200).allow(''),
+    permissions: Joi.array().items(Joi.string().valid(...ALL_PERMISSIONS)).unique().default([])
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(2).max(50),
+    description: Joi.string().trim().max(200).allow(''),
+    permissions: Joi.array().items(Joi.string().valid(...ALL_PERMISSIONS)).unique()
+  }).min(1)
+};
+
+// Markdown validation schemas
+const markdownValidationSchemas = {
+  // Up to the longest Markdown field, task descriptions
+  preview: Joi.object({
+    text: Joi.string().max(2000).allow('').required(),
+    projectId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
   })
 };
 
+// Search validation schemas
+const searchValidationSchemas = {
+  query: Joi.object({
+    q: Joi.string().trim().min(1).max(100).required(),
+    type: Joi.string().valid(...SEARCH_TYPES),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(10)
+  })
+};
+
+// Saved view validation schemas. Filters take the same values as the
+// GET /api/tasks query parameters of the same name.
+const savedViewFiltersSchema = Joi.object({
+  search: Joi.string().max(100).allow(''),
+  status: statusKeySchema,
+  statusCategory: Joi.string().valid(...STATUS_CATEGORIES),
+  priority: Joi.string().valid('low', 'medium', 'high', 'critical'),
+  type: Joi.string().valid('feature', 'bug', 'improvement', 'research', 'testing', 'documentation', 'other'),
+  projectId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+  assignedTo: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+  overdue: Joi.boolean()
+});
+
+const savedViewSortSchema = Joi.object({
+  field: Joi.string().valid(...VIEW_SORT_FIELDS).default('createdAt'),
+  order: Joi.string().valid('asc', 'desc').default('desc')
+});
+
+const savedViewValidationSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    team: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null),
+    filters: savedViewFiltersSchema.default({}),
+    sort: savedViewSortSchema,
+    columns: Joi.array().items(Joi.string().valid(...VIEW_COLUMNS)).min(1).unique()
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    team: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null),
+    filters: savedViewFiltersSchema,
+    sort: savedViewSortSchema,
+    columns: Joi.array().items(Joi.string().valid(...VIEW_COLUMNS)).min(1).unique()
+  }).min(1)
+};
+
 // Validation middleware factory
 const validate = (schema) => {
   return (req, res, next) => {
@@ -245,7 +564,18 @@ module.exports = {
   validateQuery,
   userValidationSchemas,
   teamValidationSchemas,
+  invitationValidationSchemas,
   projectValidationSchemas,
   taskValidationSchemas,
-  paginationSchema
+  checkInValidationSchemas,
+  timeEntryValidationSchemas,
+  notificationValidationSchemas,
+  digestValidationSchemas,
+  settingsValidationSchemas,
+  roleValidationSchemas,
+  markdownValidationSchemas,
+  searchValidationSchemas,
+  savedViewValidationSchemas,
+  paginationSchema,
+  statusKeySchema
 };
\ No newline at end of file
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Personal access token for scripts and integrations. Only the SHA-256 hash
+// of the token is stored; `prefix` lets users recognise it in listings.
+const accessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: [
+      'tasks:read', 'tasks:write',
+      'time:read', 'time:write',
+      'projects:read', 'projects:write',
+      'teams:read', 'teams:write',
+      'users:read', 'users:write',
+      'checkins:read', 'checkins:write',
+      'notifications:read', 'notifications:write',
+      'activity:read'
+    ]
+  }],
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+accessTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Virtual for checking whether the token can still be used
+accessTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('AccessToken', accessTokenSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const activityLogSchema = new mongoose.Schema({
+  // Empty only for public actions by someone without an account, such as
+  // declining a team invitation
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'promote', 'demote', 'add_member', 'remove_member', 'comment', 'progress'],
+    required: [true, 'Action is required']
+  },
+  entityType: {
+    type: String,
+    enum: ['user', 'team', 'project', 'task', 'check_in', 'time_entry', 'setting', 'role', 'team_invitation', 'team_join_request', 'saved_view'],
+    required: [true, 'Entity type is required']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity is required']
+  },
+  // Display name of the entity at the time of the change
+  entityName: String,
+  // Project and team the entity belongs to, used to scope visibility
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+activityLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+activityLogSchema.index({ actor: 1, createdAt: -1 });
+activityLogSchema.index({ project: 1, createdAt: -1 });
+activityLogSchema.index({ team: 1, createdAt: -1 });
+activityLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ActivityLog', activityLogSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const dailyCheckInSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Check-in date is required']
+  },
+  yesterday: {
+    type: String,
+    maxlength: [1000, 'Yesterday summary cannot exceed 1000 characters'],
+    default: ''
+  },
+  today: {
+    type: String,
+    required: [true, 'Plan for today is required'],
+    maxlength: [1000, 'Today plan cannot exceed 1000 characters']
+  },
+  blockers: {
+    type: String,
+    maxlength: [1000, 'Blockers cannot exceed 1000 characters'],
+    default: ''
+  },
+  tasks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  hoursWorked: {
+    type: Number,
+    min: 0,
+    max: 24,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One check-in per user per day
+dailyCheckInSchema.index({ user: 1, date: 1 }, { unique: true });
+dailyCheckInSchema.index({ date: 1 });
+
+// Virtual for checking if the entry reports blockers
+dailyCheckInSchema.virtual('hasBlockers').get(function() {
+  return Boolean(this.blockers && this.blockers.trim());
+});
+
+// Normalize any date to the start of its day (UTC) so entries compare by day
+dailyCheckInSchema.statics.normalizeDate = function(date = new Date()) {
+  const normalized = new Date(date);
+  normalized.setUTCHours(0, 0, 0, 0);
+  return normalized;
+};
+
+// Method to check if user owns this check-in
+dailyCheckInSchema.methods.isOwner = function(userId) {
+  return this.user.toString() === userId.toString();
+};
+
+// Pre-save middleware to keep the date normalized
+dailyCheckInSchema.pre('save', function(next) {
+  if (this.isModified('date')) {
+    this.date = this.constructor.normalizeDate(this.date);
+  }
+  next();
+});
+
+module.exports = mongoose.model('DailyCheckIn', dailyCheckInSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const loginEventSchema = new mongoose.Schema({
+  // Unset when the email did not match any account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['success', 'invalid_password', 'unknown_email', 'account_deactivated', 'account_locked', 'too_many_attempts', 'invalid_2fa_code'],
+    required: [true, 'Reason is required']
+  },
+  ipAddress: String,
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ ipAddress: 1, success: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: ['task_assigned', 'task_commented', 'task_mentioned', 'task_review', 'team_join_request', 'team_join_response'],
+    required: [true, 'Notification type is required']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  // Frontend path the notification points to
+  link: String,
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+// Method to check if user is the recipient
+notificationSchema.methods.isRecipient = function(userId) {
+  return this.recipient.toString() === userId.toString();
+};
+
+// Method to mark notification as read or unread
+notificationSchema.methods.markRead = function(isRead = true) {
+  this.isRead = isRead;
+  this.readAt = isRead ? new Date() : undefined;
+  return this;
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
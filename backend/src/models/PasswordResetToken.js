@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One-time password reset token; only the SHA-256 hash of the token is stored
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  usedAt: Date,
+  requestedIp: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+passwordResetTokenSchema.index({ user: 1 });
+// Expired tokens are removed by MongoDB
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
@@ -1,4 +1,64 @@
 const mongoose = require('mongoose');
+const { STATUS_CATEGORIES, TRANSITION_ROLES } = require('../services/workflow');
+const { MEMBER_ROLES } = require('../services/projectRoles');
+
+const workflowStatusSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{1,29}$/, 'Status key must be lowercase letters, digits or underscores']
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'Status label cannot exceed 50 characters']
+  },
+  category: {
+    type: String,
+    enum: STATUS_CATEGORIES,
+    required: true
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  color: {
+    type: String,
+    default: 'gray'
+  }
+}, { _id: false });
+
+const workflowTransitionSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  // Empty means anyone who can update the task may make the transition
+  roles: [{
+    type: String,
+    enum: TRANSITION_ROLES
+  }]
+}, { _id: false });
+
+const restrictedTaskTypesSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    required: true
+  },
+  types: [{
+    type: String,
+    enum: ['feature', 'bug', 'improvement', 'research', 'testing', 'documentation', 'other']
+  }]
+}, { _id: false });
 
 const projectSchema = new mongoose.Schema({
   name: {
@@ -34,7 +94,7 @@ const projectSchema = new mongoose.Schema({
     },
     role: {
       type: String,
-      enum: ['project_manager', 'developer', 'tester', 'designer', 'other'],
+      enum: MEMBER_ROLES,
       default: 'developer'
     }
   }],
@@ -68,9 +128,36 @@ const projectSchema = new mongoose.Schema({
     }
   },
   tags: [String],
+  // Custom task status workflow; falls back to the default one when empty
+  workflow: {
+    statuses: [workflowStatusSchema],
+    initialStatus: String,
+    transitions: [workflowTransitionSchema]
+  },
+  // Rules tied to the members' roles; each unset rule falls back to the
+  // default in services/projectRoles
+  memberRules: {
+    managementRoles: {
+      type: [{ type: String, enum: MEMBER_ROLES }],
+      default: undefined
+    },
+    reviewApproverRoles: {
+      type: [{ type: String, enum: MEMBER_ROLES }],
+      default: undefined
+    },
+    restrictedTaskTypes: {
+      type: [restrictedTaskTypesSchema],
+      default: undefined
+    }
+  },
   attachments: [{
     name: String,
+    // External link; uploaded files have a storageKey instead
     url: String,
+    // Key of the uploaded file in the storage adapter, see services/storage
+    storageKey: String,
+    size: Number,
+    mimeType: String,
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -96,6 +183,11 @@ projectSchema.index({ status: 1 });
 projectSchema.index({ priority: 1 });
 projectSchema.index({ startDate: 1, endDate: 1 });
 projectSchema.index({ 'assignedMembers.user': 1 });
+// Full-text search (services/search)
+projectSchema.index(
+  { name: 'text', tags: 'text', description: 'text' },
+  { name: 'project_text', weights: { name: 10, tags: 5, description: 2 } }
+);
 
 // Virtual for project duration in days
 projectSchema.virtual('duration').get(function() {
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A named set of permissions that users are assigned through User.role
+const roleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Role key is required'],
+    unique: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{1,29}$/, 'Role key may only contain lowercase letters, digits and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Permission names in resource:action form, see services/permissions
+  permissions: [{
+    type: String
+  }],
+  // Built-in roles (admin, team_leader, member) cannot be deleted
+  isBuiltIn: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { STATUS_CATEGORIES } = require('../services/workflow');
+const { VIEW_COLUMNS, DEFAULT_VIEW_COLUMNS, VIEW_SORT_FIELDS } = require('../services/savedViews');
+
+// Named task list filter with its sort order and columns, kept by a user for
+// themselves or shared with one of their teams. The filters use the names of
+// the GET /api/tasks query parameters.
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [100, 'View name cannot exceed 100 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  // Team the view is shared with; without one only the owner sees it
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  filters: {
+    search: String,
+    status: String,
+    statusCategory: {
+      type: String,
+      enum: STATUS_CATEGORIES
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical']
+    },
+    type: {
+      type: String,
+      enum: ['feature', 'bug', 'improvement', 'research', 'testing', 'documentation', 'other']
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overdue: Boolean
+  },
+  sort: {
+    field: {
+      type: String,
+      enum: VIEW_SORT_FIELDS,
+      default: 'createdAt'
+    },
+    order: {
+      type: String,
+      enum: ['asc', 'desc'],
+      default: 'desc'
+    }
+  },
+  columns: {
+    type: [{
+      type: String,
+      enum: VIEW_COLUMNS
+    }],
+    default: DEFAULT_VIEW_COLUMNS
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+savedViewSchema.index({ owner: 1, name: 1 });
+savedViewSchema.index({ team: 1, name: 1 });
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Application-wide settings, stored as a single document
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  security: {
+    // Roles whose users must enrol in two-factor authentication
+    twoFactorRequiredRoles: [{
+      type: String
+    }]
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Get the settings document, creating it with defaults on first use
+settingSchema.statics.getGlobal = async function() {
+  const existing = await this.findOne({ key: 'global' });
+  if (existing) return existing;
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -1,4 +1,46 @@
 const mongoose = require('mongoose');
+const { getWorkflow, getWorkflowStatus } = require('../services/workflow');
+const { can } = require('../services/permissions');
+
+// Recurrence rule shared by every instance of a recurring task series
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekdays', 'weekly', 'monthly', 'rrule'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  rrule: String,
+  trigger: {
+    type: String,
+    enum: ['on_completion', 'schedule'],
+    default: 'on_completion'
+  },
+  endDate: Date,
+  count: {
+    type: Number,
+    min: 1
+  },
+  anchorDate: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -27,11 +69,23 @@ const taskSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Task creator is required']
   },
+  // Validated against the project's workflow (see pre-save hook below)
   status: {
     type: String,
-    enum: ['todo', 'in_progress', 'review', 'completed', 'cancelled'],
     default: 'todo'
   },
+  // Denormalized from the workflow status so queries and stats can group
+  // custom statuses without loading every project
+  statusCategory: {
+    type: String,
+    default: 'todo'
+  },
+  statusProgress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'critical'],
@@ -75,7 +129,12 @@ const taskSchema = new mongoose.Schema({
   }],
   attachments: [{
     name: String,
+    // External link; uploaded files have a storageKey instead
     url: String,
+    // Key of the uploaded file in the storage adapter, see services/storage
+    storageKey: String,
+    size: Number,
+    mimeType: String,
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -85,6 +144,46 @@ const taskSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  parentTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  rollupProgress: {
+    type: Boolean,
+    default: false
+  },
+  subtaskStats: {
+    total: {
+      type: Number,
+      default: 0
+    },
+    completed: {
+      type: Number,
+      default: 0
+    }
+  },
+  checklist: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [200, 'Checklist item cannot exceed 200 characters']
+    },
+    done: {
+      type: Boolean,
+      default: false
+    },
+    doneBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    doneAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   comments: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -96,11 +195,49 @@ const taskSchema = new mongoose.Schema({
       required: true,
       maxlength: 1000
     },
+    // Comment this one replies to; null for top-level comments
+    parentComment: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    // Project members mentioned with @handle, see services/mentions
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Previous versions of the comment, oldest first, with the time each was replaced
+    history: [{
+      comment: String,
+      replacedAt: Date
+    }],
+    editedAt: Date,
+    // Deleted comments that have replies stay in place without their text
+    isDeleted: {
+      type: Boolean,
+      default: false
+    },
     createdAt: {
       type: Date,
       default: Date.now
     }
   }],
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  occurrence: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  nextInstance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
   progressUpdates: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -109,7 +246,6 @@ const taskSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['todo', 'in_progress', 'review', 'completed', 'cancelled'],
       required: true
     },
     comment: String,
@@ -132,9 +268,18 @@ taskSchema.index({ project: 1 });
 taskSchema.index({ assignedTo: 1 });
 taskSchema.index({ assignedBy: 1 });
 taskSchema.index({ status: 1 });
+taskSchema.index({ statusCategory: 1 });
 taskSchema.index({ priority: 1 });
 taskSchema.index({ dueDate: 1 });
 taskSchema.index({ startDate: 1, dueDate: 1 });
+taskSchema.index({ series: 1 });
+taskSchema.index({ parentTask: 1 });
+taskSchema.index({ 'recurrence.isActive': 1, 'recurrence.trigger': 1 });
+// Full-text search (services/search); comments rank below the task itself
+taskSchema.index(
+  { title: 'text', tags: 'text', description: 'text', 'comments.comment': 'text' },
+  { name: 'task_text', weights: { title: 10, tags: 5, description: 2, 'comments.comment': 1 } }
+);
 
 // Virtual for task duration in days
 taskSchema.virtual('duration').get(function() {
@@ -163,28 +308,171 @@ taskSchema.virtual('isOverdue').get(function() {
   return new Date() > this.dueDate;
 });
 
-// Virtual for progress percentage based on status
+// Progress implied by each default status, used for tasks saved before
+// statusProgress was stored
+const STATUS_PROGRESS = {
+  'todo': 0,
+  'in_progress': 25,
+  'review': 75,
+  'completed': 100,
+  'cancelled': 0
+};
+
+// Compute progress percentage for a task document or lean object.
+// With rollupProgress enabled, finished subtasks and checklist items can
+// move progress forward past what the status alone implies.
+taskSchema.statics.calculateProgress = function(task) {
+  const statusProgress = task.statusProgress !== undefined && task.statusProgress !== null
+    ? task.statusProgress
+    : STATUS_PROGRESS[task.status] || 0;
+  if (!task.rollupProgress || ['completed', 'cancelled'].includes(task.status)) {
+    return statusProgress;
+  }
+
+  const checklist = task.checklist || [];
+  const subtasks = task.subtaskStats || { total: 0, completed: 0 };
+  const totalItems = checklist.length + (subtasks.total || 0);
+  if (totalItems === 0) return statusProgress;
+
+  const doneItems = checklist.filter(item => item.done).length + (subtasks.completed || 0);
+  return Math.max(statusProgress, Math.round((doneItems / totalItems) * 100));
+};
+
+// Virtual for progress percentage
 taskSchema.virtual('progressPercentage').get(function() {
-  const statusProgress = {
-    'todo': 0,
-    'in_progress': 25,
-    'review': 75,
-    'completed': 100,
-    'cancelled': 0
-  };
-  return statusProgress[this.status] || 0;
+  return this.constructor.calculateProgress(this);
+});
+
+// Virtual for checklist completion summary
+taskSchema.virtual('checklistProgress').get(function() {
+  const total = this.checklist ? this.checklist.length : 0;
+  const done = total > 0 ? this.checklist.filter(item => item.done).length : 0;
+  return { total, done };
+});
+
+// Recompute the cached subtask counters of a parent task
+taskSchema.statics.refreshSubtaskStats = async function(parentId) {
+  if (!parentId) return null;
+
+  const [total, completed] = await Promise.all([
+    this.countDocuments({ parentTask: parentId, status: { $ne: 'cancelled' } }),
+    this.countDocuments({ parentTask: parentId, status: 'completed' })
+  ]);
+
+  await this.updateOne({ _id: parentId }, { $set: { subtaskStats: { total, completed } } });
+  return { total, completed };
+};
+
+// Virtual for checking if task belongs to an active recurring series
+taskSchema.virtual('isRecurring').get(function() {
+  return Boolean(this.recurrence && this.recurrence.isActive);
 });
 
 // Method to add comment
-taskSchema.methods.addComment = function(userId, comment) {
+taskSchema.methods.addComment = function(userId, comment, { parentComment = null, mentions = [] } = {}) {
   this.comments.push({
     user: userId,
     comment: comment,
+    parentComment: parentComment,
+    mentions: mentions,
     createdAt: new Date()
   });
   return this;
 };
 
+// Method to edit a comment, keeping the previous text in its history
+taskSchema.methods.editComment = function(commentId, comment, mentions = []) {
+  const item = this.comments.id(commentId);
+  if (item) {
+    const now = new Date();
+    item.history.push({ comment: item.comment, replacedAt: now });
+    item.comment = comment;
+    item.mentions = mentions;
+    item.editedAt = now;
+  }
+  return this;
+};
+
+// Method to delete a comment. Comments with replies keep their place in
+// the thread but lose their text, mentions and history.
+taskSchema.methods.deleteComment = function(commentId) {
+  const item = this.comments.id(commentId);
+  if (!item) return this;
+
+  const hasReplies = this.comments.some(other =>
+    other.parentComment && other.parentComment.toString() === item._id.toString()
+  );
+
+  if (hasReplies) {
+    item.isDeleted = true;
+    item.comment = '[deleted]';
+    item.mentions = [];
+    item.history = [];
+  } else {
+    this.comments.pull(item._id);
+  }
+  return this;
+};
+
+// Method to add checklist item
+taskSchema.methods.addChecklistItem = function(text) {
+  this.checklist.push({
+    text: text,
+    done: false,
+    createdAt: new Date()
+  });
+  return this;
+};
+
+// Method to mark checklist item done or open
+taskSchema.methods.setChecklistItemDone = function(itemId, userId, done) {
+  const item = this.checklist.id(itemId);
+  if (!item) return null;
+
+  item.done = done;
+  item.doneBy = done ? userId : undefined;
+  item.doneAt = done ? new Date() : undefined;
+  return item;
+};
+
+// Find open tasks due within the next `days` days
+taskSchema.statics.findUpcoming = function(match = {}, { days = 7, limit = 10, now = new Date() } = {}) {
+  return this.find({
+    ...match,
+    status: { $nin: ['completed', 'cancelled'] },
+    dueDate: {
+      $gte: now,
+      $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000)
+    }
+  })
+    .populate('project', 'name')
+    .populate('assignedTo', 'name')
+    .sort({ dueDate: 1 })
+    .limit(limit)
+    .select('title status priority dueDate project assignedTo')
+    .lean();
+};
+
+// Store the category and progress of tasks saved before they were kept on
+// the task, from the workflow of each task's project. Returns the number updated.
+taskSchema.statics.backfillStatusCategories = async function() {
+  const projectIds = await this.distinct('project', { statusCategory: { $exists: false } });
+  const projects = await mongoose.model('Project').find({ _id: { $in: projectIds } }).select('workflow').lean();
+
+  let updated = 0;
+  for (const project of projects) {
+    for (const status of getWorkflow(project).statuses) {
+      const result = await this.updateMany(
+        { project: project._id, status: status.key, statusCategory: { $exists: false } },
+        { $set: { statusCategory: status.category, statusProgress: status.progress } }
+      );
+      updated += result.modifiedCount;
+    }
+  }
+
+  return updated;
+};
+
 // Method to update progress
 taskSchema.methods.updateProgress = function(userId, status, comment, hoursWorked = 0) {
   this.progressUpdates.push({
@@ -195,9 +483,9 @@ taskSchema.methods.updateProgress = function(userId, status, comment, hoursWorke
     updatedAt: new Date()
   });
   
-  // Update task status and actual hours
+  // Update task status; hours are logged as TimeEntry documents and
+  // actualHours is recomputed from them (see TimeEntry.recalculateTaskHours)
   this.status = status;
-  this.actualHours += hoursWorked;
   
   // Set completion date if completed
   if (status === 'completed') {
@@ -208,15 +496,15 @@ taskSchema.methods.updateProgress = function(userId, status, comment, hoursWorke
 };
 
 // Method to check if user can modify task
-taskSchema.methods.canModify = function(userId, userRole) {
-  // Admin can modify any task
-  if (userRole === 'admin') return true;
+taskSchema.methods.canModify = function(user) {
+  // Users allowed to manage all tasks can modify any task
+  if (can(user, 'manage_all', 'tasks')) return true;
   
   // Task assignee can modify
-  if (this.assignedTo.toString() === userId.toString()) return true;
+  if (this.assignedTo.toString() === user._id.toString()) return true;
   
   // Task creator can modify
-  if (this.assignedBy.toString() === userId.toString()) return true;
+  if (this.assignedBy.toString() === user._id.toString()) return true;
   
   return false;
 };
@@ -230,4 +518,27 @@ taskSchema.pre('save', function(next) {
   }
 });
 
+// Validation: status must belong to the project's workflow; keeps the
+// denormalized category and progress in sync with it
+taskSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('status')) return;
+
+  const project = this.populated('project')
+    ? this.project
+    : await mongoose.model('Project').findById(this.project).select('workflow').lean();
+
+  const workflow = getWorkflow(project);
+  if (this.isNew && this.$isDefault('status')) {
+    this.status = workflow.initialStatus;
+  }
+
+  const status = getWorkflowStatus(workflow, this.status);
+  if (!status) {
+    throw new Error(`Status "${this.status}" is not part of this project's workflow`);
+  }
+
+  this.statusCategory = status.category;
+  this.statusProgress = status.progress;
+});
+
 module.exports = mongoose.model('Task', taskSchema);
\ No newline at end of file
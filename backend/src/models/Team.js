@@ -60,6 +60,11 @@ teamSchema.index({ teamLeader: 1 });
 teamSchema.index({ 'members.user': 1 });
 teamSchema.index({ isActive: 1 });
 teamSchema.index({ createdBy: 1 });
+// Full-text search (services/search)
+teamSchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'team_text', weights: { name: 10, description: 2 } }
+);
 
 // Virtual for active members count
 teamSchema.virtual('activeMembersCount').get(function() {
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Invitation to join a team, sent by email; only the SHA-256 hash of the
+// token in the accept and decline links is stored
+const teamInvitationSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: [true, 'Team is required']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  // Account the email belonged to when the invitation was sent
+  invitedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviter is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+teamInvitationSchema.index({ team: 1, status: 1 });
+teamInvitationSchema.index({ email: 1, status: 1 });
+
+// Virtual for invitations that can still be answered
+teamInvitationSchema.virtual('isOpen').get(function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('TeamInvitation', teamInvitationSchema);
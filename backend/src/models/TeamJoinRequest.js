@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Request from a user to join a public team, answered by the team leader
+const teamJoinRequestSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: [true, 'Team is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  // Optional reason given by the reviewer
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+teamJoinRequestSchema.index({ team: 1, status: 1, createdAt: -1 });
+// A user can only have one pending request per team
+teamJoinRequestSchema.index(
+  { team: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Method to check if user filed the request
+teamJoinRequestSchema.methods.isRequester = function(userId) {
+  return this.user.toString() === userId.toString();
+};
+
+module.exports = mongoose.model('TeamJoinRequest', teamJoinRequestSchema);
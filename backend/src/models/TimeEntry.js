@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const timeEntrySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task is required']
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: Date,
+  hours: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  isRunning: {
+    type: Boolean,
+    default: false
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual', 'progress_update', 'legacy'],
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+timeEntrySchema.index({ task: 1 });
+timeEntrySchema.index({ user: 1, startTime: 1 });
+timeEntrySchema.index({ project: 1 });
+// A user can only have one running timer at a time
+timeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { isRunning: true } });
+
+// Method to check if user owns this entry
+timeEntrySchema.methods.isOwner = function(userId) {
+  return this.user.toString() === userId.toString();
+};
+
+// Method to stop a running timer
+timeEntrySchema.methods.stop = function(endTime = new Date()) {
+  this.endTime = endTime;
+  this.isRunning = false;
+  return this;
+};
+
+// Recompute Task.actualHours from the finished entries of a task
+timeEntrySchema.statics.recalculateTaskHours = async function(taskId) {
+  const Task = mongoose.model('Task');
+  const result = await this.aggregate([
+    { $match: { task: new mongoose.Types.ObjectId(taskId.toString()), isRunning: false } },
+    { $group: { _id: null, total: { $sum: '$hours' } } }
+  ]);
+
+  const total = result.length > 0 ? Math.round(result[0].total * 100) / 100 : 0;
+  await Task.updateOne({ _id: taskId }, { $set: { actualHours: total } });
+  return total;
+};
+
+// Turn hours reported on tasks before time entries existed into a 'legacy'
+// entry of the assignee, so recalculateTaskHours keeps them. Tasks that
+// already have finished entries are left alone. Returns the number migrated.
+timeEntrySchema.statics.migrateLegacyHours = async function() {
+  const Task = mongoose.model('Task');
+  const trackedTaskIds = await this.distinct('task', { isRunning: false });
+  const tasks = await Task.find({ actualHours: { $gt: 0 }, _id: { $nin: trackedTaskIds } })
+    .select('project assignedTo actualHours updatedAt');
+
+  for (const task of tasks) {
+    const endTime = task.updatedAt || new Date();
+    await this.create({
+      task: task._id,
+      project: task.project,
+      user: task.assignedTo,
+      startTime: new Date(endTime.getTime() - task.actualHours * 60 * 60 * 1000),
+      endTime,
+      description: 'Hours reported before time tracking',
+      source: 'legacy'
+    });
+  }
+
+  return tasks.length;
+};
+
+// Validation: End time should be after start time; derive hours from the interval
+timeEntrySchema.pre('save', function(next) {
+  if (this.isRunning) {
+    this.endTime = undefined;
+    this.hours = 0;
+    return next();
+  }
+
+  if (!this.endTime) {
+    return next(new Error('End time is required for a finished time entry'));
+  }
+
+  if (this.endTime <= this.startTime) {
+    return next(new Error('End time must be after start time'));
+  }
+
+  const hours = (this.endTime.getTime() - this.startTime.getTime()) / (1000 * 60 * 60);
+  this.hours = Math.round(hours * 100) / 100;
+  next();
+});
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
+const { roleExists, getPermissions } = require('../services/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -21,10 +22,14 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Key of a built-in or custom role, see models/Role
   role: {
     type: String,
-    enum: ['admin', 'team_leader', 'member'],
-    default: 'member'
+    default: 'member',
+    validate: {
+      validator: roleExists,
+      message: 'Role {VALUE} does not exist'
+    }
   },
   isActive: {
     type: Boolean,
@@ -44,7 +49,66 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     }
   },
+  // Which events create in-app notifications for this user
+  notificationPreferences: {
+    task_assigned: {
+      type: Boolean,
+      default: true
+    },
+    task_commented: {
+      type: Boolean,
+      default: true
+    },
+    task_mentioned: {
+      type: Boolean,
+      default: true
+    },
+    task_review: {
+      type: Boolean,
+      default: true
+    },
+    team_join_request: {
+      type: Boolean,
+      default: true
+    },
+    team_join_response: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Daily email digest opt-in
+  emailDigest: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    lastSentAt: Date
+  },
   lastLogin: Date,
+  // TOTP two-factor authentication; secrets are stored encrypted and
+  // recovery codes as hashes
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    // Secret generated by setup, waiting for the first valid code
+    pendingSecret: String,
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: Number,
+    recoveryCodes: [String],
+    enabledAt: Date
+  },
+  // Failed login tracking for brute-force protection
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    lockedUntil: Date
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -57,6 +121,11 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+// Full-text search (services/search)
+userSchema.index(
+  { name: 'text', email: 'text', 'profile.department': 'text' },
+  { name: 'user_text', weights: { name: 10, email: 5, 'profile.department': 2 } }
+);
 
 // Virtual for user's full profile
 userSchema.virtual('fullProfile').get(function() {
@@ -65,36 +134,29 @@ userSchema.virtual('fullProfile').get(function() {
     name: this.name,
     email: this.email,
     role: this.role,
+    permissions: getPermissions(this),
     isActive: this.isActive,
     profile: this.profile,
     teams: this.teams,
+    twoFactorEnabled: Boolean(this.twoFactor && this.twoFactor.enabled),
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
 });
 
-// Don't include password in JSON output
+// Don't include password or two-factor secrets in JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  if (user.twoFactor) {
+    user.twoFactor = {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt
+    };
+  }
   return user;
 };
 
-// Method to check if user can manage other users
-userSchema.methods.canManageUsers = function() {
-  return this.role === 'admin';
-};
-
-// Method to check if user can manage teams
-userSchema.methods.canManageTeams = function() {
-  return this.role === 'admin';
-};
-
-// Method to check if user can manage projects
-userSchema.methods.canManageProjects = function() {
-  return ['admin', 'team_leader'].includes(this.role);
-};
-
 // Add pagination plugin
 userSchema.plugin(mongoosePaginate);
 
@@ -0,0 +1,147 @@
+const express = require('express');
+const ActivityLog = require('../models/ActivityLog');
+const Team = require('../models/Team');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { authenticateToken } = require('../middleware/auth');
+const { validateQuery, paginationSchema } = require('../middleware/validation');
+const { can } = require('../services/permissions');
+
+const router = express.Router();
+
+// Filter values follow the model, so new entity types and actions can be queried
+const ENTITY_TYPES = ActivityLog.schema.path('entityType').enumValues;
+const ACTIONS = ActivityLog.schema.path('action').enumValues;
+
+// Build the query limiting activity to what the user can see elsewhere:
+// activity:read_all sees everything; activity:read_team sees the led teams,
+// the projects of those teams and the projects they work on, plus their
+// members' check-ins; everyone else sees their teams, their projects and the
+// tasks assigned to them.
+// Everyone sees their own actions, changes made to their account and changes
+// to the saved views shared with their teams.
+const buildVisibilityScope = async (user) => {
+  if (can(user, 'read_all', 'activity')) return {};
+
+  const scope = [
+    { actor: user._id },
+    { entityType: 'user', entityId: user._id }
+  ];
+
+  if (can(user, 'read_team', 'activity')) {
+    const [ledTeams, memberTeams] = await Promise.all([
+      Team.find({ teamLeader: user._id }).select('_id members.user').lean(),
+      Team.find({ 'members.user': user._id }).select('_id').lean()
+    ]);
+    const ledTeamIds = ledTeams.map(team => team._id);
+
+    const projects = await Project.find({
+      $or: [
+        { team: { $in: ledTeamIds } },
+        { projectManager: user._id },
+        { 'assignedMembers.user': user._id }
+      ]
+    }).select('_id').lean();
+
+    const memberIds = ledTeams.flatMap(team => team.members.map(member => member.user));
+
+    scope.push(
+      { entityType: 'team', entityId: { $in: [...ledTeamIds, ...memberTeams.map(team => team._id)] } },
+      { entityType: 'saved_view', team: { $in: memberTeams.map(team => team._id) } },
+      { team: { $in: ledTeamIds } },
+      { project: { $in: projects.map(project => project._id) } },
+      { entityType: 'check_in', actor: { $in: memberIds } }
+    );
+  } else {
+    const [teams, projects, tasks] = await Promise.all([
+      Team.find({ 'members.user': user._id }).select('_id').lean(),
+      Project.find({
+        $or: [
+          { 'assignedMembers.user': user._id },
+          { projectManager: user._id }
+        ]
+      }).select('_id').lean(),
+      Task.find({ assignedTo: user._id }).select('_id').lean()
+    ]);
+
+    scope.push(
+      { entityType: 'team', entityId: { $in: teams.map(team => team._id) } },
+      { entityType: 'saved_view', team: { $in: teams.map(team => team._id) } },
+      { entityType: 'project', entityId: { $in: projects.map(project => project._id) } },
+      { entityType: 'task', entityId: { $in: tasks.map(task => task._id) } }
+    );
+  }
+
+  return { $or: scope };
+};
+
+// @route   GET /api/activity
+// @desc    Get activity log entries (filtered by user visibility)
+// @access  Private
+router.get('/', authenticateToken, validateQuery(paginationSchema.keys({
+  entityType: require('joi').string().valid(...ENTITY_TYPES),
+  entityId: require('joi').string().pattern(/^[0-9a-fA-F]{24}$/),
+  action: require('joi').string().valid(...ACTIONS),
+  userId: require('joi').string().pattern(/^[0-9a-fA-F]{24}$/),
+  projectId: require('joi').string().pattern(/^[0-9a-fA-F]{24}$/),
+  teamId: require('joi').string().pattern(/^[0-9a-fA-F]{24}$/),
+  from: require('joi').date(),
+  to: require('joi').date()
+})), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, order = 'desc', entityType, entityId, action, userId, projectId, teamId, from, to } = req.query;
+
+    const filters = {};
+    if (entityType) filters.entityType = entityType;
+    if (entityId) filters.entityId = entityId;
+    if (action) filters.action = action;
+    if (userId) filters.actor = userId;
+    if (projectId) filters.project = projectId;
+    if (teamId) filters.team = teamId;
+
+    if (from || to) {
+      filters.createdAt = {};
+      if (from) filters.createdAt.$gte = new Date(from);
+      if (to) filters.createdAt.$lte = new Date(to);
+    }
+
+    const scope = await buildVisibilityScope(req.user);
+    const query = { $and: [scope, filters] };
+
+    const activities = await ActivityLog.find(query)
+      .populate('actor', 'name email role')
+      .populate('project', 'name')
+      .populate('team', 'name')
+      .sort({ createdAt: order === 'asc' ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await ActivityLog.countDocuments(query);
+
+    res.json({
+      message: 'Activity retrieved successfully',
+      data: {
+        activities,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalActivities: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get activity error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,109 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
-const { validate, userValidationSchemas } = require('../middleware/validation');
+const { validate, validateObjectId, userValidationSchemas } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
+const { logActivity } = require('../services/activity');
+const Session = require('../models/Session');
+const AccessToken = require('../models/AccessToken');
+const { createSession, rotateSession, listActiveSessions, revokeUserSessions } = require('../services/sessions');
+const { sendPasswordReset, consumePasswordReset } = require('../services/passwordReset');
+const { checkLoginAllowed, recordFailedLogin, resetLoginSecurity, recordLoginEvent } = require('../services/loginProtection');
+const { isTwoFactorRequired } = require('../services/settings');
+const {
+  generateSecret,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  buildEnrolment,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  createLoginChallenge,
+  verifyLoginChallenge
+} = require('../services/twoFactor');
+const { createAccessToken, revokeUserAccessTokens } = require('../services/accessTokens');
+const { loadRoles } = require('../services/permissions');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '30d' }
+const readInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// Password reset requests are limited per IP and per email address, so the
+// route can be used neither to flood an inbox nor to probe many accounts
+const passwordResetLimiter = (max, keyGenerator) => rateLimit({
+  windowMs: readInt('PASSWORD_RESET_WINDOW_MINUTES', 15) * 60 * 1000,
+  limit: max,
+  keyGenerator,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: {
+      message: 'Too many password reset requests. Please try again later.',
+      status: 429
+    }
+  }
+});
+
+const forgotPasswordIpLimiter = passwordResetLimiter(
+  readInt('PASSWORD_RESET_IP_MAX_REQUESTS', 10),
+  (req) => req.ip
+);
+const forgotPasswordEmailLimiter = passwordResetLimiter(
+  readInt('PASSWORD_RESET_EMAIL_MAX_REQUESTS', 3),
+  (req) => req.body.email.toLowerCase()
+);
+
+// Respond to a login attempt refused by brute-force protection
+const sendLoginRefusal = (res, refusal) => {
+  res.set('Retry-After', String(refusal.retryAfter));
+  return res.status(refusal.status).json({
+    error: {
+      message: refusal.message,
+      status: refusal.status,
+      retryAfter: refusal.retryAfter
+    }
+  });
+};
+
+// Final step of a successful login: clear failed attempts, audit, start a
+// session and build the response data
+const completeLogin = async (user, req) => {
+  await resetLoginSecurity(user._id);
+  await recordLoginEvent({ user, email: user.email, success: true, reason: 'success', req });
+
+  // Start a session and issue access and refresh tokens
+  const { token, refreshToken } = await createSession(user, req);
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Make sure the permissions in the profile are current
+  await loadRoles();
+
+  return {
+    user: user.fullProfile,
+    token,
+    refreshToken,
+    twoFactorSetupRequired: !user.twoFactor.enabled && await isTwoFactorRequired(user.role)
+  };
+};
+
+// Check a 6-digit code against a user's active secret and remember its time
+// step, so each code is accepted only once. Returns true when accepted.
+const acceptTotpCode = async (user, code) => {
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, user.twoFactor.lastUsedStep);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
   );
+  return result.modifiedCount === 1;
 };
 
 // @route   POST /api/auth/register
@@ -57,8 +147,10 @@ router.post('/register', validate(userValidationSchemas.register), async (req, r
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    await logActivity(user, { action: 'create', entityType: 'user', after: user });
+
+    // Start a session and issue access and refresh tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     // Update last login
     user.lastLogin = new Date();
@@ -68,7 +160,8 @@ router.post('/register', validate(userValidationSchemas.register), async (req, r
       message: 'User registered successfully',
       data: {
         user: user.fullProfile,
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -101,10 +194,20 @@ router.post('/register', validate(userValidationSchemas.register), async (req, r
 router.post('/login', validate(userValidationSchemas.login), async (req, res) => {
   try {
     const { email, password } = req.body;
+    const normalizedEmail = email.toLowerCase();
 
     // Find user by email
-    const user = await User.findOne({ email: email.toLowerCase() });
+    const user = await User.findOne({ email: normalizedEmail });
+
+    // Refuse attempts from throttled IPs and locked accounts
+    const refusal = await checkLoginAllowed({ user, ipAddress: req.ip });
+    if (refusal) {
+      await recordLoginEvent({ user, email: normalizedEmail, success: false, reason: refusal.reason, req });
+      return sendLoginRefusal(res, refusal);
+    }
+
     if (!user) {
+      await recordLoginEvent({ email: normalizedEmail, success: false, reason: 'unknown_email', req });
       return res.status(401).json({
         error: {
           message: 'Invalid email or password',
@@ -115,6 +218,7 @@ router.post('/login', validate(userValidationSchemas.login), async (req, res) =>
 
     // Check if user is active
     if (!user.isActive) {
+      await recordLoginEvent({ user, email: normalizedEmail, success: false, reason: 'account_deactivated', req });
       return res.status(401).json({
         error: {
           message: 'Account is deactivated. Please contact administrator.',
@@ -126,6 +230,8 @@ router.post('/login', validate(userValidationSchemas.login), async (req, res) =>
     // Check password
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      await recordFailedLogin(user);
+      await recordLoginEvent({ user, email: normalizedEmail, success: false, reason: 'invalid_password', req });
       return res.status(401).json({
         error: {
           message: 'Invalid email or password',
@@ -134,19 +240,20 @@ router.post('/login', validate(userValidationSchemas.login), async (req, res) =>
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // Second step: the client must send a TOTP or recovery code
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user._id)
+        }
+      });
+    }
 
     res.json({
       message: 'Login successful',
-      data: {
-        user: user.fullProfile,
-        token
-      }
+      data: await completeLogin(user, req)
     });
 
   } catch (error) {
@@ -160,6 +267,70 @@ router.post('/login', validate(userValidationSchemas.login), async (req, res) =>
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a login with a TOTP code or a recovery code
+// @access  Public
+router.post('/login/2fa', validate(userValidationSchemas.twoFactorLogin), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyLoginChallenge(challengeToken);
+    const user = userId ? await User.findById(userId) : null;
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        error: {
+          message: 'Login has expired. Please sign in again.',
+          status: 401
+        }
+      });
+    }
+
+    const refusal = await checkLoginAllowed({ user, ipAddress: req.ip });
+    if (refusal) {
+      await recordLoginEvent({ user, email: user.email, success: false, reason: refusal.reason, req });
+      return sendLoginRefusal(res, refusal);
+    }
+
+    let accepted;
+    if (code) {
+      accepted = await acceptTotpCode(user, code);
+    } else {
+      // Each recovery code is removed when used
+      const hash = hashRecoveryCode(recoveryCode);
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+      accepted = result.modifiedCount === 1;
+    }
+
+    if (!accepted) {
+      await recordFailedLogin(user);
+      await recordLoginEvent({ user, email: user.email, success: false, reason: 'invalid_2fa_code', req });
+      return res.status(401).json({
+        error: {
+          message: 'Invalid authentication code',
+          status: 401
+        }
+      });
+    }
+
+    res.json({
+      message: 'Login successful',
+      data: await completeLogin(user, req)
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -232,6 +403,8 @@ router.put('/change-password', authenticateToken, validate(userValidationSchemas
     user.password = hashedPassword;
     await user.save();
 
+    await logActivity(user, { action: 'update', entityType: 'user', entity: user, metadata: { passwordChanged: true } });
+
     res.json({
       message: 'Password changed successfully'
     });
@@ -247,20 +420,334 @@ router.put('/change-password', authenticateToken, validate(userValidationSchemas
   }
 });
 
-// @route   POST /api/auth/refresh
-// @desc    Refresh JWT token
+// @route   GET /api/auth/2fa
+// @desc    Get the current user's two-factor authentication status
 // @access  Private
-router.post('/refresh', authenticateToken, async (req, res) => {
+router.get('/2fa', authenticateToken, async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Generate new token
-    const newToken = generateToken(user._id);
+    const { twoFactor } = req.user;
+
+    res.json({
+      message: 'Two-factor status retrieved successfully',
+      data: {
+        enabled: twoFactor.enabled,
+        enabledAt: twoFactor.enabledAt,
+        required: await isTwoFactorRequired(req.user.role),
+        recoveryCodesRemaining: twoFactor.enabled ? twoFactor.recoveryCodes.length : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrolment: returns a new secret as otpauth URI and QR code
+// @access  Private
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: {
+          message: 'Two-factor authentication is already enabled',
+          status: 400
+        }
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then verify a code to finish',
+      data: await buildEnrolment(user, secret)
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Finish enrolment with a code from the authenticator app; returns recovery codes
+// @access  Private
+router.post('/2fa/verify', authenticateToken, validate(userValidationSchemas.twoFactorCode), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        error: {
+          message: 'No two-factor setup in progress',
+          status: 400
+        }
+      });
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid authentication code',
+          status: 400
+        }
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      lastUsedStep: step,
+      recoveryCodes: hashes,
+      enabledAt: new Date()
+    };
+    await user.save();
+
+    await logActivity(user, { action: 'update', entityType: 'user', entity: user, metadata: { twoFactorEnabled: true } });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (requires a current code)
+// @access  Private
+router.post('/2fa/recovery-codes', authenticateToken, validate(userValidationSchemas.twoFactorCode), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: {
+          message: 'Two-factor authentication is not enabled',
+          status: 400
+        }
+      });
+    }
+
+    if (!await acceptTotpCode(user, req.body.code)) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid authentication code',
+          status: 400
+        }
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+    res.json({
+      message: 'New recovery codes generated; the old ones no longer work',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (requires password and a current code)
+// @access  Private
+router.post('/2fa/disable', authenticateToken, validate(userValidationSchemas.twoFactorDisable), async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: {
+          message: 'Two-factor authentication is not enabled',
+          status: 400
+        }
+      });
+    }
+
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        error: {
+          message: 'Two-factor authentication is required for your role',
+          status: 403
+        }
+      });
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword || !await acceptTotpCode(user, code)) {
+      return res.status(401).json({
+        error: {
+          message: 'Password or authentication code is incorrect',
+          status: 401
+        }
+      });
+    }
+
+    user.twoFactor = { enabled: false, recoveryCodes: [] };
+    await user.save();
+
+    await logActivity(user, { action: 'update', entityType: 'user', entity: user, metadata: { twoFactorEnabled: false } });
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', forgotPasswordIpLimiter, validate(userValidationSchemas.forgotPassword), forgotPasswordEmailLimiter, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase(), isActive: true });
+
+    // Same response, in the same time, whether or not the account exists:
+    // the email is sent without waiting for it
+    if (user) {
+      sendPasswordReset(user, req).catch(mailError => {
+        console.error('Password reset email error:', mailError);
+      });
+    }
+
+    res.json({
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post('/reset-password', validate(userValidationSchemas.resetPassword), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const resetToken = await consumePasswordReset(token);
+    const user = resetToken ? await User.findById(resetToken.user) : null;
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        error: {
+          message: 'Password reset link is invalid or has expired',
+          status: 400
+        }
+      });
+    }
+
+    // Hash new password
+    const saltRounds = 12;
+    user.password = await bcrypt.hash(newPassword, saltRounds);
+    await user.save();
+
+    // Whoever knew the old password is logged out, and loses any access
+    // tokens they may have created with it
+    await revokeUserSessions(user._id, 'password_reset');
+    await revokeUserAccessTokens(user._id);
+
+    await logActivity(user, { action: 'update', entityType: 'user', entity: user, metadata: { passwordReset: true } });
+
+    res.json({
+      message: 'Password has been reset. Please sign in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', validate(userValidationSchemas.refreshToken), async (req, res) => {
+  try {
+    const result = await rotateSession(req.body.refreshToken);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error
+      });
+    }
+
+    const user = await User.findById(result.session.user).select('isActive');
+    if (!user || !user.isActive) {
+      await result.session.revoke('user_deactivated').save();
+      return res.status(401).json({
+        error: {
+          message: 'User account is deactivated',
+          status: 401
+        }
+      });
+    }
 
     res.json({
       message: 'Token refreshed successfully',
       data: {
-        token: newToken
+        token: result.token,
+        refreshToken: result.refreshToken
       }
     });
 
@@ -276,14 +763,12 @@ router.post('/refresh', authenticateToken, async (req, res) => {
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user by revoking the current session
 // @access  Private
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // Note: With JWT, logout is primarily handled on the client side
-    // by removing the token from storage. On server side, we can
-    // add the token to a blacklist if needed for additional security.
-    
+    await req.authSession.revoke('logout').save();
+
     res.json({
       message: 'Logged out successfully'
     });
@@ -299,4 +784,190 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json({
+      message: 'Sessions retrieved successfully',
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          isCurrent: session._id.equals(req.authSession._id)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/sessions/revoke-others
+// @desc    Revoke every session of the current user except this one
+// @access  Private
+router.post('/sessions/revoke-others', authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await revokeUserSessions(req.user._id, 'revoked_by_user', req.authSession._id);
+
+    res.json({
+      message: `${revokedCount} other session(s) revoked`,
+      data: {
+        revokedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', authenticateToken, validateObjectId('sessionId'), async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        error: {
+          message: 'Session not found',
+          status: 404
+        }
+      });
+    }
+
+    await session.revoke('revoked_by_user').save();
+
+    res.json({
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/auth/tokens
+// @desc    List the current user's personal access tokens
+// @access  Private
+router.get('/tokens', authenticateToken, async (req, res) => {
+  try {
+    const accessTokens = await AccessToken.find({ user: req.user._id, revokedAt: null })
+      .select('-tokenHash')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      message: 'Access tokens retrieved successfully',
+      data: {
+        accessTokens: accessTokens.map(accessToken => ({
+          ...accessToken.toJSON(),
+          isExpired: !accessToken.isActive
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/tokens
+// @desc    Create a personal access token; the token is only shown in this response
+// @access  Private
+router.post('/tokens', authenticateToken, validate(userValidationSchemas.createAccessToken), async (req, res) => {
+  try {
+    const { accessToken, token } = await createAccessToken(req.user, req.body);
+
+    const { tokenHash, ...details } = accessToken.toJSON();
+
+    res.status(201).json({
+      message: 'Access token created. Copy it now - it will not be shown again.',
+      data: {
+        accessToken: details,
+        token
+      }
+    });
+
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/auth/tokens/:tokenId
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete('/tokens/:tokenId', authenticateToken, validateObjectId('tokenId'), async (req, res) => {
+  try {
+    const accessToken = await AccessToken.findOne({
+      _id: req.params.tokenId,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!accessToken) {
+      return res.status(404).json({
+        error: {
+          message: 'Access token not found',
+          status: 404
+        }
+      });
+    }
+
+    accessToken.revokedAt = new Date();
+    await accessToken.save();
+
+    res.json({
+      message: 'Access token revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
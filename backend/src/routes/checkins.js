@@ -0,0 +1,397 @@
+const express = require('express');
+const DailyCheckIn = require('../models/DailyCheckIn');
+const Task = require('../models/Task');
+const Team = require('../models/Team');
+const { authenticateToken, requireTeamLeaderOfTeamOrAdmin } = require('../middleware/auth');
+const { validate, validateObjectId, validateQuery, checkInValidationSchemas, paginationSchema } = require('../middleware/validation');
+const { logActivity, toSnapshot } = require('../services/activity');
+const { can } = require('../services/permissions');
+
+const router = express.Router();
+
+// Verify that linked tasks exist and are assigned to the given user
+const verifyLinkedTasks = async (taskIds, userId) => {
+  if (!taskIds || taskIds.length === 0) return true;
+
+  const count = await Task.countDocuments({
+    _id: { $in: taskIds },
+    assignedTo: userId
+  });
+
+  return count === new Set(taskIds.map(id => id.toString())).size;
+};
+
+// @route   GET /api/checkins
+// @desc    Get check-ins of the current user (checkins:read_all may query any user)
+// @access  Private
+router.get('/', authenticateToken, validateQuery(paginationSchema.keys({
+  from: require('joi').date(),
+  to: require('joi').date(),
+  userId: require('joi').string().pattern(/^[0-9a-fA-F]{24}$/)
+})), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, order = 'desc', from, to, userId } = req.query;
+
+    let query = { user: req.user._id };
+
+    if (userId && userId !== req.user._id.toString()) {
+      if (!can(req.user, 'read_all', 'checkins')) {
+        return res.status(403).json({
+          error: {
+            message: 'Access denied to other users check-ins',
+            status: 403
+          }
+        });
+      }
+      query.user = userId;
+    }
+
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = DailyCheckIn.normalizeDate(from);
+      if (to) query.date.$lte = DailyCheckIn.normalizeDate(to);
+    }
+
+    const checkIns = await DailyCheckIn.find(query)
+      .populate('user', 'name email')
+      .populate('tasks', 'title status')
+      .sort({ date: order === 'asc' ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await DailyCheckIn.countDocuments(query);
+
+    res.json({
+      message: 'Check-ins retrieved successfully',
+      data: {
+        checkIns,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalCheckIns: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get check-ins error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/checkins/today
+// @desc    Get current user's check-in for today
+// @access  Private
+router.get('/today', authenticateToken, async (req, res) => {
+  try {
+    const checkIn = await DailyCheckIn.findOne({
+      user: req.user._id,
+      date: DailyCheckIn.normalizeDate()
+    }).populate('tasks', 'title status');
+
+    res.json({
+      message: checkIn ? 'Check-in retrieved successfully' : 'No check-in for today yet',
+      data: {
+        checkIn
+      }
+    });
+
+  } catch (error) {
+    console.error('Get today check-in error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/checkins/team/:teamId
+// @desc    Get check-ins of all team members for a day, including who is missing
+// @access  Private (teams:manage_all or Team Leader of the team)
+router.get('/team/:teamId', authenticateToken, validateObjectId('teamId'), requireTeamLeaderOfTeamOrAdmin, validateQuery(require('joi').object({
+  date: require('joi').date()
+})), async (req, res) => {
+  try {
+    const day = DailyCheckIn.normalizeDate(req.query.date || new Date());
+
+    const team = await Team.findById(req.params.teamId)
+      .populate('members.user', 'name email isActive');
+
+    if (!team) {
+      return res.status(404).json({
+        error: {
+          message: 'Team not found',
+          status: 404
+        }
+      });
+    }
+
+    const activeMembers = team.members.filter(member => member.user && member.user.isActive);
+    const memberIds = activeMembers.map(member => member.user._id);
+
+    const checkIns = await DailyCheckIn.find({
+      user: { $in: memberIds },
+      date: day
+    })
+      .populate('tasks', 'title status')
+      .lean();
+
+    const checkInsByUser = new Map(checkIns.map(checkIn => [checkIn.user.toString(), checkIn]));
+
+    const members = activeMembers.map(member => ({
+      user: {
+        _id: member.user._id,
+        name: member.user.name,
+        email: member.user.email
+      },
+      role: member.role,
+      checkIn: checkInsByUser.get(member.user._id.toString()) || null
+    }));
+
+    const missing = members
+      .filter(member => !member.checkIn)
+      .map(member => member.user);
+
+    res.json({
+      message: 'Team check-ins retrieved successfully',
+      data: {
+        team: {
+          _id: team._id,
+          name: team.name
+        },
+        date: day,
+        members,
+        missing,
+        summary: {
+          totalMembers: members.length,
+          checkedIn: members.length - missing.length,
+          missing: missing.length,
+          withBlockers: checkIns.filter(checkIn => checkIn.blockers && checkIn.blockers.trim()).length
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get team check-ins error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/checkins
+// @desc    Create daily check-in for the current user
+// @access  Private
+router.post('/', authenticateToken, validate(checkInValidationSchemas.create), async (req, res) => {
+  try {
+    const { date, yesterday, today, blockers, tasks, hoursWorked } = req.body;
+    const day = DailyCheckIn.normalizeDate(date || new Date());
+
+    if (day > DailyCheckIn.normalizeDate()) {
+      return res.status(400).json({
+        error: {
+          message: 'Cannot check in for a future date',
+          status: 400
+        }
+      });
+    }
+
+    const existingCheckIn = await DailyCheckIn.findOne({ user: req.user._id, date: day });
+    if (existingCheckIn) {
+      return res.status(400).json({
+        error: {
+          message: 'You have already checked in for this day',
+          status: 400
+        }
+      });
+    }
+
+    if (!(await verifyLinkedTasks(tasks, req.user._id))) {
+      return res.status(400).json({
+        error: {
+          message: 'Linked tasks must exist and be assigned to you',
+          status: 400
+        }
+      });
+    }
+
+    const checkIn = new DailyCheckIn({
+      user: req.user._id,
+      date: day,
+      yesterday: yesterday || '',
+      today,
+      blockers: blockers || '',
+      tasks: tasks || [],
+      hoursWorked: hoursWorked || 0
+    });
+
+    await checkIn.save();
+
+    await logActivity(req.user, { action: 'create', entityType: 'check_in', after: checkIn });
+
+    const populatedCheckIn = await DailyCheckIn.findById(checkIn._id)
+      .populate('user', 'name email')
+      .populate('tasks', 'title status');
+
+    res.status(201).json({
+      message: 'Check-in created successfully',
+      data: {
+        checkIn: populatedCheckIn
+      }
+    });
+
+  } catch (error) {
+    console.error('Create check-in error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          status: 400,
+          details: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+          }))
+        }
+      });
+    }
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   PUT /api/checkins/:id
+// @desc    Update check-in
+// @access  Private (Owner only)
+router.put('/:id', authenticateToken, validateObjectId('id'), validate(checkInValidationSchemas.update), async (req, res) => {
+  try {
+    const checkIn = await DailyCheckIn.findById(req.params.id);
+
+    if (!checkIn) {
+      return res.status(404).json({
+        error: {
+          message: 'Check-in not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!checkIn.isOwner(req.user._id)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to modify this check-in',
+          status: 403
+        }
+      });
+    }
+
+    if (req.body.tasks && !(await verifyLinkedTasks(req.body.tasks, req.user._id))) {
+      return res.status(400).json({
+        error: {
+          message: 'Linked tasks must exist and be assigned to you',
+          status: 400
+        }
+      });
+    }
+
+    const before = toSnapshot(checkIn);
+    Object.assign(checkIn, req.body);
+    await checkIn.save();
+
+    await logActivity(req.user, { action: 'update', entityType: 'check_in', before, after: checkIn });
+
+    const updatedCheckIn = await DailyCheckIn.findById(checkIn._id)
+      .populate('user', 'name email')
+      .populate('tasks', 'title status');
+
+    res.json({
+      message: 'Check-in updated successfully',
+      data: {
+        checkIn: updatedCheckIn
+      }
+    });
+
+  } catch (error) {
+    console.error('Update check-in error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          status: 400,
+          details: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+          }))
+        }
+      });
+    }
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/checkins/:id
+// @desc    Delete check-in
+// @access  Private (Owner or checkins:manage_all)
+router.delete('/:id', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const checkIn = await DailyCheckIn.findById(req.params.id);
+
+    if (!checkIn) {
+      return res.status(404).json({
+        error: {
+          message: 'Check-in not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!can(req.user, 'manage_all', 'checkins') && !checkIn.isOwner(req.user._id)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to delete this check-in',
+          status: 403
+        }
+      });
+    }
+
+    await DailyCheckIn.findByIdAndDelete(checkIn._id);
+
+    await logActivity(req.user, { action: 'delete', entityType: 'check_in', before: checkIn });
+
+    res.json({
+      message: 'Check-in deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete check-in error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
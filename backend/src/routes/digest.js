@@ -0,0 +1,111 @@
+const express = require('express');
+const User = require('../models/User');
+const { buildDigest, sendDigest } = require('../services/digest');
+const { renderDigestText, renderDigestHtml } = require('../templates/digestEmail');
+const { authenticateToken } = require('../middleware/auth');
+const { validate, digestValidationSchemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   GET /api/digest/preferences
+// @desc    Get the current user's daily digest settings
+// @access  Private
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('emailDigest');
+
+    res.json({
+      message: 'Digest preferences retrieved successfully',
+      data: {
+        emailDigest: user.emailDigest
+      }
+    });
+
+  } catch (error) {
+    console.error('Get digest preferences error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   PATCH /api/digest/preferences
+// @desc    Opt in to or out of the daily digest email
+// @access  Private
+router.patch('/preferences', authenticateToken, validate(digestValidationSchemas.updatePreferences), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    user.emailDigest.enabled = req.body.enabled;
+    await user.save();
+
+    res.json({
+      message: req.body.enabled ? 'Daily digest enabled' : 'Daily digest disabled',
+      data: {
+        emailDigest: user.emailDigest
+      }
+    });
+
+  } catch (error) {
+    console.error('Update digest preferences error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/digest/preview
+// @desc    Preview today's digest for the current user
+// @access  Private
+router.get('/preview', authenticateToken, async (req, res) => {
+  try {
+    const digest = await buildDigest(req.user);
+
+    res.json({
+      message: 'Digest preview generated successfully',
+      data: {
+        digest,
+        text: renderDigestText(digest),
+        html: renderDigestHtml(digest)
+      }
+    });
+
+  } catch (error) {
+    console.error('Preview digest error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/digest/send
+// @desc    Send today's digest to the current user now
+// @access  Private
+router.post('/send', authenticateToken, async (req, res) => {
+  try {
+    await sendDigest(req.user, new Date(), { force: true });
+
+    res.json({
+      message: `Digest sent to ${req.user.email}`
+    });
+
+  } catch (error) {
+    console.error('Send digest error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { validate, invitationValidationSchemas } = require('../middleware/validation');
+const { logActivity, toSnapshot } = require('../services/activity');
+const { findOpenInvitation, respondToInvitation } = require('../services/teamInvitations');
+
+const router = express.Router();
+
+const INVALID_INVITATION_MESSAGE = 'Invitation is invalid, has expired or was already answered';
+
+// @route   GET /api/invitations/:token
+// @desc    Get the team and inviter of a pending invitation
+// @access  Public (invitation token)
+router.get('/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+    const invitation = /^[0-9a-f]{64}$/i.test(token)
+      ? await findOpenInvitation(token)
+        .populate('team', 'name description isActive')
+        .populate('invitedBy', 'name')
+      : null;
+
+    if (!invitation || !invitation.team || !invitation.team.isActive) {
+      return res.status(404).json({
+        error: {
+          message: INVALID_INVITATION_MESSAGE,
+          status: 404
+        }
+      });
+    }
+
+    const accountExists = Boolean(await User.exists({ email: invitation.email }));
+
+    res.json({
+      message: 'Invitation retrieved successfully',
+      data: {
+        invitation: {
+          email: invitation.email,
+          team: { name: invitation.team.name, description: invitation.team.description },
+          invitedBy: { name: invitation.invitedBy.name },
+          expiresAt: invitation.expiresAt
+        },
+        accountExists
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/invitations/accept
+// @desc    Accept an invitation and join the team; creates the account
+//          (name, password) when the invited email has none
+// @access  Public (invitation token)
+router.post('/accept', validate(invitationValidationSchemas.accept), async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    const pending = await findOpenInvitation(token);
+    const team = pending ? await Team.findById(pending.team) : null;
+    if (!team || !team.isActive) {
+      return res.status(400).json({
+        error: {
+          message: INVALID_INVITATION_MESSAGE,
+          status: 400
+        }
+      });
+    }
+
+    let user = await User.findOne({ email: pending.email });
+    if (user && !user.isActive) {
+      return res.status(400).json({
+        error: {
+          message: 'User account is deactivated',
+          status: 400
+        }
+      });
+    }
+
+    if (!user && !password) {
+      return res.status(400).json({
+        error: {
+          message: 'Name and password are required to create your account',
+          status: 400,
+          code: 'ACCOUNT_REQUIRED'
+        }
+      });
+    }
+
+    // Mark the invitation accepted; a token works only once
+    const invitation = await respondToInvitation(token, 'accepted');
+    if (!invitation) {
+      return res.status(400).json({
+        error: {
+          message: INVALID_INVITATION_MESSAGE,
+          status: 400
+        }
+      });
+    }
+
+    const accountCreated = !user;
+    if (accountCreated) {
+      const saltRounds = 12;
+      user = new User({
+        name: name.trim(),
+        email: invitation.email,
+        password: await bcrypt.hash(password, saltRounds),
+        createdBy: invitation.invitedBy
+      });
+      await user.save();
+
+      await logActivity(user, { action: 'create', entityType: 'user', after: user, metadata: { invitation: invitation._id } });
+    }
+
+    if (!team.isMember(user._id)) {
+      const before = toSnapshot(team);
+      team.addMember(user._id, 'member');
+      await team.save();
+
+      await logActivity(user, {
+        action: 'add_member',
+        entityType: 'team',
+        before,
+        after: team,
+        team,
+        metadata: { user: user._id, name: user.name, role: 'member', invitation: invitation._id }
+      });
+
+      await User.findByIdAndUpdate(user._id, {
+        $addToSet: { teams: team._id }
+      });
+    }
+
+    res.json({
+      message: `You joined ${team.name}`,
+      data: {
+        team: { _id: team._id, name: team.name },
+        accountCreated
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/invitations/decline
+// @desc    Decline an invitation
+// @access  Public (invitation token)
+router.post('/decline', validate(invitationValidationSchemas.decline), async (req, res) => {
+  try {
+    const invitation = await respondToInvitation(req.body.token, 'declined');
+    if (!invitation) {
+      return res.status(400).json({
+        error: {
+          message: INVALID_INVITATION_MESSAGE,
+          status: 400
+        }
+      });
+    }
+
+    // Declined by the invited account, or by someone who has none yet
+    const user = await User.findOne({ email: invitation.email }).select('_id');
+    await logActivity(user, {
+      action: 'update',
+      entityType: 'team_invitation',
+      entity: invitation,
+      team: invitation.team,
+      metadata: { email: invitation.email, status: 'declined' }
+    });
+
+    res.json({
+      message: 'Invitation declined'
+    });
+
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
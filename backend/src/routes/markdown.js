@@ -0,0 +1,51 @@
+const express = require('express');
+const Project = require('../models/Project');
+const { authenticateToken, requireProjectAccess } = require('../middleware/auth');
+const { validate, markdownValidationSchemas } = require('../middleware/validation');
+const { renderMarkdown, resolveTaskTitles } = require('../services/markdown');
+const { resolveMentions } = require('../services/mentions');
+
+const router = express.Router();
+
+// @route   POST /api/markdown/preview
+// @desc    Render Markdown the way it will be shown once saved in a project
+// @access  Private (Project access required)
+router.post('/preview', authenticateToken, validate(markdownValidationSchemas.preview), requireProjectAccess, async (req, res) => {
+  try {
+    const { text, projectId } = req.body;
+
+    // requireProjectAccess only loads the project for project members
+    const project = req.project || await Project.findById(projectId).populate('team');
+    if (!project) {
+      return res.status(404).json({
+        error: {
+          message: 'Project not found',
+          status: 404
+        }
+      });
+    }
+
+    const [taskTitles, mentions] = await Promise.all([
+      resolveTaskTitles([text], project._id),
+      resolveMentions(text, project)
+    ]);
+
+    res.json({
+      message: 'Preview rendered successfully',
+      data: {
+        html: renderMarkdown(text, { taskTitles, mentions })
+      }
+    });
+
+  } catch (error) {
+    console.error('Markdown preview error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { NOTIFICATION_TYPES } = require('../services/notifications');
+const { authenticateToken } = require('../middleware/auth');
+const { validate, validateObjectId, validateQuery, notificationValidationSchemas, paginationSchema } = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get notifications of the current user
+// @access  Private
+router.get('/', authenticateToken, validateQuery(paginationSchema.keys({
+  unread: require('joi').boolean(),
+  type: require('joi').string().valid(...NOTIFICATION_TYPES)
+})), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, order = 'desc', unread, type } = req.query;
+
+    const query = { recipient: req.user._id };
+    if (unread) query.isRead = false;
+    if (type) query.type = type;
+
+    const notifications = await Notification.find(query)
+      .populate('actor', 'name email')
+      .populate('task', 'title status')
+      .populate('project', 'name')
+      .populate('team', 'name')
+      .sort({ createdAt: order === 'asc' ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean();
+
+    const [total, unreadCount] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.countDocuments({ recipient: req.user._id, isRead: false })
+    ]);
+
+    res.json({
+      message: 'Notifications retrieved successfully',
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalNotifications: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark all notifications of the current user as read
+// @access  Private
+router.patch('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    res.json({
+      message: 'All notifications marked as read',
+      data: {
+        updated: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get notification preferences of the current user
+// @access  Private
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    res.json({
+      message: 'Notification preferences retrieved successfully',
+      data: {
+        preferences: user.notificationPreferences
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   PATCH /api/notifications/preferences
+// @desc    Choose which events create notifications for the current user
+// @access  Private
+router.patch('/preferences', authenticateToken, validate(notificationValidationSchemas.updatePreferences), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    Object.keys(req.body).forEach(type => {
+      user.notificationPreferences[type] = req.body[type];
+    });
+    await user.save();
+
+    res.json({
+      message: 'Notification preferences updated successfully',
+      data: {
+        preferences: user.notificationPreferences
+      }
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark a notification as read (or unread again)
+// @access  Private (Recipient only)
+router.patch('/:id/read', authenticateToken, validateObjectId('id'), validate(notificationValidationSchemas.markRead), async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification || !notification.isRecipient(req.user._id)) {
+      return res.status(404).json({
+        error: {
+          message: 'Notification not found',
+          status: 404
+        }
+      });
+    }
+
+    notification.markRead(req.body.isRead);
+    await notification.save();
+
+    res.json({
+      message: notification.isRead ? 'Notification marked as read' : 'Notification marked as unread',
+      data: {
+        notification
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
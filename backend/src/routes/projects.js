@@ -2,11 +2,50 @@ const express = require('express');
 const Project = require('../models/Project');
 const Team = require('../models/Team');
 const User = require('../models/User');
-const { authenticateToken, requireTeamLeaderOrAdmin, requireProjectAccess, requireProjectManagement } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireProjectAccess, requireProjectManagement } = require('../middleware/auth');
+const { can } = require('../services/permissions');
 const { validate, validateObjectId, validateQuery, projectValidationSchemas, paginationSchema } = require('../middleware/validation');
+const { computeProjectSchedule } = require('../services/schedule');
+const { CLOSED_STATUSES, getWorkflow, isDefaultWorkflow, getWorkflowStatus } = require('../services/workflow');
+const { logActivity, toSnapshot } = require('../services/activity');
+const { getMemberRules, hasManagementRights } = require('../services/projectRoles');
+const { removeStoredFiles } = require('../services/storage');
+const { storeUpload, sendAttachment } = require('../services/attachments');
+const { renderMarkdown, resolveTaskTitles } = require('../services/markdown');
+const { getProjectVisibilityQuery } = require('../services/visibility');
+const { escapeRegex } = require('../services/search');
+const { uploadAttachment } = require('../middleware/upload');
 
 const router = express.Router();
 
+// Make sure no task of the project sits in a status the new workflow drops.
+// Returns an error payload or null.
+const checkStatusesInUse = async (projectId, workflow) => {
+  const Task = require('../models/Task');
+  const usedStatuses = await Task.distinct('status', { project: projectId });
+  const missing = usedStatuses.filter(status => !getWorkflowStatus(workflow, status));
+
+  if (missing.length === 0) return null;
+
+  return {
+    message: 'Some tasks use statuses that are not part of the new workflow',
+    details: {
+      statuses: missing
+    }
+  };
+};
+
+// Refresh the category and progress stored on tasks after a workflow change
+const syncTaskStatuses = async (projectId, workflow) => {
+  const Task = require('../models/Task');
+  await Promise.all(workflow.statuses.map(status =>
+    Task.updateMany(
+      { project: projectId, status: status.key },
+      { $set: { statusCategory: status.category, statusProgress: status.progress } }
+    )
+  ));
+};
+
 // @route   GET /api/projects
 // @desc    Get all projects (filtered by user access)
 // @access  Private
@@ -18,33 +57,11 @@ router.get('/', authenticateToken, validateQuery(paginationSchema.keys({
   try {
     const { page = 1, limit = 10, sort = 'createdAt', order = 'desc', search, status, priority, teamId } = req.query;
     
-    // Build query based on user role and access
-    let query = {};
-    
-    if (req.user.role === 'admin') {
-      // Admin can see all projects
-    } else if (req.user.role === 'team_leader') {
-      // Team leaders can see projects from their teams
-      const userTeams = await Team.find({ teamLeader: req.user._id });
-      const teamIds = userTeams.map(team => team._id);
-      query.team = { $in: teamIds };
-    } else {
-      // Members can see projects they are assigned to
-      query.$or = [
-        { 'assignedMembers.user': req.user._id },
-        { projectManager: req.user._id }
-      ];
-    }
+    // Build query based on user permissions and access
+    let query = await getProjectVisibilityQuery(req.user);
     
     if (search) {
-      query.$and = query.$and || [];
-      query.$and.push({
-        $or: [
-          { name: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { tags: { $in: [new RegExp(search, 'i')] } }
-        ]
-      });
+      query.$text = { $search: search };
     }
     
     if (status) query.status = status;
@@ -108,13 +125,13 @@ router.get('/', authenticateToken, validateQuery(paginationSchema.keys({
 
 // @route   GET /api/projects/stats
 // @desc    Get project statistics
-// @access  Private (Team Leader or Admin)
-router.get('/stats', authenticateToken, requireTeamLeaderOrAdmin, async (req, res) => {
+// @access  Private (projects:view_stats)
+router.get('/stats', authenticateToken, requirePermission('view_stats', 'projects'), async (req, res) => {
   try {
-    // Build query based on user role
+    // Without projects:read_all, stats cover the projects of led teams
     let matchQuery = {};
     
-    if (req.user.role === 'team_leader') {
+    if (!can(req.user, 'read_all', 'projects')) {
       const userTeams = await Team.find({ teamLeader: req.user._id });
       const teamIds = userTeams.map(team => team._id);
       matchQuery.team = { $in: teamIds };
@@ -216,6 +233,7 @@ router.get('/:id', authenticateToken, validateObjectId('id'), requireProjectAcce
       .populate('team', 'name description teamLeader members')
       .populate('projectManager', 'name email profile')
       .populate('assignedMembers.user', 'name email role profile')
+      .populate('attachments.uploadedBy', 'name email')
       .populate('createdBy', 'name email');
 
     if (!project) {
@@ -234,14 +252,19 @@ router.get('/:id', authenticateToken, validateObjectId('id'), requireProjectAcce
       {
         $group: {
           _id: '$status',
+          category: { $first: { $ifNull: ['$statusCategory', '$status'] } },
           count: { $sum: 1 },
           totalHours: { $sum: '$actualHours' }
         }
       }
     ]);
 
+    const taskTitles = await resolveTaskTitles([project.description], project._id);
+
     const projectWithStats = {
       ...project.toObject(),
+      descriptionHtml: renderMarkdown(project.description, { taskTitles }),
+      workflow: getWorkflow(project),
       taskStats,
       duration: project.duration,
       progressPercentage: project.progressPercentage,
@@ -267,16 +290,343 @@ router.get('/:id', authenticateToken, validateObjectId('id'), requireProjectAcce
   }
 });
 
+// @route   GET /api/projects/:projectId/schedule
+// @desc    Get project schedule: earliest/latest start, slack and critical path
+// @access  Private (Project access required)
+router.get('/:projectId/schedule', authenticateToken, validateObjectId('projectId'), requireProjectAccess, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        error: {
+          message: 'Project not found',
+          status: 404
+        }
+      });
+    }
+
+    const Task = require('../models/Task');
+    const tasks = await Task.find({ project: project._id })
+      .select('title status priority assignedTo startDate dueDate estimatedHours dependencies')
+      .populate('assignedTo', 'name email')
+      .lean();
+
+    const schedule = computeProjectSchedule(project, tasks);
+
+    if (schedule.cycle) {
+      return res.status(400).json({
+        error: {
+          message: 'Project tasks contain a dependency cycle',
+          status: 400,
+          details: {
+            cycle: schedule.cycle
+          }
+        }
+      });
+    }
+
+    res.json({
+      message: 'Project schedule retrieved successfully',
+      data: {
+        project: {
+          _id: project._id,
+          name: project.name,
+          startDate: project.startDate,
+          endDate: project.endDate
+        },
+        schedule
+      }
+    });
+
+  } catch (error) {
+    console.error('Get project schedule error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/projects/:projectId/workflow
+// @desc    Get the task status workflow of a project
+// @access  Private (Project access required)
+router.get('/:projectId/workflow', authenticateToken, validateObjectId('projectId'), requireProjectAccess, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId).select('name workflow');
+
+    if (!project) {
+      return res.status(404).json({
+        error: {
+          message: 'Project not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      message: 'Project workflow retrieved successfully',
+      data: {
+        workflow: getWorkflow(project),
+        isDefault: isDefaultWorkflow(project)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get project workflow error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   PUT /api/projects/:projectId/workflow
+// @desc    Replace the task status workflow of a project
+// @access  Private (Project Manager, Team Leader, or projects:manage_all)
+router.put('/:projectId/workflow', authenticateToken, validateObjectId('projectId'), requireProjectManagement, validate(projectValidationSchemas.workflow), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        error: {
+          message: 'Project not found',
+          status: 404
+        }
+      });
+    }
+
+    const workflow = req.body;
+    const inUseError = await checkStatusesInUse(project._id, workflow);
+    if (inUseError) {
+      return res.status(400).json({
+        error: {
+          ...inUseError,
+          status: 400
+        }
+      });
+    }
+
+    const before = toSnapshot(project);
+    project.workflow = workflow;
+    await project.save();
+
+    await logActivity(req.user, { action: 'update', entityType: 'project', before, after: project, project, team: project.team });
+    await syncTaskStatuses(project._id, workflow);
+
+    res.json({
+      message: 'Project workflow updated successfully',
+      data: {
+        workflow: getWorkflow(project),
+        isDefault: false
+      }
+    });
+
+  } catch (error) {
+    console.error('Update project workflow error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          status: 400,
+          details: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+          }))
+        }
+      });
+    }
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/projects/:projectId/workflow
+// @desc    Reset a project to the default task status workflow
+// @access  Private (Project Manager, Team Leader, or projects:manage_all)
+router.delete('/:projectId/workflow', authenticateToken, validateObjectId('projectId'), requireProjectManagement, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        error: {
+          message: 'Project not found',
+          status: 404
+        }
+      });
+    }
+
+    const workflow = getWorkflow(null);
+    const inUseError = await checkStatusesInUse(project._id, workflow);
+    if (inUseError) {
+      return res.status(400).json({
+        error: {
+          ...inUseError,
+          status: 400
+        }
+      });
+    }
+
+    const before = toSnapshot(project);
+    project.workflow = { statuses: [], transitions: [] };
+    await project.save();
+
+    await logActivity(req.user, { action: 'update', entityType: 'project', before, after: project, project, team: project.team });
+    await syncTaskStatuses(project._id, workflow);
+
+    res.json({
+      message: 'Project workflow reset to default',
+      data: {
+        workflow,
+        isDefault: true
+      }
+    });
+
+  } catch (error) {
+    console.error('Reset project workflow error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/projects/:projectId/member-rules
+// @desc    Get the rules tied to the project's member roles
+// @access  Private (Project access required)
+router.get('/:projectId/member-rules', authenticateToken, validateObjectId('projectId'), requireProjectAccess, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId).select('name memberRules');
+
+    if (!project) {
+      return res.status(404).json({
+        error: {
+          message: 'Project not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      message: 'Project member rules retrieved successfully',
+      data: {
+        memberRules: getMemberRules(project)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get project member rules error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   PUT /api/projects/:projectId/member-rules
+// @desc    Change the rules tied to the project's member roles; rules left out are kept
+// @access  Private (Project Manager, Team Leader, or projects:manage_all)
+router.put('/:projectId/member-rules', authenticateToken, validateObjectId('projectId'), requireProjectManagement, validate(projectValidationSchemas.memberRules), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        error: {
+          message: 'Project not found',
+          status: 404
+        }
+      });
+    }
+
+    const before = toSnapshot(project);
+    project.memberRules = { ...getMemberRules(project), ...req.body };
+    await project.save();
+
+    await logActivity(req.user, { action: 'update', entityType: 'project', before, after: project, project, team: project.team });
+
+    res.json({
+      message: 'Project member rules updated successfully',
+      data: {
+        memberRules: getMemberRules(project)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update project member rules error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/projects/:projectId/member-rules
+// @desc    Reset a project to the default member rules
+// @access  Private (Project Manager, Team Leader, or projects:manage_all)
+router.delete('/:projectId/member-rules', authenticateToken, validateObjectId('projectId'), requireProjectManagement, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        error: {
+          message: 'Project not found',
+          status: 404
+        }
+      });
+    }
+
+    const before = toSnapshot(project);
+    project.memberRules = undefined;
+    await project.save();
+
+    await logActivity(req.user, { action: 'update', entityType: 'project', before, after: project, project, team: project.team });
+
+    res.json({
+      message: 'Project member rules reset to default',
+      data: {
+        memberRules: getMemberRules(project)
+      }
+    });
+
+  } catch (error) {
+    console.error('Reset project member rules error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
 // @route   POST /api/projects
 // @desc    Create new project (Team Leader or Admin)
-// @access  Private (Team Leader or Admin)
-router.post('/', authenticateToken, requireTeamLeaderOrAdmin, validate(projectValidationSchemas.create), async (req, res) => {
+// @access  Private (projects:create)
+router.post('/', authenticateToken, requirePermission('create', 'projects'), validate(projectValidationSchemas.create), async (req, res) => {
   try {
     const { name, description, team, projectManager, assignedMembers, status, priority, startDate, endDate, budget, tags } = req.body;
 
     // Check if project name already exists within the team
     const existingProject = await Project.findOne({ 
-      name: { $regex: new RegExp(`^${name}$`, 'i') },
+      name: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') },
       team: team
     });
     if (existingProject) {
@@ -300,7 +650,7 @@ router.post('/', authenticateToken, requireTeamLeaderOrAdmin, validate(projectVa
     }
 
     // Check if user can create projects in this team
-    if (req.user.role !== 'admin' && !teamDoc.isTeamLeader(req.user._id)) {
+    if (!can(req.user, 'manage_all', 'teams') && !teamDoc.isTeamLeader(req.user._id)) {
       return res.status(403).json({
         error: {
           message: 'Only team leaders can create projects for their team',
@@ -362,6 +712,8 @@ router.post('/', authenticateToken, requireTeamLeaderOrAdmin, validate(projectVa
 
     await project.save();
 
+    await logActivity(req.user, { action: 'create', entityType: 'project', after: project, project, team: project.team });
+
     const populatedProject = await Project.findById(project._id)
       .populate('team', 'name')
       .populate('projectManager', 'name email')
@@ -419,7 +771,7 @@ router.put('/:id', authenticateToken, requireProjectManagement, validateObjectId
     // Check if new name already exists within the team
     if (updateData.name && updateData.name !== project.name) {
       const existingProject = await Project.findOne({ 
-        name: { $regex: new RegExp(`^${updateData.name}$`, 'i') },
+        name: { $regex: new RegExp(`^${escapeRegex(updateData.name)}$`, 'i') },
         team: project.team,
         _id: { $ne: projectId }
       });
@@ -462,9 +814,12 @@ router.put('/:id', authenticateToken, requireProjectManagement, validateObjectId
     }
 
     // Update project
+    const before = toSnapshot(project);
     Object.assign(project, updateData);
     await project.save();
 
+    await logActivity(req.user, { action: 'update', entityType: 'project', before, after: project, project, team: project.team });
+
     const updatedProject = await Project.findById(projectId)
       .populate('team', 'name')
       .populate('projectManager', 'name email')
@@ -550,9 +905,20 @@ router.post('/:id/members', authenticateToken, requireProjectManagement, validat
     }
 
     // Add member
+    const before = toSnapshot(project);
     project.addMember(userId, role);
     await project.save();
 
+    await logActivity(req.user, {
+      action: 'add_member',
+      entityType: 'project',
+      before,
+      after: project,
+      project,
+      team: project.team,
+      metadata: { user: user._id, name: user.name, role }
+    });
+
     const updatedProject = await Project.findById(projectId)
       .populate('team', 'name')
       .populate('projectManager', 'name email')
@@ -577,6 +943,73 @@ router.post('/:id/members', authenticateToken, requireProjectManagement, validat
   }
 });
 
+// @route   PUT /api/projects/:projectId/members/:userId
+// @desc    Change a project member's role
+// @access  Private (Project management access required)
+router.put('/:projectId/members/:userId', authenticateToken, validateObjectId('projectId'), validateObjectId('userId'), requireProjectManagement, validate(projectValidationSchemas.memberRole), async (req, res) => {
+  try {
+    const { projectId, userId } = req.params;
+    const { role } = req.body;
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({
+        error: {
+          message: 'Project not found',
+          status: 404
+        }
+      });
+    }
+
+    const member = project.assignedMembers.find(item => item.user.toString() === userId);
+    if (!member) {
+      return res.status(404).json({
+        error: {
+          message: 'User is not assigned to this project',
+          status: 404
+        }
+      });
+    }
+
+    const before = toSnapshot(project);
+    const previousRole = member.role;
+    member.role = role;
+    await project.save();
+
+    await logActivity(req.user, {
+      action: 'update',
+      entityType: 'project',
+      before,
+      after: project,
+      project,
+      team: project.team,
+      metadata: { user: member.user, previousRole, role }
+    });
+
+    const updatedProject = await Project.findById(projectId)
+      .populate('team', 'name')
+      .populate('projectManager', 'name email')
+      .populate('assignedMembers.user', 'name email role')
+      .populate('createdBy', 'name email');
+
+    res.json({
+      message: 'Project member role updated successfully',
+      data: {
+        project: updatedProject
+      }
+    });
+
+  } catch (error) {
+    console.error('Update project member role error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
 // @route   DELETE /api/projects/:id/members/:userId
 // @desc    Remove member from project
 // @access  Private (Project management access required)
@@ -620,7 +1053,7 @@ router.delete('/:id/members/:userId', authenticateToken, requireProjectManagemen
     const activeTasks = await Task.find({
       project: projectId,
       assignedTo: userId,
-      status: { $in: ['todo', 'in_progress', 'review'] }
+      status: { $nin: CLOSED_STATUSES }
     });
 
     if (activeTasks.length > 0) {
@@ -636,9 +1069,20 @@ router.delete('/:id/members/:userId', authenticateToken, requireProjectManagemen
     }
 
     // Remove member
+    const before = toSnapshot(project);
     project.removeMember(userId);
     await project.save();
 
+    await logActivity(req.user, {
+      action: 'remove_member',
+      entityType: 'project',
+      before,
+      after: project,
+      project,
+      team: project.team,
+      metadata: { user: userId }
+    });
+
     const updatedProject = await Project.findById(projectId)
       .populate('team', 'name')
       .populate('projectManager', 'name email')
@@ -663,9 +1107,169 @@ router.delete('/:id/members/:userId', authenticateToken, requireProjectManagemen
   }
 });
 
+// @route   POST /api/projects/:projectId/attachments
+// @desc    Upload a file to a project (multipart, "file" field)
+// @access  Private (Project access required)
+router.post('/:projectId/attachments', authenticateToken, validateObjectId('projectId'), requireProjectAccess, uploadAttachment, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        error: {
+          message: 'Project not found',
+          status: 404
+        }
+      });
+    }
+
+    const attachment = await storeUpload(req.file, { folder: 'projects', entityId: project._id, user: req.user });
+
+    const before = toSnapshot(project);
+    project.attachments.push(attachment);
+    await project.save();
+
+    await logActivity(req.user, {
+      action: 'update',
+      entityType: 'project',
+      before,
+      after: project,
+      project,
+      team: project.team,
+      metadata: { attachment: attachment.name }
+    });
+
+    res.status(201).json({
+      message: 'Attachment uploaded successfully',
+      data: {
+        attachment: project.attachments[project.attachments.length - 1]
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload project attachment error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/projects/:projectId/attachments/:attachmentId
+// @desc    Download a project attachment
+// @access  Private (Project access required)
+router.get('/:projectId/attachments/:attachmentId', authenticateToken, validateObjectId('projectId'), validateObjectId('attachmentId'), requireProjectAccess, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId).select('attachments');
+
+    if (!project) {
+      return res.status(404).json({
+        error: {
+          message: 'Project not found',
+          status: 404
+        }
+      });
+    }
+
+    const attachment = project.attachments.id(req.params.attachmentId);
+    if (!attachment || !attachment.storageKey) {
+      return res.status(404).json({
+        error: {
+          message: 'Attachment not found',
+          status: 404
+        }
+      });
+    }
+
+    sendAttachment(res, attachment);
+
+  } catch (error) {
+    console.error('Download project attachment error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/projects/:projectId/attachments/:attachmentId
+// @desc    Delete a project attachment and its stored file
+// @access  Private (Uploader or project management access)
+router.delete('/:projectId/attachments/:attachmentId', authenticateToken, validateObjectId('projectId'), validateObjectId('attachmentId'), requireProjectAccess, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId).populate('team');
+
+    if (!project) {
+      return res.status(404).json({
+        error: {
+          message: 'Project not found',
+          status: 404
+        }
+      });
+    }
+
+    const attachment = project.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        error: {
+          message: 'Attachment not found',
+          status: 404
+        }
+      });
+    }
+
+    const canDelete = (attachment.uploadedBy && attachment.uploadedBy.toString() === req.user._id.toString()) ||
+                      can(req.user, 'manage_all', 'projects') ||
+                      hasManagementRights(project, req.user._id) ||
+                      project.team.isTeamLeader(req.user._id);
+
+    if (!canDelete) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to delete this attachment',
+          status: 403
+        }
+      });
+    }
+
+    const before = toSnapshot(project);
+    project.attachments.pull(attachment._id);
+    await project.save();
+
+    await removeStoredFiles([attachment]);
+
+    await logActivity(req.user, {
+      action: 'update',
+      entityType: 'project',
+      before,
+      after: project,
+      project,
+      team: project.team,
+      metadata: { attachment: attachment.name, removed: true }
+    });
+
+    res.json({
+      message: 'Attachment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete project attachment error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
 // @route   DELETE /api/projects/:id
-// @desc    Delete project (Admin or Project Manager)
-// @access  Private (Admin or Project Manager)
+// @desc    Delete project
+// @access  Private (Project management access required)
 router.delete('/:id', authenticateToken, requireProjectManagement, validateObjectId('id'), async (req, res) => {
   try {
     const projectId = req.params.id;
@@ -684,7 +1288,7 @@ router.delete('/:id', authenticateToken, requireProjectManagement, validateObjec
     const Task = require('../models/Task');
     const activeTasks = await Task.find({
       project: projectId,
-      status: { $in: ['todo', 'in_progress', 'review'] }
+      status: { $nin: CLOSED_STATUSES }
     });
 
     if (activeTasks.length > 0) {
@@ -700,6 +1304,9 @@ router.delete('/:id', authenticateToken, requireProjectManagement, validateObjec
     }
 
     await Project.findByIdAndDelete(projectId);
+    await removeStoredFiles(project.attachments);
+
+    await logActivity(req.user, { action: 'delete', entityType: 'project', before: project, project, team: project.team });
 
     res.json({
       message: 'Project deleted successfully'
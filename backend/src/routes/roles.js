@@ -0,0 +1,219 @@
+const express = require('express');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validate, roleValidationSchemas } = require('../middleware/validation');
+const { logActivity, toSnapshot } = require('../services/activity');
+const { PERMISSIONS, ADMIN_ROLE, ROLE_KEY_PATTERN, loadRoles } = require('../services/permissions');
+
+const router = express.Router();
+
+// Validate the :key route parameter
+const validateRoleKey = (req, res, next) => {
+  if (!ROLE_KEY_PATTERN.test(req.params.key)) {
+    return res.status(400).json({
+      error: {
+        message: 'Invalid key format',
+        status: 400
+      }
+    });
+  }
+  next();
+};
+
+// @route   GET /api/roles
+// @desc    Get all roles with their permissions and number of users
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ isBuiltIn: -1, name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+
+    const userCounts = new Map(counts.map(count => [count._id, count.count]));
+
+    res.json({
+      message: 'Roles retrieved successfully',
+      data: {
+        roles: roles.map(role => ({ ...role, userCount: userCounts.get(role.key) || 0 }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/roles/permissions
+// @desc    Get every permission that can be granted, grouped by resource
+// @access  Private
+router.get('/permissions', authenticateToken, (req, res) => {
+  res.json({
+    message: 'Permissions retrieved successfully',
+    data: {
+      permissions: PERMISSIONS
+    }
+  });
+});
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private (roles:manage)
+router.post('/', authenticateToken, requirePermission('manage', 'roles'), validate(roleValidationSchemas.create), async (req, res) => {
+  try {
+    const { key, name, description, permissions } = req.body;
+
+    const existingRole = await Role.findOne({ key });
+    if (existingRole) {
+      return res.status(400).json({
+        error: {
+          message: 'Role with this key already exists',
+          status: 400
+        }
+      });
+    }
+
+    const role = await Role.create({
+      key,
+      name,
+      description,
+      permissions,
+      createdBy: req.user._id
+    });
+
+    await loadRoles({ force: true });
+
+    await logActivity(req.user, { action: 'create', entityType: 'role', after: role });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      data: {
+        role
+      }
+    });
+
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   PUT /api/roles/:key
+// @desc    Update a role's name, description or permissions
+// @access  Private (roles:manage)
+router.put('/:key', authenticateToken, requirePermission('manage', 'roles'), validateRoleKey, validate(roleValidationSchemas.update), async (req, res) => {
+  try {
+    const role = await Role.findOne({ key: req.params.key });
+    if (!role) {
+      return res.status(404).json({
+        error: {
+          message: 'Role not found',
+          status: 404
+        }
+      });
+    }
+
+    // Admin always holds every permission
+    if (role.key === ADMIN_ROLE && req.body.permissions) {
+      return res.status(400).json({
+        error: {
+          message: 'Permissions of the admin role cannot be changed',
+          status: 400
+        }
+      });
+    }
+
+    const before = toSnapshot(role);
+    role.set(req.body);
+    await role.save();
+
+    await loadRoles({ force: true });
+
+    await logActivity(req.user, { action: 'update', entityType: 'role', before, after: role });
+
+    res.json({
+      message: 'Role updated successfully',
+      data: {
+        role
+      }
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/roles/:key
+// @desc    Delete a custom role that no user is assigned to
+// @access  Private (roles:manage)
+router.delete('/:key', authenticateToken, requirePermission('manage', 'roles'), validateRoleKey, async (req, res) => {
+  try {
+    const role = await Role.findOne({ key: req.params.key });
+    if (!role) {
+      return res.status(404).json({
+        error: {
+          message: 'Role not found',
+          status: 404
+        }
+      });
+    }
+
+    if (role.isBuiltIn) {
+      return res.status(400).json({
+        error: {
+          message: 'Built-in roles cannot be deleted',
+          status: 400
+        }
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.key });
+    if (userCount > 0) {
+      return res.status(400).json({
+        error: {
+          message: `Role is assigned to ${userCount} user(s). Reassign them first.`,
+          status: 400
+        }
+      });
+    }
+
+    await Role.deleteOne({ _id: role._id });
+
+    await loadRoles({ force: true });
+
+    await logActivity(req.user, { action: 'delete', entityType: 'role', before: role });
+
+    res.json({
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { validateQuery, searchValidationSchemas } = require('../middleware/validation');
+const { search, getSearchableTypes } = require('../services/search');
+
+const router = express.Router();
+
+// @route   GET /api/search
+// @desc    Full-text search across tasks, projects, teams, users and comments
+// @access  Private (results limited to what the user can see)
+router.get('/', authenticateToken, validateQuery(searchValidationSchemas.query), async (req, res) => {
+  try {
+    const { q, type, page, limit } = req.query;
+
+    if (type && !getSearchableTypes(req.user).includes(type)) {
+      return res.status(403).json({
+        error: {
+          message: `Access denied to search ${type}`,
+          status: 403
+        }
+      });
+    }
+
+    const { results, facets, total } = await search(q, req.user, { type, page, limit });
+
+    res.json({
+      message: 'Search completed successfully',
+      data: {
+        query: q,
+        type: type || null,
+        results,
+        facets,
+        ...(type && {
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalResults: total,
+            hasNext: page * limit < total,
+            hasPrev: page > 1
+          }
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validate, settingsValidationSchemas } = require('../middleware/validation');
+const { getSettings, updateSettings } = require('../services/settings');
+const { roleExists } = require('../services/permissions');
+const { logActivity, toSnapshot } = require('../services/activity');
+
+const router = express.Router();
+
+// @route   GET /api/settings
+// @desc    Get application settings
+// @access  Private (settings:manage)
+router.get('/', authenticateToken, requirePermission('manage', 'settings'), async (req, res) => {
+  try {
+    const settings = await getSettings();
+
+    res.json({
+      message: 'Settings retrieved successfully',
+      data: {
+        settings
+      }
+    });
+
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   PUT /api/settings/security
+// @desc    Update security settings (roles that must use two-factor authentication)
+// @access  Private (settings:manage)
+router.put('/security', authenticateToken, requirePermission('manage', 'settings'), validate(settingsValidationSchemas.updateSecurity), async (req, res) => {
+  try {
+    for (const role of req.body.twoFactorRequiredRoles) {
+      if (!await roleExists(role)) {
+        return res.status(400).json({
+          error: {
+            message: `Role ${role} does not exist`,
+            status: 400
+          }
+        });
+      }
+    }
+
+    const before = toSnapshot(await getSettings());
+    const settings = await updateSettings({ security: req.body }, req.user);
+
+    await logActivity(req.user, {
+      action: 'update',
+      entityType: 'setting',
+      entity: { _id: settings._id, name: 'Security settings' },
+      before,
+      after: settings
+    });
+
+    res.json({
+      message: 'Security settings updated successfully',
+      data: {
+        settings
+      }
+    });
+
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -2,20 +2,180 @@ const express = require('express');
 const Task = require('../models/Task');
 const Project = require('../models/Project');
 const User = require('../models/User');
+const TimeEntry = require('../models/TimeEntry');
+const { generateNextInstance, planNextStart } = require('../services/recurrence');
+const { detectDependencyCycle, getUnfinishedPredecessors, isGatedStatus, getDependencyGraph } = require('../services/dependencies');
+const { STATUS_CATEGORIES, getWorkflow, getWorkflowStatus, getStatusDefinitions, getActorRoles, checkTransition } = require('../services/workflow');
+const { logActivity, toSnapshot } = require('../services/activity');
+const { notify } = require('../services/notifications');
+const { can } = require('../services/permissions');
+const { hasManagementRights, checkReviewApproval, checkAssignmentRole } = require('../services/projectRoles');
+const { removeStoredFiles } = require('../services/storage');
+const { storeUpload, sendAttachment } = require('../services/attachments');
+const { resolveMentions } = require('../services/mentions');
+const { getTaskVisibilityQuery } = require('../services/visibility');
+const { renderMarkdown, resolveTaskTitles } = require('../services/markdown');
 const { authenticateToken, requireProjectAccess, requireProjectManagement } = require('../middleware/auth');
-const { validate, validateObjectId, validateQuery, taskValidationSchemas, paginationSchema } = require('../middleware/validation');
+const { uploadAttachment } = require('../middleware/upload');
+const { validate, validateObjectId, validateQuery, taskValidationSchemas, timeEntryValidationSchemas, paginationSchema, statusKeySchema } = require('../middleware/validation');
 
 const router = express.Router();
 
+// Verify proposed dependencies of a task: no self references, all in the
+// same project and no cycles. Returns an error payload or null when valid.
+const checkDependencies = async (projectId, taskId, dependencies) => {
+  if (!dependencies || dependencies.length === 0) return null;
+
+  if (dependencies.some(dep => dep.task.toString() === taskId.toString())) {
+    return { message: 'A task cannot depend on itself' };
+  }
+
+  const dependencyCount = await Task.countDocuments({
+    _id: { $in: dependencies.map(dep => dep.task) },
+    project: projectId
+  });
+
+  if (dependencyCount !== dependencies.length) {
+    return { message: 'Some dependency tasks not found or not in the same project' };
+  }
+
+  const cycle = await detectDependencyCycle(projectId, taskId, dependencies);
+  if (cycle) {
+    return { message: 'Dependencies would create a cycle', details: { cycle } };
+  }
+
+  return null;
+};
+
+// Check if a status change must wait for unfinished predecessors.
+// Users with tasks:force_dependencies may pass force to override.
+// Returns an error payload or null.
+const checkStatusGate = async (task, newStatus, dependencies, user, force) => {
+  if (!newStatus || newStatus === task.status || !isGatedStatus(getWorkflow(task.project), newStatus)) return null;
+
+  const blockingTasks = await getUnfinishedPredecessors({ _id: task._id, dependencies });
+  if (blockingTasks.length === 0) return null;
+  if (force && can(user, 'force_dependencies', 'tasks')) return null;
+
+  return {
+    message: 'Task is blocked by unfinished dependencies',
+    details: {
+      blockingTasks: blockingTasks.map(t => ({ id: t._id, title: t.title, status: t.status }))
+    }
+  };
+};
+
+// Check a status change against the project's workflow: the status must
+// exist and the transition must be allowed for the user's roles, including
+// the project's rule on who may complete tasks in review.
+// Expects task.project to be populated with its team. Returns an error payload or null.
+const checkWorkflowTransition = (task, newStatus, user) => {
+  if (!newStatus) return null;
+
+  const workflow = getWorkflow(task.project);
+  const transitionError = checkTransition(workflow, task.status, newStatus, user, getActorRoles(task, user));
+  if (transitionError || newStatus === task.status || can(user, 'bypass_workflow', 'tasks')) return transitionError;
+
+  return checkReviewApproval(
+    task.project,
+    getWorkflowStatus(workflow, task.status),
+    getWorkflowStatus(workflow, newStatus),
+    user
+  );
+};
+
+// Record a change to a task in the activity log, scoped to its project and team
+const logTaskActivity = (user, task, { action, before, after, metadata }) => {
+  const project = task.project;
+  return logActivity(user, {
+    action,
+    entityType: 'task',
+    entity: task,
+    before,
+    after,
+    project,
+    team: project && project.team,
+    metadata
+  });
+};
+
+// Tell the task creator and the project manager when a task enters review.
+// Expects task.project to be populated.
+const notifyIfMovedToReview = (task, before, actor) => {
+  if (before.statusCategory === 'review' || task.statusCategory !== 'review') return null;
+
+  return notify({
+    recipients: [task.assignedBy, task.project.projectManager],
+    actor,
+    type: 'task_review',
+    message: `${actor.name} moved "${task.title}" to review`,
+    task,
+    project: task.project
+  });
+};
+
+// Tell users they were mentioned in a comment. Expects task.project to be populated.
+const notifyMentions = (task, mentionedUsers, actor) => {
+  return notify({
+    recipients: mentionedUsers,
+    actor,
+    type: 'task_mentioned',
+    message: `${actor.name} mentioned you in a comment on "${task.title}"`,
+    task,
+    project: task.project
+  });
+};
+
+// Comments as plain objects with their Markdown rendered to commentHtml.
+// Expects comments.mentions to be populated.
+const renderComments = (comments, taskTitles) => {
+  return comments.map(comment => ({
+    ...comment.toObject(),
+    commentHtml: comment.isDeleted ? '' : renderMarkdown(comment.comment, { taskTitles, mentions: comment.mentions })
+  }));
+};
+
+// Rendered comments of a task with their authors and mentioned users
+const getPopulatedComments = async (taskId) => {
+  const task = await Task.findById(taskId)
+    .populate('comments.user', 'name email')
+    .populate('comments.mentions', 'name email')
+    .select('project comments');
+  const taskTitles = await resolveTaskTitles(task.comments.map(comment => comment.comment), task.project);
+  return renderComments(task.comments, taskTitles);
+};
+
+// Check if user can see a task and add comments or attachments to it.
+// Expects task.project to be populated with its team.
+const canViewTask = (task, user) => {
+  return can(user, 'read_all', 'tasks') ||
+         task.assignedTo.toString() === user._id.toString() ||
+         task.assignedBy.toString() === user._id.toString() ||
+         task.project.isProjectManager(user._id) ||
+         task.project.team.isTeamLeader(user._id) ||
+         task.project.isAssignedMember(user._id);
+};
+
+// Check if user can update progress, checklist items or log time on a task.
+// Expects task.project to be populated with its team.
+const canUpdateProgress = (task, user) => {
+  return task.assignedTo.toString() === user._id.toString() ||
+         task.canModify(user) ||
+         hasManagementRights(task.project, user._id) ||
+         task.project.team.isTeamLeader(user._id);
+};
+
 // @route   GET /api/tasks
 // @desc    Get all tasks (filtered by user access)
 // @access  Private
 router.get('/', authenticateToken, validateQuery(paginationSchema.keys({
-  status: require('joi').string().valid('todo', 'in_progress', 'review', 'completed', 'cancelled'),
+  status: statusKeySchema,
+  statusCategory: require('joi').string().valid(...STATUS_CATEGORIES),
   priority: require('joi').string().valid('low', 'medium', 'high', 'critical'),
   type: require('joi').string().valid('feature', 'bug', 'improvement', 'research', 'testing', 'documentation', 'other'),
   projectId: require('joi').string().pattern(/^[0-9a-fA-F]{24}$/),
   assignedTo: require('joi').string().pattern(/^[0-9a-fA-F]{24}$/),
+  parentTask: require('joi').string().pattern(/^[0-9a-fA-F]{24}$/),
   overdue: require('joi').boolean()
 })), async (req, res) => {
   try {
@@ -26,59 +186,38 @@ router.get('/', authenticateToken, validateQuery(paginationSchema.keys({
       order = 'desc', 
       search, 
       status, 
+      statusCategory, 
       priority, 
       type, 
       projectId, 
       assignedTo, 
+      parentTask, 
       overdue 
     } = req.query;
     
-    // Build query based on user role and access
-    let query = {};
-    
-    if (req.user.role === 'admin') {
-      // Admin can see all tasks
-    } else if (req.user.role === 'team_leader') {
-      // Team leaders can see tasks from projects in their teams
-      const userProjects = await Project.find({
-        $or: [
-          { projectManager: req.user._id },
-          { 'assignedMembers.user': req.user._id }
-        ]
-      }).select('_id');
-      
-      const projectIds = userProjects.map(project => project._id);
-      query.project = { $in: projectIds };
-    } else {
-      // Members can see tasks assigned to them
-      query.assignedTo = req.user._id;
-    }
+    // Build query based on user permissions and access
+    let query = await getTaskVisibilityQuery(req.user);
     
     if (search) {
-      query.$and = query.$and || [];
-      query.$and.push({
-        $or: [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { tags: { $in: [new RegExp(search, 'i')] } }
-        ]
-      });
+      query.$text = { $search: search };
     }
     
     if (status) query.status = status;
+    if (statusCategory) query.statusCategory = statusCategory;
     if (priority) query.priority = priority;
     if (type) query.type = type;
     if (projectId) query.project = projectId;
     if (assignedTo) query.assignedTo = assignedTo;
+    if (parentTask) query.parentTask = parentTask;
     
-    // Handle overdue filter
-    if (overdue === 'true') {
+    // Handle overdue filter, keeping any status filter
+    if (overdue) {
       query.dueDate = { $lt: new Date() };
-      query.status = { $nin: ['completed', 'cancelled'] };
+      query.$and = [{ status: { $nin: ['completed', 'cancelled'] } }];
     }
 
     const tasks = await Task.find(query)
-      .populate('project', 'name team')
+      .populate('project', 'name team workflow.statuses')
       .populate('assignedTo', 'name email')
       .populate('assignedBy', 'name email')
       .sort({ [sort]: order === 'asc' ? 1 : -1 })
@@ -103,16 +242,7 @@ router.get('/', authenticateToken, validateQuery(paginationSchema.keys({
         return 0;
       })(),
       isOverdue: !['completed', 'cancelled'].includes(task.status) && new Date() > new Date(task.dueDate),
-      progressPercentage: (() => {
-        const statusProgress = {
-          'todo': 0,
-          'in_progress': 25,
-          'review': 75,
-          'completed': 100,
-          'cancelled': 0
-        };
-        return statusProgress[task.status] || 0;
-      })()
+      progressPercentage: Task.calculateProgress(task)
     }));
 
     res.json({
@@ -144,16 +274,18 @@ router.get('/', authenticateToken, validateQuery(paginationSchema.keys({
 // @desc    Get tasks assigned to current user
 // @access  Private
 router.get('/my-tasks', authenticateToken, validateQuery(paginationSchema.keys({
-  status: require('joi').string().valid('todo', 'in_progress', 'review', 'completed', 'cancelled')
+  status: statusKeySchema,
+  statusCategory: require('joi').string().valid(...STATUS_CATEGORIES)
 })), async (req, res) => {
   try {
-    const { page = 1, limit = 10, sort = 'dueDate', order = 'asc', status } = req.query;
+    const { page = 1, limit = 10, sort = 'dueDate', order = 'asc', status, statusCategory } = req.query;
     
     let query = { assignedTo: req.user._id };
     if (status) query.status = status;
+    if (statusCategory) query.statusCategory = statusCategory;
 
     const tasks = await Task.find(query)
-      .populate('project', 'name team')
+      .populate('project', 'name team workflow.statuses')
       .populate('assignedBy', 'name email')
       .sort({ [sort]: order === 'asc' ? 1 : -1 })
       .skip((page - 1) * limit)
@@ -209,9 +341,9 @@ router.get('/stats', authenticateToken, async (req, res) => {
   try {
     let matchQuery = {};
     
-    if (req.user.role === 'member') {
-      matchQuery.assignedTo = req.user._id;
-    } else if (req.user.role === 'team_leader') {
+    if (can(req.user, 'read_all', 'tasks')) {
+      // Stats cover all tasks
+    } else if (can(req.user, 'read_team', 'tasks')) {
       const userProjects = await Project.find({
         $or: [
           { projectManager: req.user._id },
@@ -221,24 +353,30 @@ router.get('/stats', authenticateToken, async (req, res) => {
       
       const projectIds = userProjects.map(project => project._id);
       matchQuery.project = { $in: projectIds };
+    } else {
+      matchQuery.assignedTo = req.user._id;
     }
 
+    // Custom workflow statuses are counted by their category; tasks saved
+    // before categories were stored fall back to their (default) status
+    const category = { $ifNull: ['$statusCategory', '$status'] };
+
     const stats = await Task.aggregate([
       { $match: matchQuery },
       {
         $group: {
           _id: null,
           totalTasks: { $sum: 1 },
-          todoTasks: { $sum: { $cond: [{ $eq: ['$status', 'todo'] }, 1, 0] } },
-          inProgressTasks: { $sum: { $cond: [{ $eq: ['$status', 'in_progress'] }, 1, 0] } },
-          reviewTasks: { $sum: { $cond: [{ $eq: ['$status', 'review'] }, 1, 0] } },
-          completedTasks: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+          todoTasks: { $sum: { $cond: [{ $eq: [category, 'todo'] }, 1, 0] } },
+          inProgressTasks: { $sum: { $cond: [{ $eq: [category, 'in_progress'] }, 1, 0] } },
+          reviewTasks: { $sum: { $cond: [{ $eq: [category, 'review'] }, 1, 0] } },
+          completedTasks: { $sum: { $cond: [{ $eq: [category, 'completed'] }, 1, 0] } },
           overdueTasks: {
             $sum: {
               $cond: [
                 {
                   $and: [
-                    { $nin: ['$status', ['completed', 'cancelled']] },
+                    { $not: [{ $in: [category, ['completed', 'cancelled']] }] },
                     { $lt: ['$dueDate', new Date()] }
                   ]
                 },
@@ -253,11 +391,31 @@ router.get('/stats', authenticateToken, async (req, res) => {
       }
     ]);
 
-    const statusDistribution = await Task.aggregate([
+    const statusGroups = await Task.aggregate([
       { $match: matchQuery },
       {
         $group: {
           _id: '$status',
+          count: { $sum: 1 },
+          projects: { $addToSet: '$project' }
+        }
+      }
+    ]);
+    const statusDistribution = statusGroups.map(({ _id, count }) => ({ _id, count }));
+
+    // Labels and colors of the counted statuses, from the workflows of their projects
+    const statusKeys = statusGroups.map(group => group._id);
+    const statusProjects = await Project.find({
+      _id: { $in: statusGroups.flatMap(group => group.projects) },
+      'workflow.statuses.key': { $in: statusKeys }
+    }).select('workflow.statuses');
+    const statusWorkflow = getStatusDefinitions(statusKeys, statusProjects);
+
+    const categoryDistribution = await Task.aggregate([
+      { $match: matchQuery },
+      {
+        $group: {
+          _id: category,
           count: { $sum: 1 }
         }
       }
@@ -273,20 +431,8 @@ router.get('/stats', authenticateToken, async (req, res) => {
       }
     ]);
 
-    const upcomingTasks = await Task.find({
-      ...matchQuery,
-      status: { $nin: ['completed', 'cancelled'] },
-      dueDate: { 
-        $gte: new Date(),
-        $lte: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // Next 7 days
-      }
-    })
-      .populate('project', 'name')
-      .populate('assignedTo', 'name')
-      .sort({ dueDate: 1 })
-      .limit(10)
-      .select('title status priority dueDate project assignedTo')
-      .lean();
+    // Next 7 days
+    const upcomingTasks = await Task.findUpcoming(matchQuery);
 
     res.json({
       message: 'Task statistics retrieved successfully',
@@ -302,6 +448,8 @@ router.get('/stats', authenticateToken, async (req, res) => {
           totalActualHours: 0
         },
         statusDistribution,
+        statusWorkflow,
+        categoryDistribution,
         priorityDistribution,
         upcomingTasks
       }
@@ -326,11 +474,13 @@ router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) =
     const taskId = req.params.id;
     
     const task = await Task.findById(taskId)
-      .populate('project', 'name team')
+      .populate('project', 'name team workflow.statuses')
       .populate('assignedTo', 'name email profile')
       .populate('assignedBy', 'name email profile')
       .populate('comments.user', 'name email')
+      .populate('comments.mentions', 'name email')
       .populate('progressUpdates.user', 'name email')
+      .populate('attachments.uploadedBy', 'name email')
       .populate('dependencies.task', 'title status');
 
     if (!task) {
@@ -346,7 +496,7 @@ router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) =
     const project = await Project.findById(task.project._id).populate('team');
     
     // Check if user can access this task
-    const canAccess = req.user.role === 'admin' ||
+    const canAccess = can(req.user, 'read_all', 'tasks') ||
                      task.assignedTo._id.toString() === req.user._id.toString() ||
                      task.assignedBy._id.toString() === req.user._id.toString() ||
                      project.isProjectManager(req.user._id) ||
@@ -362,12 +512,27 @@ router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) =
       });
     }
 
+    const subtasks = await Task.find({ parentTask: task._id })
+      .populate('assignedTo', 'name email')
+      .select('title status priority dueDate assignedTo')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const taskTitles = await resolveTaskTitles(
+      [task.description, ...task.comments.map(comment => comment.comment)],
+      task.project._id
+    );
+
     const taskWithComputed = {
       ...task.toObject(),
+      descriptionHtml: renderMarkdown(task.description, { taskTitles }),
+      comments: renderComments(task.comments, taskTitles),
       duration: task.duration,
       timeRemaining: task.timeRemaining,
       isOverdue: task.isOverdue,
-      progressPercentage: task.progressPercentage
+      progressPercentage: task.progressPercentage,
+      checklistProgress: task.checklistProgress,
+      subtasks
     };
 
     res.json({
@@ -393,7 +558,7 @@ router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) =
 // @access  Private (Project management access required)
 router.post('/', authenticateToken, validate(taskValidationSchemas.create), async (req, res) => {
   try {
-    const { title, description, project, assignedTo, priority, type, estimatedHours, startDate, dueDate, tags, dependencies } = req.body;
+    const { title, description, project, assignedTo, priority, type, estimatedHours, startDate, dueDate, tags, dependencies, recurrence, parentTask, rollupProgress, checklist } = req.body;
 
     // Verify project exists and user has management access
     const projectDoc = await Project.findById(project).populate('team');
@@ -407,8 +572,8 @@ router.post('/', authenticateToken, validate(taskValidationSchemas.create), asyn
     }
 
     // Check if user can create tasks in this project
-    const canManage = req.user.role === 'admin' ||
-                     projectDoc.isProjectManager(req.user._id) ||
+    const canManage = can(req.user, 'manage_all', 'tasks') ||
+                     hasManagementRights(projectDoc, req.user._id) ||
                      projectDoc.team.isTeamLeader(req.user._id);
 
     if (!canManage) {
@@ -440,17 +605,33 @@ router.post('/', authenticateToken, validate(taskValidationSchemas.create), asyn
       });
     }
 
-    // Verify dependencies exist and belong to the same project
-    if (dependencies && dependencies.length > 0) {
-      const dependencyTasks = await Task.find({
-        _id: { $in: dependencies.map(dep => dep.task) },
-        project: project
+    // Some member roles may not take some task types in this project
+    const assignmentError = checkAssignmentRole(projectDoc, type, assignedTo);
+    if (assignmentError) {
+      return res.status(assignmentError.status).json({
+        error: {
+          message: assignmentError.message,
+          status: assignmentError.status
+        }
       });
+    }
+
+    // Verify parent task exists, belongs to the same project and is still open
+    if (parentTask) {
+      const parent = await Task.findOne({ _id: parentTask, project: project });
+      if (!parent) {
+        return res.status(400).json({
+          error: {
+            message: 'Parent task not found or not in the same project',
+            status: 400
+          }
+        });
+      }
 
-      if (dependencyTasks.length !== dependencies.length) {
+      if (['completed', 'cancelled'].includes(parent.status)) {
         return res.status(400).json({
           error: {
-            message: 'Some dependency tasks not found or not in the same project',
+            message: 'Cannot add subtasks to a closed task',
             status: 400
           }
         });
@@ -470,10 +651,48 @@ router.post('/', authenticateToken, validate(taskValidationSchemas.create), asyn
       startDate: new Date(startDate),
       dueDate: new Date(dueDate),
       tags: tags || [],
-      dependencies: dependencies || []
+      dependencies: dependencies || [],
+      parentTask: parentTask || null,
+      rollupProgress: rollupProgress || false,
+      checklist: (checklist || []).map(text => ({ text }))
     });
 
+    // The first task of a recurring series anchors the schedule
+    if (recurrence) {
+      task.recurrence = { ...recurrence, anchorDate: task.startDate };
+      task.series = task._id;
+    }
+
+    // Verify dependencies exist, belong to the same project and form no cycle
+    const dependencyError = await checkDependencies(project, task._id, dependencies);
+    if (dependencyError) {
+      return res.status(400).json({
+        error: {
+          ...dependencyError,
+          status: 400
+        }
+      });
+    }
+
     await task.save();
+    await Task.refreshSubtaskStats(task.parentTask);
+
+    await logActivity(req.user, {
+      action: 'create',
+      entityType: 'task',
+      after: task,
+      project: projectDoc,
+      team: projectDoc.team
+    });
+
+    await notify({
+      recipients: [assignedUser],
+      actor: req.user,
+      type: 'task_assigned',
+      message: `${req.user.name} assigned you "${task.title}" in ${projectDoc.name}`,
+      task,
+      project: projectDoc
+    });
 
     const populatedTask = await Task.findById(task._id)
       .populate('project', 'name')
@@ -517,7 +736,7 @@ router.post('/', authenticateToken, validate(taskValidationSchemas.create), asyn
 router.put('/:id', authenticateToken, validateObjectId('id'), validate(taskValidationSchemas.update), async (req, res) => {
   try {
     const taskId = req.params.id;
-    const updateData = req.body;
+    const { force, ...updateData } = req.body;
 
     const task = await Task.findById(taskId).populate({
       path: 'project',
@@ -534,8 +753,8 @@ router.put('/:id', authenticateToken, validateObjectId('id'), validate(taskValid
     }
 
     // Check if user can modify this task
-    const canModify = task.canModify(req.user._id, req.user.role) ||
-                     task.project.isProjectManager(req.user._id) ||
+    const canModify = task.canModify(req.user) ||
+                     hasManagementRights(task.project, req.user._id) ||
                      task.project.team.isTeamLeader(req.user._id);
 
     if (!canModify) {
@@ -569,15 +788,96 @@ router.put('/:id', authenticateToken, validateObjectId('id'), validate(taskValid
       }
     }
 
+    // Some member roles may not take some task types in this project
+    if (updateData.assignedTo || updateData.type) {
+      const assignmentError = checkAssignmentRole(
+        task.project,
+        updateData.type || task.type,
+        updateData.assignedTo || task.assignedTo
+      );
+      if (assignmentError) {
+        return res.status(assignmentError.status).json({
+          error: {
+            message: assignmentError.message,
+            status: assignmentError.status
+          }
+        });
+      }
+    }
+
+    // Verify new dependencies exist, belong to the same project and form no cycle
+    if (updateData.dependencies) {
+      const dependencyError = await checkDependencies(task.project._id, task._id, updateData.dependencies);
+      if (dependencyError) {
+        return res.status(400).json({
+          error: {
+            ...dependencyError,
+            status: 400
+          }
+        });
+      }
+    }
+
+    // Enforce the project's status workflow
+    const transitionError = checkWorkflowTransition(task, updateData.status, req.user);
+    if (transitionError) {
+      return res.status(transitionError.status).json({
+        error: {
+          message: transitionError.message,
+          status: transitionError.status
+        }
+      });
+    }
+
+    // Block starting or finishing work while predecessors are still open
+    const gateError = await checkStatusGate(task, updateData.status, updateData.dependencies || task.dependencies, req.user, force);
+    if (gateError) {
+      return res.status(400).json({
+        error: {
+          ...gateError,
+          status: 400
+        }
+      });
+    }
+
+    const isStatusChange = updateData.status && updateData.status !== task.status;
+
     // Set completion date if status changes to completed
-    if (updateData.status === 'completed' && task.status !== 'completed') {
+    const isCompleting = updateData.status === 'completed' && task.status !== 'completed';
+    if (isCompleting) {
       updateData.completedDate = new Date();
     }
 
+    const isReassigned = updateData.assignedTo && updateData.assignedTo !== task.assignedTo.toString();
+
     // Update task
+    const before = toSnapshot(task);
     Object.assign(task, updateData);
     await task.save();
 
+    await logTaskActivity(req.user, task, { action: 'update', before, after: task });
+
+    if (isReassigned) {
+      await notify({
+        recipients: [task.assignedTo],
+        actor: req.user,
+        type: 'task_assigned',
+        message: `${req.user.name} assigned you "${task.title}" in ${task.project.name}`,
+        task,
+        project: task.project
+      });
+    }
+
+    await notifyIfMovedToReview(task, before, req.user);
+
+    if (isStatusChange) {
+      await Task.refreshSubtaskStats(task.parentTask);
+    }
+
+    if (isCompleting) {
+      await generateNextInstance(task);
+    }
+
     const updatedTask = await Task.findById(taskId)
       .populate('project', 'name')
       .populate('assignedTo', 'name email')
@@ -620,7 +920,7 @@ router.put('/:id', authenticateToken, validateObjectId('id'), validate(taskValid
 router.put('/:id/progress', authenticateToken, validateObjectId('id'), validate(taskValidationSchemas.updateProgress), async (req, res) => {
   try {
     const taskId = req.params.id;
-    const { status, comment, hoursWorked } = req.body;
+    const { status, comment, hoursWorked, force } = req.body;
 
     const task = await Task.findById(taskId).populate({
       path: 'project',
@@ -638,8 +938,8 @@ router.put('/:id/progress', authenticateToken, validateObjectId('id'), validate(
 
     // Check if user can update progress
     const canUpdate = task.assignedTo.toString() === req.user._id.toString() ||
-                     task.canModify(req.user._id, req.user.role) ||
-                     task.project.isProjectManager(req.user._id) ||
+                     task.canModify(req.user) ||
+                     hasManagementRights(task.project, req.user._id) ||
                      task.project.team.isTeamLeader(req.user._id);
 
     if (!canUpdate) {
@@ -651,10 +951,67 @@ router.put('/:id/progress', authenticateToken, validateObjectId('id'), validate(
       });
     }
 
+    // Enforce the project's status workflow
+    const transitionError = checkWorkflowTransition(task, status, req.user);
+    if (transitionError) {
+      return res.status(transitionError.status).json({
+        error: {
+          message: transitionError.message,
+          status: transitionError.status
+        }
+      });
+    }
+
+    // Block starting or finishing work while predecessors are still open
+    const gateError = await checkStatusGate(task, status, task.dependencies, req.user, force);
+    if (gateError) {
+      return res.status(400).json({
+        error: {
+          ...gateError,
+          status: 400
+        }
+      });
+    }
+
     // Update progress
+    const isStatusChange = status !== task.status;
+    const isCompleting = status === 'completed' && task.status !== 'completed';
+    const before = toSnapshot(task);
     task.updateProgress(req.user._id, status, comment, hoursWorked || 0);
     await task.save();
 
+    await logTaskActivity(req.user, task, {
+      action: 'progress',
+      before,
+      after: task,
+      metadata: { comment: comment || '', hoursWorked: hoursWorked || 0 }
+    });
+
+    await notifyIfMovedToReview(task, before, req.user);
+
+    if (isStatusChange) {
+      await Task.refreshSubtaskStats(task.parentTask);
+    }
+
+    if (isCompleting) {
+      await generateNextInstance(task);
+    }
+
+    // Reported hours become a time entry ending now
+    if (hoursWorked > 0) {
+      const endTime = new Date();
+      await TimeEntry.create({
+        task: task._id,
+        project: task.project._id,
+        user: req.user._id,
+        startTime: new Date(endTime.getTime() - hoursWorked * 60 * 60 * 1000),
+        endTime,
+        description: comment || '',
+        source: 'progress_update'
+      });
+      await TimeEntry.recalculateTaskHours(task._id);
+    }
+
     const updatedTask = await Task.findById(taskId)
       .populate('project', 'name')
       .populate('assignedTo', 'name email')
@@ -680,12 +1037,12 @@ router.put('/:id/progress', authenticateToken, validateObjectId('id'), validate(
 });
 
 // @route   POST /api/tasks/:id/comments
-// @desc    Add comment to task
+// @desc    Add comment to task, or reply to one with parentComment
 // @access  Private (Project access required)
 router.post('/:id/comments', authenticateToken, validateObjectId('id'), validate(taskValidationSchemas.addComment), async (req, res) => {
   try {
     const taskId = req.params.id;
-    const { comment } = req.body;
+    const { comment, parentComment } = req.body;
 
     const task = await Task.findById(taskId).populate({
       path: 'project',
@@ -701,15 +1058,7 @@ router.post('/:id/comments', authenticateToken, validateObjectId('id'), validate
       });
     }
 
-    // Check if user can access this task
-    const canAccess = req.user.role === 'admin' ||
-                     task.assignedTo.toString() === req.user._id.toString() ||
-                     task.assignedBy.toString() === req.user._id.toString() ||
-                     task.project.isProjectManager(req.user._id) ||
-                     task.project.team.isTeamLeader(req.user._id) ||
-                     task.project.isAssignedMember(req.user._id);
-
-    if (!canAccess) {
+    if (!canViewTask(task, req.user)) {
       return res.status(403).json({
         error: {
           message: 'Access denied to comment on this task',
@@ -718,18 +1067,51 @@ router.post('/:id/comments', authenticateToken, validateObjectId('id'), validate
       });
     }
 
+    const parent = parentComment ? task.comments.id(parentComment) : null;
+    if (parentComment && (!parent || parent.isDeleted)) {
+      return res.status(404).json({
+        error: {
+          message: 'Parent comment not found',
+          status: 404
+        }
+      });
+    }
+
+    const mentioned = await resolveMentions(comment, task.project);
+
     // Add comment
-    task.addComment(req.user._id, comment);
+    task.addComment(req.user._id, comment, {
+      parentComment: parent ? parent._id : null,
+      mentions: mentioned.map(user => user._id)
+    });
     await task.save();
 
-    const updatedTask = await Task.findById(taskId)
-      .populate('comments.user', 'name email')
-      .select('comments');
+    await logTaskActivity(req.user, task, {
+      action: 'comment',
+      metadata: { comment: task.comments[task.comments.length - 1]._id, parentComment: parent ? parent._id : undefined }
+    });
+
+    await notifyMentions(task, mentioned, req.user);
+
+    // Everyone already involved in the task hears about the new comment,
+    // except those who were just told they were mentioned
+    const mentionedIds = mentioned.map(user => user._id.toString());
+    await notify({
+      recipients: [task.assignedTo, task.assignedBy, ...task.comments.map(item => item.user)]
+        .filter(recipient => !mentionedIds.includes(recipient.toString())),
+      actor: req.user,
+      type: 'task_commented',
+      message: parent
+        ? `${req.user.name} replied to a comment on "${task.title}"`
+        : `${req.user.name} commented on "${task.title}"`,
+      task,
+      project: task.project
+    });
 
     res.status(201).json({
       message: 'Comment added successfully',
       data: {
-        comments: updatedTask.comments
+        comments: await getPopulatedComments(taskId)
       }
     });
 
@@ -744,14 +1126,14 @@ router.post('/:id/comments', authenticateToken, validateObjectId('id'), validate
   }
 });
 
-// @route   DELETE /api/tasks/:id
-// @desc    Delete task
-// @access  Private (Task creator or manager)
-router.delete('/:id', authenticateToken, validateObjectId('id'), async (req, res) => {
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @desc    Edit your own comment; the previous text is kept in its history
+// @access  Private (Comment author)
+router.put('/:id/comments/:commentId', authenticateToken, validateObjectId('id'), validateObjectId('commentId'), validate(taskValidationSchemas.updateComment), async (req, res) => {
   try {
-    const taskId = req.params.id;
+    const { comment } = req.body;
 
-    const task = await Task.findById(taskId).populate({
+    const task = await Task.findById(req.params.id).populate({
       path: 'project',
       populate: { path: 'team' }
     });
@@ -765,40 +1147,1348 @@ router.delete('/:id', authenticateToken, validateObjectId('id'), async (req, res
       });
     }
 
-    // Check if user can delete this task
-    const canDelete = req.user.role === 'admin' ||
-                     task.assignedBy.toString() === req.user._id.toString() ||
-                     task.project.isProjectManager(req.user._id) ||
-                     task.project.team.isTeamLeader(req.user._id);
+    const item = task.comments.id(req.params.commentId);
+    if (!item || item.isDeleted) {
+      return res.status(404).json({
+        error: {
+          message: 'Comment not found',
+          status: 404
+        }
+      });
+    }
 
-    if (!canDelete) {
+    if (item.user.toString() !== req.user._id.toString() || !canViewTask(task, req.user)) {
       return res.status(403).json({
         error: {
-          message: 'Access denied to delete this task',
+          message: 'You can only edit your own comments',
           status: 403
         }
       });
     }
 
-    // Check for dependencies
-    const dependentTasks = await Task.find({
-      'dependencies.task': taskId,
-      status: { $nin: ['completed', 'cancelled'] }
+    if (item.comment !== comment) {
+      const previousMentions = item.mentions.map(id => id.toString());
+      const mentioned = await resolveMentions(comment, task.project);
+
+      task.editComment(item._id, comment, mentioned.map(user => user._id));
+      await task.save();
+
+      await logTaskActivity(req.user, task, {
+        action: 'comment',
+        metadata: { comment: item._id, edited: true }
+      });
+
+      // Only people mentioned for the first time are notified
+      await notifyMentions(task, mentioned.filter(user => !previousMentions.includes(user._id.toString())), req.user);
+    }
+
+    res.json({
+      message: 'Comment updated successfully',
+      data: {
+        comments: await getPopulatedComments(task._id)
+      }
     });
 
-    if (dependentTasks.length > 0) {
-      return res.status(400).json({
+  } catch (error) {
+    console.error('Update task comment error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @desc    Delete a comment; comments with replies keep their place without their text
+// @access  Private (Comment author or manager)
+router.delete('/:id/comments/:commentId', authenticateToken, validateObjectId('id'), validateObjectId('commentId'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
         error: {
-          message: 'Cannot delete task with active dependencies',
-          status: 400,
-          details: {
-            dependentTasks: dependentTasks.map(t => ({ id: t._id, title: t.title }))
-          }
+          message: 'Task not found',
+          status: 404
         }
       });
     }
 
-    await Task.findByIdAndDelete(taskId);
+    const item = task.comments.id(req.params.commentId);
+    if (!item || item.isDeleted) {
+      return res.status(404).json({
+        error: {
+          message: 'Comment not found',
+          status: 404
+        }
+      });
+    }
+
+    const canDelete = (item.user.toString() === req.user._id.toString() && canViewTask(task, req.user)) ||
+                      task.canModify(req.user) ||
+                      hasManagementRights(task.project, req.user._id) ||
+                      task.project.team.isTeamLeader(req.user._id);
+
+    if (!canDelete) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to delete this comment',
+          status: 403
+        }
+      });
+    }
+
+    task.deleteComment(item._id);
+    await task.save();
+
+    await logTaskActivity(req.user, task, {
+      action: 'comment',
+      metadata: { comment: item._id, deleted: true }
+    });
+
+    res.json({
+      message: 'Comment deleted successfully',
+      data: {
+        comments: await getPopulatedComments(task._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete task comment error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/tasks/:id/dependencies
+// @desc    Get the upstream and downstream dependency graph of a task
+// @access  Private (Project access required)
+router.get('/:id/dependencies', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Task not found',
+          status: 404
+        }
+      });
+    }
+
+    const canAccess = can(req.user, 'read_all', 'tasks') ||
+                     task.assignedTo.toString() === req.user._id.toString() ||
+                     task.assignedBy.toString() === req.user._id.toString() ||
+                     task.project.isProjectManager(req.user._id) ||
+                     task.project.team.isTeamLeader(req.user._id) ||
+                     task.project.isAssignedMember(req.user._id);
+
+    if (!canAccess) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to this task',
+          status: 403
+        }
+      });
+    }
+
+    const [graph, blockingTasks] = await Promise.all([
+      getDependencyGraph(task),
+      getUnfinishedPredecessors(task)
+    ]);
+
+    res.json({
+      message: 'Task dependencies retrieved successfully',
+      data: {
+        task: {
+          _id: task._id,
+          title: task.title,
+          status: task.status
+        },
+        upstream: graph.upstream,
+        downstream: graph.downstream,
+        edges: graph.edges,
+        isBlocked: blockingTasks.length > 0,
+        blockingTasks
+      }
+    });
+
+  } catch (error) {
+    console.error('Get task dependencies error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/tasks/:id/subtasks
+// @desc    Get subtasks of a task
+// @access  Private (Project access required)
+router.get('/:id/subtasks', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Task not found',
+          status: 404
+        }
+      });
+    }
+
+    const canAccess = can(req.user, 'read_all', 'tasks') ||
+                     task.assignedTo.toString() === req.user._id.toString() ||
+                     task.assignedBy.toString() === req.user._id.toString() ||
+                     task.project.isProjectManager(req.user._id) ||
+                     task.project.team.isTeamLeader(req.user._id) ||
+                     task.project.isAssignedMember(req.user._id);
+
+    if (!canAccess) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to this task',
+          status: 403
+        }
+      });
+    }
+
+    const subtasks = await Task.find({ parentTask: task._id })
+      .populate('assignedTo', 'name email')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({
+      message: 'Subtasks retrieved successfully',
+      data: {
+        subtasks: subtasks.map(subtask => ({
+          ...subtask,
+          progressPercentage: Task.calculateProgress(subtask)
+        })),
+        subtaskStats: task.subtaskStats,
+        progressPercentage: task.progressPercentage
+      }
+    });
+
+  } catch (error) {
+    console.error('Get subtasks error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/tasks/:id/checklist
+// @desc    Add checklist item to task
+// @access  Private (Assigned user or manager)
+router.post('/:id/checklist', authenticateToken, validateObjectId('id'), validate(taskValidationSchemas.addChecklistItem), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Task not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!canUpdateProgress(task, req.user)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to modify this checklist',
+          status: 403
+        }
+      });
+    }
+
+    const before = toSnapshot(task);
+    task.addChecklistItem(req.body.text);
+    await task.save();
+
+    await logTaskActivity(req.user, task, { action: 'update', before, after: task });
+
+    res.status(201).json({
+      message: 'Checklist item added successfully',
+      data: {
+        checklist: task.checklist,
+        checklistProgress: task.checklistProgress,
+        progressPercentage: task.progressPercentage
+      }
+    });
+
+  } catch (error) {
+    console.error('Add checklist item error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   PUT /api/tasks/:id/checklist/:itemId
+// @desc    Update checklist item text or done state
+// @access  Private (Assigned user or manager)
+router.put('/:id/checklist/:itemId', authenticateToken, validateObjectId('id'), validateObjectId('itemId'), validate(taskValidationSchemas.updateChecklistItem), async (req, res) => {
+  try {
+    const { text, done } = req.body;
+
+    const task = await Task.findById(req.params.id).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Task not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!canUpdateProgress(task, req.user)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to modify this checklist',
+          status: 403
+        }
+      });
+    }
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        error: {
+          message: 'Checklist item not found',
+          status: 404
+        }
+      });
+    }
+
+    const before = toSnapshot(task);
+    if (text !== undefined) item.text = text;
+    if (done !== undefined && done !== item.done) {
+      task.setChecklistItemDone(item._id, req.user._id, done);
+    }
+
+    await task.save();
+
+    await logTaskActivity(req.user, task, { action: 'update', before, after: task });
+
+    res.json({
+      message: 'Checklist item updated successfully',
+      data: {
+        checklist: task.checklist,
+        checklistProgress: task.checklistProgress,
+        progressPercentage: task.progressPercentage
+      }
+    });
+
+  } catch (error) {
+    console.error('Update checklist item error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @desc    Remove checklist item from task
+// @access  Private (Assigned user or manager)
+router.delete('/:id/checklist/:itemId', authenticateToken, validateObjectId('id'), validateObjectId('itemId'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Task not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!canUpdateProgress(task, req.user)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to modify this checklist',
+          status: 403
+        }
+      });
+    }
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        error: {
+          message: 'Checklist item not found',
+          status: 404
+        }
+      });
+    }
+
+    const before = toSnapshot(task);
+    item.deleteOne();
+    await task.save();
+
+    await logTaskActivity(req.user, task, { action: 'update', before, after: task });
+
+    res.json({
+      message: 'Checklist item removed successfully',
+      data: {
+        checklist: task.checklist,
+        checklistProgress: task.checklistProgress,
+        progressPercentage: task.progressPercentage
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove checklist item error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/tasks/:id/recurrence
+// @desc    Get recurrence rule and instances of a task's series
+// @access  Private (Project access required)
+router.get('/:id/recurrence', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Task not found',
+          status: 404
+        }
+      });
+    }
+
+    const canAccess = can(req.user, 'read_all', 'tasks') ||
+                     task.assignedTo.toString() === req.user._id.toString() ||
+                     task.assignedBy.toString() === req.user._id.toString() ||
+                     task.project.isProjectManager(req.user._id) ||
+                     task.project.team.isTeamLeader(req.user._id) ||
+                     task.project.isAssignedMember(req.user._id);
+
+    if (!canAccess) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to this task',
+          status: 403
+        }
+      });
+    }
+
+    if (!task.recurrence) {
+      return res.status(404).json({
+        error: {
+          message: 'Task is not part of a recurring series',
+          status: 404
+        }
+      });
+    }
+
+    const instances = await Task.find({ series: task.series || task._id })
+      .select('title status startDate dueDate completedDate occurrence assignedTo')
+      .populate('assignedTo', 'name email')
+      .sort({ occurrence: 1 })
+      .lean();
+
+    const nextOccurrence = task.recurrence.isActive && !task.nextInstance
+      ? planNextStart(task)
+      : null;
+
+    res.json({
+      message: 'Task recurrence retrieved successfully',
+      data: {
+        recurrence: task.recurrence,
+        series: task.series || task._id,
+        instances,
+        nextOccurrence
+      }
+    });
+
+  } catch (error) {
+    console.error('Get task recurrence error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   PUT /api/tasks/:id/recurrence
+// @desc    Set or update the recurrence rule of a task's series
+// @access  Private (Project management access required)
+router.put('/:id/recurrence', authenticateToken, validateObjectId('id'), validate(taskValidationSchemas.updateRecurrence), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Task not found',
+          status: 404
+        }
+      });
+    }
+
+    const canManage = can(req.user, 'manage_all', 'tasks') ||
+                     hasManagementRights(task.project, req.user._id) ||
+                     task.project.team.isTeamLeader(req.user._id);
+
+    if (!canManage) {
+      return res.status(403).json({
+        error: {
+          message: 'Project management access required to edit recurrence',
+          status: 403
+        }
+      });
+    }
+
+    const seriesId = task.series || task._id;
+    const anchorDate = (task.recurrence && task.recurrence.anchorDate) || task.startDate;
+    const recurrence = { ...req.body, anchorDate, isActive: true };
+
+    // Apply the new rule to this task and every open instance of the series
+    await Task.updateMany(
+      {
+        $or: [{ _id: task._id }, { series: seriesId }],
+        status: { $nin: ['completed', 'cancelled'] }
+      },
+      { $set: { recurrence, series: seriesId } }
+    );
+
+    const before = toSnapshot(task);
+    task.recurrence = recurrence;
+    task.series = seriesId;
+    await task.save();
+
+    await logTaskActivity(req.user, task, {
+      action: 'update',
+      before,
+      after: task,
+      metadata: { series: seriesId }
+    });
+
+    res.json({
+      message: 'Task recurrence updated successfully',
+      data: {
+        recurrence: task.recurrence,
+        series: seriesId,
+        nextOccurrence: task.nextInstance ? null : planNextStart(task)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update task recurrence error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          status: 400,
+          details: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+          }))
+        }
+      });
+    }
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/recurrence
+// @desc    Stop a recurring series (existing instances are kept)
+// @access  Private (Project management access required)
+router.delete('/:id/recurrence', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Task not found',
+          status: 404
+        }
+      });
+    }
+
+    const canManage = can(req.user, 'manage_all', 'tasks') ||
+                     hasManagementRights(task.project, req.user._id) ||
+                     task.project.team.isTeamLeader(req.user._id);
+
+    if (!canManage) {
+      return res.status(403).json({
+        error: {
+          message: 'Project management access required to stop recurrence',
+          status: 403
+        }
+      });
+    }
+
+    if (!task.recurrence) {
+      return res.status(400).json({
+        error: {
+          message: 'Task is not part of a recurring series',
+          status: 400
+        }
+      });
+    }
+
+    const seriesId = task.series || task._id;
+    const result = await Task.updateMany(
+      { $or: [{ _id: task._id }, { series: seriesId }] },
+      { $set: { 'recurrence.isActive': false } }
+    );
+
+    await logTaskActivity(req.user, task, {
+      action: 'update',
+      before: { recurrence: { isActive: true } },
+      after: { recurrence: { isActive: false } },
+      metadata: { series: seriesId, updatedTasks: result.modifiedCount }
+    });
+
+    res.json({
+      message: 'Task recurrence stopped successfully',
+      data: {
+        series: seriesId,
+        updatedTasks: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Stop task recurrence error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/tasks/:id/time
+// @desc    Get time entries logged against a task
+// @access  Private (Project access required)
+router.get('/:id/time', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Task not found',
+          status: 404
+        }
+      });
+    }
+
+    const canAccess = can(req.user, 'read_all', 'tasks') ||
+                     task.assignedTo.toString() === req.user._id.toString() ||
+                     task.assignedBy.toString() === req.user._id.toString() ||
+                     task.project.isProjectManager(req.user._id) ||
+                     task.project.team.isTeamLeader(req.user._id) ||
+                     task.project.isAssignedMember(req.user._id);
+
+    if (!canAccess) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to this task',
+          status: 403
+        }
+      });
+    }
+
+    const entries = await TimeEntry.find({ task: task._id })
+      .populate('user', 'name email')
+      .sort({ startTime: -1 })
+      .lean();
+
+    res.json({
+      message: 'Time entries retrieved successfully',
+      data: {
+        entries,
+        totalHours: task.actualHours,
+        estimatedHours: task.estimatedHours
+      }
+    });
+
+  } catch (error) {
+    console.error('Get time entries error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+const findRunningEntry = (userId) => {
+  return TimeEntry.findOne({ user: userId, isRunning: true }).populate('task', 'title');
+};
+
+// Refuse to start a second timer for a user
+const sendTimerRunning = (res, runningEntry) => {
+  return res.status(400).json({
+    error: {
+      message: 'You already have a running timer. Stop it first.',
+      status: 400,
+      details: runningEntry ? {
+        runningEntry: {
+          id: runningEntry._id,
+          task: runningEntry.task,
+          startTime: runningEntry.startTime
+        }
+      } : undefined
+    }
+  });
+};
+
+// @route   POST /api/tasks/:id/time/start
+// @desc    Start a timer on a task for the current user
+// @access  Private (Assigned user or manager)
+router.post('/:id/time/start', authenticateToken, validateObjectId('id'), validate(timeEntryValidationSchemas.startTimer), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Task not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!canUpdateProgress(task, req.user)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to track time on this task',
+          status: 403
+        }
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(task.status)) {
+      return res.status(400).json({
+        error: {
+          message: 'Cannot start a timer on a closed task',
+          status: 400
+        }
+      });
+    }
+
+    const runningEntry = await findRunningEntry(req.user._id);
+
+    if (runningEntry) {
+      return sendTimerRunning(res, runningEntry);
+    }
+
+    const entry = new TimeEntry({
+      task: task._id,
+      project: task.project._id,
+      user: req.user._id,
+      startTime: new Date(),
+      isRunning: true,
+      description: req.body.description || '',
+      source: 'timer'
+    });
+
+    try {
+      await entry.save();
+    } catch (saveError) {
+      // A concurrent request started a timer first (unique running timer index)
+      if (saveError.code !== 11000) throw saveError;
+      return sendTimerRunning(res, await findRunningEntry(req.user._id));
+    }
+
+    await logActivity(req.user, { action: 'create', entityType: 'time_entry', after: entry, project: task.project, team: task.project.team });
+
+    res.status(201).json({
+      message: 'Timer started successfully',
+      data: {
+        entry
+      }
+    });
+
+  } catch (error) {
+    console.error('Start timer error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/tasks/:id/time/stop
+// @desc    Stop the current user's running timer on a task
+// @access  Private (Timer owner)
+router.post('/:id/time/stop', authenticateToken, validateObjectId('id'), validate(timeEntryValidationSchemas.stopTimer), async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({
+      task: req.params.id,
+      user: req.user._id,
+      isRunning: true
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        error: {
+          message: 'No running timer found for this task',
+          status: 404
+        }
+      });
+    }
+
+    const before = toSnapshot(entry);
+    entry.stop();
+    if (req.body.description !== undefined) entry.description = req.body.description;
+    await entry.save();
+
+    await logActivity(req.user, { action: 'update', entityType: 'time_entry', before, after: entry, project: entry.project });
+
+    const totalHours = await TimeEntry.recalculateTaskHours(entry.task);
+
+    res.json({
+      message: 'Timer stopped successfully',
+      data: {
+        entry,
+        totalHours
+      }
+    });
+
+  } catch (error) {
+    console.error('Stop timer error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/tasks/:id/time
+// @desc    Log a manual time entry on a task
+// @access  Private (Assigned user or manager)
+router.post('/:id/time', authenticateToken, validateObjectId('id'), validate(timeEntryValidationSchemas.create), async (req, res) => {
+  try {
+    const { startTime, endTime, hours, description } = req.body;
+
+    const task = await Task.findById(req.params.id).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Task not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!canUpdateProgress(task, req.user)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to track time on this task',
+          status: 403
+        }
+      });
+    }
+
+    const start = new Date(startTime);
+    const end = endTime ? new Date(endTime) : new Date(start.getTime() + hours * 60 * 60 * 1000);
+
+    if (end > new Date()) {
+      return res.status(400).json({
+        error: {
+          message: 'Cannot log time in the future',
+          status: 400
+        }
+      });
+    }
+
+    const entry = new TimeEntry({
+      task: task._id,
+      project: task.project._id,
+      user: req.user._id,
+      startTime: start,
+      endTime: end,
+      description: description || '',
+      source: 'manual'
+    });
+
+    await entry.save();
+
+    await logActivity(req.user, { action: 'create', entityType: 'time_entry', after: entry, project: task.project, team: task.project.team });
+    const totalHours = await TimeEntry.recalculateTaskHours(task._id);
+
+    res.status(201).json({
+      message: 'Time entry created successfully',
+      data: {
+        entry,
+        totalHours
+      }
+    });
+
+  } catch (error) {
+    console.error('Create time entry error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   PUT /api/tasks/:id/time/:entryId
+// @desc    Update a time entry
+// @access  Private (Entry owner or Admin)
+router.put('/:id/time/:entryId', authenticateToken, validateObjectId('id'), validateObjectId('entryId'), validate(timeEntryValidationSchemas.update), async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ _id: req.params.entryId, task: req.params.id });
+
+    if (!entry) {
+      return res.status(404).json({
+        error: {
+          message: 'Time entry not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!can(req.user, 'manage_all', 'time') && !entry.isOwner(req.user._id)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to modify this time entry',
+          status: 403
+        }
+      });
+    }
+
+    if (entry.isRunning && req.body.endTime) {
+      return res.status(400).json({
+        error: {
+          message: 'Stop the running timer before setting an end time',
+          status: 400
+        }
+      });
+    }
+
+    if (req.body.endTime && new Date(req.body.endTime) > new Date()) {
+      return res.status(400).json({
+        error: {
+          message: 'Cannot log time in the future',
+          status: 400
+        }
+      });
+    }
+
+    const before = toSnapshot(entry);
+    Object.assign(entry, req.body);
+
+    if (!entry.isRunning && entry.endTime <= entry.startTime) {
+      return res.status(400).json({
+        error: {
+          message: 'End time must be after start time',
+          status: 400
+        }
+      });
+    }
+
+    await entry.save();
+    const totalHours = await TimeEntry.recalculateTaskHours(entry.task);
+
+    await logActivity(req.user, { action: 'update', entityType: 'time_entry', before, after: entry, project: entry.project });
+
+    res.json({
+      message: 'Time entry updated successfully',
+      data: {
+        entry,
+        totalHours
+      }
+    });
+
+  } catch (error) {
+    console.error('Update time entry error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/time/:entryId
+// @desc    Delete a time entry
+// @access  Private (Entry owner or Admin)
+router.delete('/:id/time/:entryId', authenticateToken, validateObjectId('id'), validateObjectId('entryId'), async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ _id: req.params.entryId, task: req.params.id });
+
+    if (!entry) {
+      return res.status(404).json({
+        error: {
+          message: 'Time entry not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!can(req.user, 'manage_all', 'time') && !entry.isOwner(req.user._id)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to delete this time entry',
+          status: 403
+        }
+      });
+    }
+
+    await TimeEntry.findByIdAndDelete(entry._id);
+
+    await logActivity(req.user, { action: 'delete', entityType: 'time_entry', before: entry, project: entry.project });
+    const totalHours = await TimeEntry.recalculateTaskHours(entry.task);
+
+    res.json({
+      message: 'Time entry deleted successfully',
+      data: {
+        totalHours
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete time entry error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/tasks/:id/attachments
+// @desc    Upload a file to a task (multipart, "file" field)
+// @access  Private (Project access required)
+router.post('/:id/attachments', authenticateToken, validateObjectId('id'), uploadAttachment, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Task not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!canViewTask(task, req.user)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to add attachments to this task',
+          status: 403
+        }
+      });
+    }
+
+    const attachment = await storeUpload(req.file, { folder: 'tasks', entityId: task._id, user: req.user });
+
+    const before = toSnapshot(task);
+    task.attachments.push(attachment);
+    await task.save();
+
+    await logTaskActivity(req.user, task, {
+      action: 'update',
+      before,
+      after: task,
+      metadata: { attachment: attachment.name }
+    });
+
+    res.status(201).json({
+      message: 'Attachment uploaded successfully',
+      data: {
+        attachment: task.attachments[task.attachments.length - 1]
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload task attachment error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/tasks/:id/attachments/:attachmentId
+// @desc    Download a task attachment
+// @access  Private (Project access required)
+router.get('/:id/attachments/:attachmentId', authenticateToken, validateObjectId('id'), validateObjectId('attachmentId'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Task not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!canViewTask(task, req.user)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to this task',
+          status: 403
+        }
+      });
+    }
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+    if (!attachment || !attachment.storageKey) {
+      return res.status(404).json({
+        error: {
+          message: 'Attachment not found',
+          status: 404
+        }
+      });
+    }
+
+    sendAttachment(res, attachment);
+
+  } catch (error) {
+    console.error('Download task attachment error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/attachments/:attachmentId
+// @desc    Delete a task attachment and its stored file
+// @access  Private (Uploader or manager)
+router.delete('/:id/attachments/:attachmentId', authenticateToken, validateObjectId('id'), validateObjectId('attachmentId'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Task not found',
+          status: 404
+        }
+      });
+    }
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        error: {
+          message: 'Attachment not found',
+          status: 404
+        }
+      });
+    }
+
+    const canDelete = (attachment.uploadedBy && attachment.uploadedBy.toString() === req.user._id.toString()) ||
+                      task.canModify(req.user) ||
+                      hasManagementRights(task.project, req.user._id) ||
+                      task.project.team.isTeamLeader(req.user._id);
+
+    if (!canDelete) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to delete this attachment',
+          status: 403
+        }
+      });
+    }
+
+    const before = toSnapshot(task);
+    task.attachments.pull(attachment._id);
+    await task.save();
+
+    await removeStoredFiles([attachment]);
+
+    await logTaskActivity(req.user, task, {
+      action: 'update',
+      before,
+      after: task,
+      metadata: { attachment: attachment.name, removed: true }
+    });
+
+    res.json({
+      message: 'Attachment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete task attachment error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:id
+// @desc    Delete task
+// @access  Private (Task creator or manager)
+router.delete('/:id', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const taskId = req.params.id;
+
+    const task = await Task.findById(taskId).populate({
+      path: 'project',
+      populate: { path: 'team' }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        error: {
+          message: 'Task not found',
+          status: 404
+        }
+      });
+    }
+
+    // Check if user can delete this task
+    const canDelete = can(req.user, 'manage_all', 'tasks') ||
+                     task.assignedBy.toString() === req.user._id.toString() ||
+                     hasManagementRights(task.project, req.user._id) ||
+                     task.project.team.isTeamLeader(req.user._id);
+
+    if (!canDelete) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to delete this task',
+          status: 403
+        }
+      });
+    }
+
+    // Check for dependencies
+    const dependentTasks = await Task.find({
+      'dependencies.task': taskId,
+      status: { $nin: ['completed', 'cancelled'] }
+    });
+
+    if (dependentTasks.length > 0) {
+      return res.status(400).json({
+        error: {
+          message: 'Cannot delete task with active dependencies',
+          status: 400,
+          details: {
+            dependentTasks: dependentTasks.map(t => ({ id: t._id, title: t.title }))
+          }
+        }
+      });
+    }
+
+    // Subtasks must be removed or moved first
+    const subtaskCount = await Task.countDocuments({ parentTask: taskId });
+    if (subtaskCount > 0) {
+      return res.status(400).json({
+        error: {
+          message: 'Cannot delete task with subtasks. Delete its subtasks first.',
+          status: 400
+        }
+      });
+    }
+
+    await Task.findByIdAndDelete(taskId);
+    await TimeEntry.deleteMany({ task: taskId });
+    await removeStoredFiles(task.attachments);
+    await Task.refreshSubtaskStats(task.parentTask);
+
+    await logTaskActivity(req.user, task, { action: 'delete', before: task });
 
     res.json({
       message: 'Task deleted successfully'
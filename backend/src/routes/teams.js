@@ -1,8 +1,16 @@
 const express = require('express');
 const Team = require('../models/Team');
 const User = require('../models/User');
-const { authenticateToken, requireAdmin, requireTeamLeaderOfTeamOrAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireTeamLeaderOfTeamOrAdmin } = require('../middleware/auth');
 const { validate, validateObjectId, validateQuery, teamValidationSchemas, paginationSchema } = require('../middleware/validation');
+const { logActivity, toSnapshot } = require('../services/activity');
+const { can } = require('../services/permissions');
+const TeamInvitation = require('../models/TeamInvitation');
+const { canInvite, createInvitation } = require('../services/teamInvitations');
+const TeamJoinRequest = require('../models/TeamJoinRequest');
+const { notify } = require('../services/notifications');
+const { getTeamVisibilityQuery } = require('../services/visibility');
+const { escapeRegex } = require('../services/search');
 
 const router = express.Router();
 
@@ -15,22 +23,11 @@ router.get('/', authenticateToken, validateQuery(paginationSchema.keys({
   try {
     const { page = 1, limit = 10, sort = 'createdAt', order = 'desc', search, isActive } = req.query;
     
-    // Build query based on user role
-    let query = {};
-    
-    // Non-admin users can only see teams they are part of
-    if (req.user.role !== 'admin') {
-      query['members.user'] = req.user._id;
-    }
+    // Build query based on user permissions
+    let query = getTeamVisibilityQuery(req.user);
     
     if (search) {
-      query.$and = query.$and || [];
-      query.$and.push({
-        $or: [
-          { name: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } }
-        ]
-      });
+      query.$text = { $search: search };
     }
     
     if (typeof isActive !== 'undefined') {
@@ -73,9 +70,132 @@ router.get('/', authenticateToken, validateQuery(paginationSchema.keys({
   }
 });
 
+// @route   GET /api/teams/directory
+// @desc    Get active public teams that users can ask to join
+// @access  Private
+router.get('/directory', authenticateToken, validateQuery(paginationSchema), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, sort = 'createdAt', order = 'desc', search } = req.query;
+
+    const query = { isActive: true, 'settings.publicVisibility': true };
+
+    if (search) {
+      query.$text = { $search: search };
+    }
+
+    const teams = await Team.find(query)
+      .select('name description teamLeader members createdAt')
+      .populate('teamLeader', 'name')
+      .sort({ [sort]: order === 'asc' ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Team.countDocuments(query);
+
+    // Pending requests of the current user, so the directory can show them
+    const pendingRequests = await TeamJoinRequest.find({
+      user: req.user._id,
+      team: { $in: teams.map(team => team._id) },
+      status: 'pending'
+    }).select('team').lean();
+    const pendingByTeam = new Map(pendingRequests.map(request => [request.team.toString(), request._id]));
+
+    const userId = req.user._id.toString();
+
+    res.json({
+      message: 'Team directory retrieved successfully',
+      data: {
+        teams: teams.map(team => ({
+          _id: team._id,
+          name: team.name,
+          description: team.description,
+          teamLeader: team.teamLeader,
+          membersCount: team.members.length,
+          isMember: team.members.some(member => member.user.toString() === userId),
+          pendingRequest: pendingByTeam.get(team._id.toString()) || null,
+          createdAt: team.createdAt
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalTeams: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get team directory error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/teams/join-requests
+// @desc    Get join requests of the teams the user leads (all teams with
+//          teams:manage_all), or the user's own requests with mine=true
+// @access  Private
+router.get('/join-requests', authenticateToken, validateQuery(paginationSchema.keys({
+  status: require('joi').string().valid('pending', 'approved', 'rejected', 'cancelled').default('pending'),
+  mine: require('joi').boolean()
+})), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, order = 'desc', status, mine } = req.query;
+
+    const query = { status };
+
+    if (mine) {
+      query.user = req.user._id;
+    } else if (!can(req.user, 'manage_all', 'teams')) {
+      const ledTeams = await Team.find({ teamLeader: req.user._id }).distinct('_id');
+      query.team = { $in: ledTeams };
+    }
+
+    const requests = await TeamJoinRequest.find(query)
+      .populate('team', 'name')
+      .populate('user', 'name email')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: order === 'asc' ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await TeamJoinRequest.countDocuments(query);
+
+    res.json({
+      message: 'Join requests retrieved successfully',
+      data: {
+        requests,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRequests: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
 // @route   GET /api/teams/:id
 // @desc    Get team by ID
-// @access  Private (Admin or team member)
+// @access  Private (teams:read_all or team member)
 router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) => {
   try {
     const teamId = req.params.id;
@@ -95,7 +215,7 @@ router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) =
     }
 
     // Check if user can access this team
-    if (req.user.role !== 'admin' && !team.isMember(req.user._id)) {
+    if (!can(req.user, 'read_all', 'teams') && !team.isMember(req.user._id)) {
       return res.status(403).json({
         error: {
           message: 'Access denied to this team',
@@ -123,15 +243,15 @@ router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) =
 });
 
 // @route   POST /api/teams
-// @desc    Create new team (Admin only)
-// @access  Private/Admin
-router.post('/', authenticateToken, requireAdmin, validate(teamValidationSchemas.create), async (req, res) => {
+// @desc    Create new team
+// @access  Private (teams:create)
+router.post('/', authenticateToken, requirePermission('create', 'teams'), validate(teamValidationSchemas.create), async (req, res) => {
   try {
     const { name, description, teamLeader, members, settings } = req.body;
 
     // Check if team name already exists
     const existingTeam = await Team.findOne({ 
-      name: { $regex: new RegExp(`^${name}$`, 'i') } 
+      name: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') } 
     });
     if (existingTeam) {
       return res.status(400).json({
@@ -153,10 +273,10 @@ router.post('/', authenticateToken, requireAdmin, validate(teamValidationSchemas
       });
     }
 
-    if (!['admin', 'team_leader'].includes(leader.role)) {
+    if (!can(leader, 'lead', 'teams')) {
       return res.status(400).json({
         error: {
-          message: 'User must be admin or team leader to lead a team',
+          message: 'User must have the teams:lead permission to lead a team',
           status: 400
         }
       });
@@ -194,6 +314,8 @@ router.post('/', authenticateToken, requireAdmin, validate(teamValidationSchemas
 
     await team.save();
 
+    await logActivity(req.user, { action: 'create', entityType: 'team', after: team, team });
+
     // Update users' teams array
     const allMemberIds = [teamLeader, ...members];
     await User.updateMany(
@@ -238,7 +360,7 @@ router.post('/', authenticateToken, requireAdmin, validate(teamValidationSchemas
 
 // @route   PUT /api/teams/:id
 // @desc    Update team
-// @access  Private (Admin or Team Leader)
+// @access  Private (teams:manage_all or team leader)
 router.put('/:id', authenticateToken, requireTeamLeaderOfTeamOrAdmin, validateObjectId('id'), validate(teamValidationSchemas.update), async (req, res) => {
   try {
     const teamId = req.params.id;
@@ -254,10 +376,12 @@ router.put('/:id', authenticateToken, requireTeamLeaderOfTeamOrAdmin, validateOb
       });
     }
 
+    const before = toSnapshot(team);
+
     // Check if new team name already exists
     if (name && name !== team.name) {
       const existingTeam = await Team.findOne({ 
-        name: { $regex: new RegExp(`^${name}$`, 'i') },
+        name: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') },
         _id: { $ne: teamId }
       });
       if (existingTeam) {
@@ -282,10 +406,10 @@ router.put('/:id', authenticateToken, requireTeamLeaderOfTeamOrAdmin, validateOb
         });
       }
 
-      if (!['admin', 'team_leader'].includes(leader.role)) {
+      if (!can(leader, 'lead', 'teams')) {
         return res.status(400).json({
           error: {
-            message: 'User must be admin or team leader to lead a team',
+            message: 'User must have the teams:lead permission to lead a team',
             status: 400
           }
         });
@@ -324,6 +448,8 @@ router.put('/:id', authenticateToken, requireTeamLeaderOfTeamOrAdmin, validateOb
 
     await team.save();
 
+    await logActivity(req.user, { action: 'update', entityType: 'team', before, after: team, team });
+
     const updatedTeam = await Team.findById(teamId)
       .populate('teamLeader', 'name email')
       .populate('members.user', 'name email role')
@@ -361,7 +487,7 @@ router.put('/:id', authenticateToken, requireTeamLeaderOfTeamOrAdmin, validateOb
 
 // @route   POST /api/teams/:id/members
 // @desc    Add member to team
-// @access  Private (Admin or Team Leader)
+// @access  Private (teams:manage_all or team leader)
 router.post('/:id/members', authenticateToken, requireTeamLeaderOfTeamOrAdmin, validateObjectId('id'), validate(teamValidationSchemas.addMember), async (req, res) => {
   try {
     const teamId = req.params.id;
@@ -399,9 +525,19 @@ router.post('/:id/members', authenticateToken, requireTeamLeaderOfTeamOrAdmin, v
     }
 
     // Add member
+    const before = toSnapshot(team);
     team.addMember(userId, role);
     await team.save();
 
+    await logActivity(req.user, {
+      action: 'add_member',
+      entityType: 'team',
+      before,
+      after: team,
+      team,
+      metadata: { user: user._id, name: user.name, role: role || 'member' }
+    });
+
     // Update user's teams array
     await User.findByIdAndUpdate(userId, {
       $addToSet: { teams: teamId }
@@ -430,9 +566,516 @@ router.post('/:id/members', authenticateToken, requireTeamLeaderOfTeamOrAdmin, v
   }
 });
 
+// @route   GET /api/teams/:id/invitations
+// @desc    List the team's pending invitations
+// @access  Private (teams:manage_all, team leader, or members when the team allows member invites)
+router.get('/:id/invitations', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({
+        error: {
+          message: 'Team not found',
+          status: 404
+        }
+      });
+    }
+
+    const canManageTeam = can(req.user, 'manage_all', 'teams') || team.isTeamLeader(req.user._id);
+    if (!canInvite(team, req.user, canManageTeam)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to this team\'s invitations',
+          status: 403
+        }
+      });
+    }
+
+    const invitations = await TeamInvitation.find({
+      team: team._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('invitedBy', 'name email')
+      .populate('invitedUser', 'name email')
+      .select('-tokenHash')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      message: 'Team invitations retrieved successfully',
+      data: {
+        invitations
+      }
+    });
+
+  } catch (error) {
+    console.error('Get team invitations error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/teams/:id/invitations
+// @desc    Invite someone to the team by email (existing user or new account)
+// @access  Private (teams:manage_all, team leader, or members when the team allows member invites)
+router.post('/:id/invitations', authenticateToken, validateObjectId('id'), validate(teamValidationSchemas.invite), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const team = await Team.findById(req.params.id);
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        error: {
+          message: 'Team not found or inactive',
+          status: 404
+        }
+      });
+    }
+
+    const canManageTeam = can(req.user, 'manage_all', 'teams') || team.isTeamLeader(req.user._id);
+    if (!canInvite(team, req.user, canManageTeam)) {
+      return res.status(403).json({
+        error: {
+          message: 'You are not allowed to invite people to this team',
+          status: 403
+        }
+      });
+    }
+
+    const existingUser = await User.findOne({ email }).select('isActive');
+    if (existingUser && team.isMember(existingUser._id)) {
+      return res.status(400).json({
+        error: {
+          message: 'User is already a team member',
+          status: 400
+        }
+      });
+    }
+
+    if (existingUser && !existingUser.isActive) {
+      return res.status(400).json({
+        error: {
+          message: 'User account is deactivated',
+          status: 400
+        }
+      });
+    }
+
+    const invitation = await createInvitation({ team, email, invitedBy: req.user });
+
+    await logActivity(req.user, { action: 'create', entityType: 'team_invitation', entity: invitation, team, metadata: { email } });
+
+    const invitationResponse = invitation.toObject();
+    delete invitationResponse.tokenHash;
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      data: {
+        invitation: invitationResponse
+      }
+    });
+
+  } catch (error) {
+    console.error('Create team invitation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/teams/:id/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (teams:manage_all, team leader, or the inviter)
+router.delete('/:id/invitations/:invitationId', authenticateToken, validateObjectId('id'), validateObjectId('invitationId'), async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({
+        error: {
+          message: 'Team not found',
+          status: 404
+        }
+      });
+    }
+
+    const invitation = await TeamInvitation.findOne({
+      _id: req.params.invitationId,
+      team: team._id,
+      status: 'pending'
+    });
+    if (!invitation) {
+      return res.status(404).json({
+        error: {
+          message: 'Pending invitation not found',
+          status: 404
+        }
+      });
+    }
+
+    const canRevoke = can(req.user, 'manage_all', 'teams') ||
+                      team.isTeamLeader(req.user._id) ||
+                      invitation.invitedBy.toString() === req.user._id.toString();
+    if (!canRevoke) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to revoke this invitation',
+          status: 403
+        }
+      });
+    }
+
+    invitation.status = 'revoked';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    await logActivity(req.user, {
+      action: 'update',
+      entityType: 'team_invitation',
+      entity: invitation,
+      team,
+      metadata: { email: invitation.email, status: 'revoked' }
+    });
+
+    res.json({
+      message: 'Invitation revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke team invitation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/teams/:id/join-requests
+// @desc    Ask to join a public team
+// @access  Private
+router.post('/:id/join-requests', authenticateToken, validateObjectId('id'), validate(teamValidationSchemas.joinRequest), async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        error: {
+          message: 'Team not found or inactive',
+          status: 404
+        }
+      });
+    }
+
+    if (!team.settings.publicVisibility) {
+      return res.status(403).json({
+        error: {
+          message: 'This team does not accept join requests',
+          status: 403
+        }
+      });
+    }
+
+    if (team.isMember(req.user._id)) {
+      return res.status(400).json({
+        error: {
+          message: 'You are already a team member',
+          status: 400
+        }
+      });
+    }
+
+    const existingRequest = await TeamJoinRequest.findOne({
+      team: team._id,
+      user: req.user._id,
+      status: 'pending'
+    });
+    if (existingRequest) {
+      return res.status(400).json({
+        error: {
+          message: 'You already have a pending request for this team',
+          status: 400
+        }
+      });
+    }
+
+    const joinRequest = await TeamJoinRequest.create({
+      team: team._id,
+      user: req.user._id,
+      message: req.body.message
+    });
+
+    await logActivity(req.user, {
+      action: 'create',
+      entityType: 'team_join_request',
+      entity: joinRequest,
+      team,
+      metadata: { user: req.user._id, name: req.user.name }
+    });
+
+    await notify({
+      recipients: [team.teamLeader],
+      actor: req.user,
+      type: 'team_join_request',
+      message: `${req.user.name} asked to join ${team.name}`,
+      team,
+      link: '/teams/directory'
+    });
+
+    res.status(201).json({
+      message: 'Join request sent successfully',
+      data: {
+        request: joinRequest
+      }
+    });
+
+  } catch (error) {
+    console.error('Create join request error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/teams/:id/join-requests
+// @desc    Get the team's join requests
+// @access  Private (teams:manage_all or team leader)
+router.get('/:id/join-requests', authenticateToken, validateObjectId('id'), validateQuery(require('joi').object({
+  status: require('joi').string().valid('pending', 'approved', 'rejected', 'cancelled').default('pending')
+})), async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({
+        error: {
+          message: 'Team not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!can(req.user, 'manage_all', 'teams') && !team.isTeamLeader(req.user._id)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to this team\'s join requests',
+          status: 403
+        }
+      });
+    }
+
+    const requests = await TeamJoinRequest.find({ team: team._id, status: req.query.status })
+      .populate('user', 'name email')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      message: 'Join requests retrieved successfully',
+      data: {
+        requests
+      }
+    });
+
+  } catch (error) {
+    console.error('Get team join requests error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   PUT /api/teams/:id/join-requests/:requestId
+// @desc    Approve or reject a pending join request; approving adds the user to the team
+// @access  Private (teams:manage_all or team leader)
+router.put('/:id/join-requests/:requestId', authenticateToken, validateObjectId('id'), validateObjectId('requestId'), validate(teamValidationSchemas.reviewJoinRequest), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({
+        error: {
+          message: 'Team not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!can(req.user, 'manage_all', 'teams') && !team.isTeamLeader(req.user._id)) {
+      return res.status(403).json({
+        error: {
+          message: 'Only the team leader can review join requests',
+          status: 403
+        }
+      });
+    }
+
+    const pending = await TeamJoinRequest.findOne({
+      _id: req.params.requestId,
+      team: team._id,
+      status: 'pending'
+    });
+    if (!pending) {
+      return res.status(404).json({
+        error: {
+          message: 'Pending join request not found',
+          status: 404
+        }
+      });
+    }
+
+    const user = await User.findById(pending.user);
+    if (status === 'approved') {
+      if (!team.isActive) {
+        return res.status(400).json({
+          error: {
+            message: 'Cannot add members to an inactive team',
+            status: 400
+          }
+        });
+      }
+
+      if (!user || !user.isActive) {
+        return res.status(400).json({
+          error: {
+            message: 'User not found or inactive',
+            status: 400
+          }
+        });
+      }
+    }
+
+    // Only one reviewer can answer a request
+    const joinRequest = await TeamJoinRequest.findOneAndUpdate(
+      { _id: pending._id, status: 'pending' },
+      { $set: { status, reviewedBy: req.user._id, reviewedAt: new Date(), reviewNote: note } },
+      { new: true }
+    );
+    if (!joinRequest) {
+      return res.status(400).json({
+        error: {
+          message: 'Join request was already answered',
+          status: 400
+        }
+      });
+    }
+
+    if (status === 'approved' && !team.isMember(user._id)) {
+      const before = toSnapshot(team);
+      team.addMember(user._id, 'member');
+      await team.save();
+
+      await logActivity(req.user, {
+        action: 'add_member',
+        entityType: 'team',
+        before,
+        after: team,
+        team,
+        metadata: { user: user._id, name: user.name, role: 'member', joinRequest: joinRequest._id }
+      });
+
+      await User.findByIdAndUpdate(user._id, {
+        $addToSet: { teams: team._id }
+      });
+    }
+
+    await notify({
+      recipients: [joinRequest.user],
+      actor: req.user,
+      type: 'team_join_response',
+      message: status === 'approved'
+        ? `${req.user.name} approved your request to join ${team.name}`
+        : `${req.user.name} rejected your request to join ${team.name}`,
+      team,
+      link: '/teams/directory'
+    });
+
+    res.json({
+      message: `Join request ${status} successfully`,
+      data: {
+        request: joinRequest
+      }
+    });
+
+  } catch (error) {
+    console.error('Review join request error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/teams/:id/join-requests/:requestId
+// @desc    Cancel your own pending join request
+// @access  Private (requester)
+router.delete('/:id/join-requests/:requestId', authenticateToken, validateObjectId('id'), validateObjectId('requestId'), async (req, res) => {
+  try {
+    const joinRequest = await TeamJoinRequest.findOne({
+      _id: req.params.requestId,
+      team: req.params.id,
+      status: 'pending'
+    });
+    if (!joinRequest) {
+      return res.status(404).json({
+        error: {
+          message: 'Pending join request not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!joinRequest.isRequester(req.user._id)) {
+      return res.status(403).json({
+        error: {
+          message: 'You can only cancel your own join requests',
+          status: 403
+        }
+      });
+    }
+
+    joinRequest.status = 'cancelled';
+    await joinRequest.save();
+
+    await logActivity(req.user, {
+      action: 'update',
+      entityType: 'team_join_request',
+      entity: joinRequest,
+      team: joinRequest.team,
+      metadata: { user: req.user._id, name: req.user.name, status: 'cancelled' }
+    });
+
+    res.json({
+      message: 'Join request cancelled successfully'
+    });
+
+  } catch (error) {
+    console.error('Cancel join request error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
 // @route   DELETE /api/teams/:id/members/:userId
 // @desc    Remove member from team
-// @access  Private (Admin or Team Leader)
+// @access  Private (teams:manage_all or team leader)
 router.delete('/:id/members/:userId', authenticateToken, requireTeamLeaderOfTeamOrAdmin, validateObjectId('id'), validateObjectId('userId'), async (req, res) => {
   try {
     const teamId = req.params.id;
@@ -469,9 +1112,19 @@ router.delete('/:id/members/:userId', authenticateToken, requireTeamLeaderOfTeam
     }
 
     // Remove member
+    const before = toSnapshot(team);
     team.removeMember(userId);
     await team.save();
 
+    await logActivity(req.user, {
+      action: 'remove_member',
+      entityType: 'team',
+      before,
+      after: team,
+      team,
+      metadata: { user: userId }
+    });
+
     // Update user's teams array
     await User.findByIdAndUpdate(userId, {
       $pull: { teams: teamId }
@@ -501,9 +1154,9 @@ router.delete('/:id/members/:userId', authenticateToken, requireTeamLeaderOfTeam
 });
 
 // @route   DELETE /api/teams/:id
-// @desc    Delete team (Admin only)
-// @access  Private/Admin
-router.delete('/:id', authenticateToken, requireAdmin, validateObjectId('id'), async (req, res) => {
+// @desc    Delete team
+// @access  Private (teams:delete)
+router.delete('/:id', authenticateToken, requirePermission('delete', 'teams'), validateObjectId('id'), async (req, res) => {
   try {
     const teamId = req.params.id;
 
@@ -544,6 +1197,8 @@ router.delete('/:id', authenticateToken, requireAdmin, validateObjectId('id'), a
 
     await Team.findByIdAndDelete(teamId);
 
+    await logActivity(req.user, { action: 'delete', entityType: 'team', before: team, team });
+
     res.json({
       message: 'Team deleted successfully'
     });
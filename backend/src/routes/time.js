@@ -0,0 +1,147 @@
+const express = require('express');
+const TimeEntry = require('../models/TimeEntry');
+const Team = require('../models/Team');
+const { authenticateToken } = require('../middleware/auth');
+const { validateQuery } = require('../middleware/validation');
+const { can } = require('../services/permissions');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of the UTC day containing date
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Start of the ISO week (Monday, UTC) containing date
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  const offset = (day.getUTCDay() + 6) % 7;
+  return new Date(day.getTime() - offset * DAY_MS);
+};
+
+// Check if the current user may view another user's timesheet
+const canViewTimesheet = async (viewer, userId) => {
+  if (can(viewer, 'read_all', 'time') || viewer._id.toString() === userId.toString()) return true;
+  if (!can(viewer, 'read_team', 'time')) return false;
+
+  const ledTeam = await Team.exists({ teamLeader: viewer._id, 'members.user': userId });
+  return Boolean(ledTeam);
+};
+
+// @route   GET /api/time/running
+// @desc    Get the current user's running timer
+// @access  Private
+router.get('/running', authenticateToken, async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ user: req.user._id, isRunning: true })
+      .populate('task', 'title status')
+      .populate('project', 'name');
+
+    res.json({
+      message: entry ? 'Running timer retrieved successfully' : 'No running timer',
+      data: {
+        entry
+      }
+    });
+
+  } catch (error) {
+    console.error('Get running timer error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/time/timesheet
+// @desc    Get daily or weekly timesheet for a user
+// @access  Private (Self, time:read_team for a led team's members, or time:read_all)
+router.get('/timesheet', authenticateToken, validateQuery(require('joi').object({
+  period: require('joi').string().valid('daily', 'weekly').default('weekly'),
+  date: require('joi').date(),
+  userId: require('joi').string().pattern(/^[0-9a-fA-F]{24}$/)
+})), async (req, res) => {
+  try {
+    const { period, date = new Date() } = req.query;
+    const userId = req.query.userId || req.user._id;
+
+    if (!(await canViewTimesheet(req.user, userId))) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to this timesheet',
+          status: 403
+        }
+      });
+    }
+
+    const from = period === 'daily' ? startOfDay(date) : startOfWeek(date);
+    const days = period === 'daily' ? 1 : 7;
+    const to = new Date(from.getTime() + days * DAY_MS);
+
+    const entries = await TimeEntry.find({
+      user: userId,
+      isRunning: false,
+      startTime: { $gte: from, $lt: to }
+    })
+      .populate('task', 'title status')
+      .populate('project', 'name')
+      .sort({ startTime: 1 })
+      .lean();
+
+    // Totals per day
+    const dailyTotals = Array.from({ length: days }, (_, index) => ({
+      date: new Date(from.getTime() + index * DAY_MS),
+      hours: 0
+    }));
+
+    // Totals per task
+    const taskTotals = new Map();
+
+    entries.forEach(entry => {
+      const dayIndex = Math.floor((startOfDay(entry.startTime).getTime() - from.getTime()) / DAY_MS);
+      dailyTotals[dayIndex].hours += entry.hours;
+
+      const taskKey = entry.task ? entry.task._id.toString() : 'deleted';
+      if (!taskTotals.has(taskKey)) {
+        taskTotals.set(taskKey, {
+          task: entry.task,
+          project: entry.project,
+          hours: 0
+        });
+      }
+      taskTotals.get(taskKey).hours += entry.hours;
+    });
+
+    const round = (hours) => Math.round(hours * 100) / 100;
+
+    res.json({
+      message: 'Timesheet retrieved successfully',
+      data: {
+        period,
+        from,
+        to,
+        entries,
+        days: dailyTotals.map(day => ({ ...day, hours: round(day.hours) })),
+        tasks: Array.from(taskTotals.values()).map(total => ({ ...total, hours: round(total.hours) })),
+        totalHours: round(entries.reduce((sum, entry) => sum + entry.hours, 0))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get timesheet error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
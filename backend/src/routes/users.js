@@ -1,16 +1,24 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const LoginEvent = require('../models/LoginEvent');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { validate, validateObjectId, validateQuery, userValidationSchemas, paginationSchema } = require('../middleware/validation');
+const { CLOSED_STATUSES } = require('../services/workflow');
+const { logActivity, toSnapshot } = require('../services/activity');
+const { listActiveSessions, revokeUserSessions } = require('../services/sessions');
+const { revokeUserAccessTokens } = require('../services/accessTokens');
+const { resetLoginSecurity } = require('../services/loginProtection');
+const { can, ROLE_KEY_PATTERN } = require('../services/permissions');
+const { escapeRegex } = require('../services/search');
 
 const router = express.Router();
 
 // @route   GET /api/users
-// @desc    Get all users (Admin only)
-// @access  Private/Admin
-router.get('/', authenticateToken, requireAdmin, validateQuery(paginationSchema.keys({
-  role: require('joi').string().valid('admin', 'team_leader', 'member'),
+// @desc    Get all users
+// @access  Private (users:read)
+router.get('/', authenticateToken, requirePermission('read', 'users'), validateQuery(paginationSchema.keys({
+  role: require('joi').string().pattern(ROLE_KEY_PATTERN),
   isActive: require('joi').boolean(),
   department: require('joi').string()
 })), async (req, res) => {
@@ -21,16 +29,12 @@ router.get('/', authenticateToken, requireAdmin, validateQuery(paginationSchema.
     let query = {};
     
     if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { 'profile.department': { $regex: search, $options: 'i' } }
-      ];
+      query.$text = { $search: search };
     }
     
     if (role) query.role = role;
     if (typeof isActive !== 'undefined') query.isActive = isActive;
-    if (department) query['profile.department'] = { $regex: department, $options: 'i' };
+    if (department) query['profile.department'] = { $regex: escapeRegex(department), $options: 'i' };
 
     // Execute query with pagination
     const options = {
@@ -72,9 +76,9 @@ router.get('/', authenticateToken, requireAdmin, validateQuery(paginationSchema.
 });
 
 // @route   GET /api/users/stats
-// @desc    Get user statistics (Admin only)
-// @access  Private/Admin
-router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
+// @desc    Get user statistics
+// @access  Private (users:read)
+router.get('/stats', authenticateToken, requirePermission('read', 'users'), async (req, res) => {
   try {
     const stats = await User.aggregate([
       {
@@ -132,13 +136,13 @@ router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
 
 // @route   GET /api/users/:id
 // @desc    Get user by ID
-// @access  Private/Admin or Self
+// @access  Private (users:read or self)
 router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) => {
   try {
     const userId = req.params.id;
     
     // Check if user can access this profile
-    if (req.user.role !== 'admin' && req.user._id.toString() !== userId) {
+    if (!can(req.user, 'read', 'users') && req.user._id.toString() !== userId) {
       return res.status(403).json({
         error: {
           message: 'Access denied',
@@ -161,10 +165,17 @@ router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) =
       });
     }
 
+    // Latest sign-in attempts, shown next to lastLogin
+    const recentLoginEvents = await LoginEvent.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .limit(10)
+      .select('-user');
+
     res.json({
       message: 'User retrieved successfully',
       data: {
-        user
+        user,
+        recentLoginEvents
       }
     });
 
@@ -180,9 +191,9 @@ router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) =
 });
 
 // @route   POST /api/users
-// @desc    Create new user (Admin only)
-// @access  Private/Admin
-router.post('/', authenticateToken, requireAdmin, validate(userValidationSchemas.register), async (req, res) => {
+// @desc    Create new user
+// @access  Private (users:create)
+router.post('/', authenticateToken, requirePermission('create', 'users'), validate(userValidationSchemas.register), async (req, res) => {
   try {
     const { name, email, password, role } = req.body;
 
@@ -212,6 +223,8 @@ router.post('/', authenticateToken, requireAdmin, validate(userValidationSchemas
 
     await user.save();
 
+    await logActivity(req.user, { action: 'create', entityType: 'user', after: user });
+
     // Remove password from response
     const userResponse = user.toObject();
     delete userResponse.password;
@@ -248,15 +261,15 @@ router.post('/', authenticateToken, requireAdmin, validate(userValidationSchemas
 
 // @route   PUT /api/users/:id
 // @desc    Update user
-// @access  Private/Admin or Self (limited fields for self)
+// @access  Private (users:update or self, limited fields for self)
 router.put('/:id', authenticateToken, validateObjectId('id'), validate(userValidationSchemas.updateUser), async (req, res) => {
   try {
     const userId = req.params.id;
-    const isAdmin = req.user.role === 'admin';
+    const canUpdateUsers = can(req.user, 'update', 'users');
     const isSelf = req.user._id.toString() === userId;
 
     // Check permissions
-    if (!isAdmin && !isSelf) {
+    if (!canUpdateUsers && !isSelf) {
       return res.status(403).json({
         error: {
           message: 'Access denied',
@@ -275,10 +288,13 @@ router.put('/:id', authenticateToken, validateObjectId('id'), validate(userValid
       });
     }
 
-    // Restrict fields for non-admin users
-    const allowedFields = isAdmin 
-      ? ['name', 'email', 'role', 'isActive', 'profile']
+    // Restrict fields for users without the users:update permission
+    const allowedFields = canUpdateUsers
+      ? ['name', 'email', 'isActive', 'profile']
       : ['name', 'profile'];
+    if (can(req.user, 'assign_roles', 'users')) {
+      allowedFields.push('role');
+    }
 
     const updateData = {};
     Object.keys(req.body).forEach(key => {
@@ -304,8 +320,8 @@ router.put('/:id', authenticateToken, validateObjectId('id'), validate(userValid
       updateData.email = updateData.email.toLowerCase();
     }
 
-    // Prevent self-deactivation for admins
-    if (isAdmin && isSelf && updateData.isActive === false) {
+    // Prevent self-deactivation
+    if (isSelf && updateData.isActive === false) {
       return res.status(400).json({
         error: {
           message: 'Cannot deactivate your own account',
@@ -315,9 +331,17 @@ router.put('/:id', authenticateToken, validateObjectId('id'), validate(userValid
     }
 
     // Update user
+    const before = toSnapshot(user);
     Object.assign(user, updateData);
     await user.save();
 
+    // Deactivated users are logged out everywhere
+    if (before.isActive && !user.isActive) {
+      await revokeUserSessions(user._id, 'user_deactivated');
+    }
+
+    await logActivity(req.user, { action: 'update', entityType: 'user', before, after: user });
+
     const updatedUser = await User.findById(userId)
       .populate('teams', 'name')
       .select('-password');
@@ -353,9 +377,9 @@ router.put('/:id', authenticateToken, validateObjectId('id'), validate(userValid
 });
 
 // @route   PUT /api/users/:id/promote
-// @desc    Promote user to team leader (Admin only)
-// @access  Private/Admin
-router.put('/:id/promote', authenticateToken, requireAdmin, validateObjectId('id'), async (req, res) => {
+// @desc    Promote user to team leader
+// @access  Private (users:assign_roles)
+router.put('/:id/promote', authenticateToken, requirePermission('assign_roles', 'users'), validateObjectId('id'), async (req, res) => {
   try {
     const userId = req.params.id;
     
@@ -387,9 +411,12 @@ router.put('/:id/promote', authenticateToken, requireAdmin, validateObjectId('id
       });
     }
 
+    const before = toSnapshot(user);
     user.role = 'team_leader';
     await user.save();
 
+    await logActivity(req.user, { action: 'promote', entityType: 'user', before, after: user });
+
     const updatedUser = await User.findById(userId).select('-password');
 
     res.json({
@@ -411,9 +438,9 @@ router.put('/:id/promote', authenticateToken, requireAdmin, validateObjectId('id
 });
 
 // @route   PUT /api/users/:id/demote
-// @desc    Demote team leader to member (Admin only)
-// @access  Private/Admin
-router.put('/:id/demote', authenticateToken, requireAdmin, validateObjectId('id'), async (req, res) => {
+// @desc    Demote team leader to member
+// @access  Private (users:assign_roles)
+router.put('/:id/demote', authenticateToken, requirePermission('assign_roles', 'users'), validateObjectId('id'), async (req, res) => {
   try {
     const userId = req.params.id;
     
@@ -461,9 +488,12 @@ router.put('/:id/demote', authenticateToken, requireAdmin, validateObjectId('id'
       });
     }
 
+    const before = toSnapshot(user);
     user.role = 'member';
     await user.save();
 
+    await logActivity(req.user, { action: 'demote', entityType: 'user', before, after: user });
+
     const updatedUser = await User.findById(userId).select('-password');
 
     res.json({
@@ -484,10 +514,224 @@ router.put('/:id/demote', authenticateToken, requireAdmin, validateObjectId('id'
   }
 });
 
+// @route   GET /api/users/:id/login-events
+// @desc    Get a user's login history
+// @access  Private (users:manage_security or self)
+router.get('/:id/login-events', authenticateToken, validateObjectId('id'), validateQuery(paginationSchema.keys({
+  success: require('joi').boolean()
+})), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { page, limit, success } = req.query;
+
+    if (!can(req.user, 'manage_security', 'users') && req.user._id.toString() !== userId) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied',
+          status: 403
+        }
+      });
+    }
+
+    const query = { user: userId };
+    if (typeof success !== 'undefined') query.success = success;
+
+    const [loginEvents, total] = await Promise.all([
+      LoginEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-user'),
+      LoginEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      message: 'Login events retrieved successfully',
+      data: {
+        loginEvents,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalLoginEvents: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get login events error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/users/:id/unlock
+// @desc    Clear failed login attempts and lift a lockout
+// @access  Private (users:manage_security)
+router.post('/:id/unlock', authenticateToken, requirePermission('manage_security', 'users'), validateObjectId('id'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    await resetLoginSecurity(user._id);
+
+    await logActivity(req.user, {
+      action: 'update',
+      entityType: 'user',
+      entity: user,
+      metadata: { unlocked: true }
+    });
+
+    res.json({
+      message: `${user.name} has been unlocked`
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/users/:id/2fa/reset
+// @desc    Turn off a user's two-factor authentication, e.g. after a lost device
+// @access  Private (users:manage_security)
+router.post('/:id/2fa/reset', authenticateToken, requirePermission('manage_security', 'users'), validateObjectId('id'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    user.twoFactor = { enabled: false, recoveryCodes: [] };
+    await user.save();
+
+    await logActivity(req.user, {
+      action: 'update',
+      entityType: 'user',
+      entity: user,
+      metadata: { twoFactorReset: true }
+    });
+
+    res.json({
+      message: `Two-factor authentication reset for ${user.name}`
+    });
+
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/users/:id/sessions
+// @desc    List a user's active sessions
+// @access  Private (users:manage_security)
+router.get('/:id/sessions', authenticateToken, requirePermission('manage_security', 'users'), validateObjectId('id'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    const sessions = await listActiveSessions(user._id);
+
+    res.json({
+      message: 'Sessions retrieved successfully',
+      data: {
+        sessions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/users/:id/force-logout
+// @desc    Revoke all of a user's sessions and access tokens
+// @access  Private (users:manage_security)
+router.post('/:id/force-logout', authenticateToken, requirePermission('manage_security', 'users'), validateObjectId('id'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    const revokedCount = await revokeUserSessions(user._id, 'revoked_by_admin');
+    const revokedTokenCount = await revokeUserAccessTokens(user._id);
+
+    await logActivity(req.user, {
+      action: 'update',
+      entityType: 'user',
+      entity: user,
+      metadata: { forceLogout: true, revokedCount, revokedTokenCount }
+    });
+
+    res.json({
+      message: `${user.name} has been logged out of ${revokedCount} session(s) and lost ${revokedTokenCount} access token(s)`,
+      data: {
+        revokedCount,
+        revokedTokenCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
 // @route   DELETE /api/users/:id
-// @desc    Delete user (Admin only)
-// @access  Private/Admin
-router.delete('/:id', authenticateToken, requireAdmin, validateObjectId('id'), async (req, res) => {
+// @desc    Delete user
+// @access  Private (users:delete)
+router.delete('/:id', authenticateToken, requirePermission('delete', 'users'), validateObjectId('id'), async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -519,7 +763,7 @@ router.delete('/:id', authenticateToken, requireAdmin, validateObjectId('id'), a
     const [teamsLed, projectsManaged, tasksAssigned] = await Promise.all([
       Team.find({ teamLeader: userId }),
       Project.find({ projectManager: userId }),
-      Task.find({ assignedTo: userId, status: { $in: ['todo', 'in_progress', 'review'] } })
+      Task.find({ assignedTo: userId, status: { $nin: CLOSED_STATUSES } })
     ]);
 
     const dependencies = [];
@@ -541,6 +785,9 @@ router.delete('/:id', authenticateToken, requireAdmin, validateObjectId('id'), a
     }
 
     await User.findByIdAndDelete(userId);
+    await revokeUserSessions(userId, 'revoked_by_admin');
+
+    await logActivity(req.user, { action: 'delete', entityType: 'user', before: user });
 
     res.json({
       message: 'User deleted successfully'
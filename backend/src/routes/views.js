@@ -0,0 +1,266 @@
+const express = require('express');
+const SavedView = require('../models/SavedView');
+const Team = require('../models/Team');
+const { authenticateToken } = require('../middleware/auth');
+const { validate, validateObjectId, savedViewValidationSchemas } = require('../middleware/validation');
+const { logActivity, toSnapshot } = require('../services/activity');
+const { getAccessibleViewsQuery, isViewOwner, canViewSavedView, canShareWithTeam, canManageSavedView } = require('../services/savedViews');
+
+const router = express.Router();
+
+// Load the team a view is to be shared with and check the user may share with it.
+// Returns { team } or { error } with the response status and message.
+const getShareTeam = async (teamId, user) => {
+  const team = await Team.findById(teamId);
+  if (!team || !team.isActive) {
+    return { error: { message: 'Team not found', status: 404 } };
+  }
+  if (!canShareWithTeam(team, user)) {
+    return { error: { message: 'You can only share views with teams you belong to', status: 403 } };
+  }
+  return { team };
+};
+
+// View as returned by the API, with whether the user may change it. The
+// team is populated with its members for access checks, which are left out.
+const toViewResponse = (view, user) => ({
+  ...view.toObject(),
+  team: view.team ? { _id: view.team._id, name: view.team.name } : null,
+  canManage: canManageSavedView(view, user)
+});
+
+const populateView = (query) => {
+  return query
+    .populate('owner', 'name email')
+    .populate('team', 'name teamLeader members');
+};
+
+// @route   GET /api/views
+// @desc    Get my saved task views and those shared with my teams
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const views = await populateView(SavedView.find(await getAccessibleViewsQuery(req.user)))
+      .sort({ name: 1 });
+
+    res.json({
+      message: 'Saved views retrieved successfully',
+      data: {
+        views: views.map(view => toViewResponse(view, req.user))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get saved views error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   GET /api/views/:id
+// @desc    Get a saved task view
+// @access  Private (Owner or member of the team it is shared with)
+router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const view = await populateView(SavedView.findById(req.params.id));
+
+    if (!view || !canViewSavedView(view, req.user)) {
+      return res.status(404).json({
+        error: {
+          message: 'Saved view not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      message: 'Saved view retrieved successfully',
+      data: {
+        view: toViewResponse(view, req.user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get saved view error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   POST /api/views
+// @desc    Save a task view for myself or share it with one of my teams
+// @access  Private
+router.post('/', authenticateToken, validate(savedViewValidationSchemas.create), async (req, res) => {
+  try {
+    const { name, team, filters, sort, columns } = req.body;
+
+    if (team) {
+      const { error } = await getShareTeam(team, req.user);
+      if (error) {
+        return res.status(error.status).json({ error });
+      }
+    }
+
+    const view = await SavedView.create({
+      name,
+      owner: req.user._id,
+      team: team || null,
+      filters,
+      sort,
+      columns
+    });
+
+    // Views shared with a team are logged in the team's activity
+    await logActivity(req.user, { action: 'create', entityType: 'saved_view', after: view, team: view.team });
+
+    res.status(201).json({
+      message: 'Saved view created successfully',
+      data: {
+        view: toViewResponse(await populateView(SavedView.findById(view._id)), req.user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create saved view error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   PUT /api/views/:id
+// @desc    Update a saved task view; only the owner can change who it is shared with
+// @access  Private (Owner, or leader of the team it is shared with)
+router.put('/:id', authenticateToken, validateObjectId('id'), validate(savedViewValidationSchemas.update), async (req, res) => {
+  try {
+    const view = await populateView(SavedView.findById(req.params.id));
+
+    if (!view || !canViewSavedView(view, req.user)) {
+      return res.status(404).json({
+        error: {
+          message: 'Saved view not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!canManageSavedView(view, req.user)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to change this view',
+          status: 403
+        }
+      });
+    }
+
+    const { name, team, filters, sort, columns } = req.body;
+    const before = toSnapshot(view);
+
+    if (team !== undefined) {
+      const currentTeam = view.team ? view.team._id.toString() : null;
+
+      if ((team || null) !== currentTeam) {
+        if (!isViewOwner(view, req.user)) {
+          return res.status(403).json({
+            error: {
+              message: 'Only the owner can change who a view is shared with',
+              status: 403
+            }
+          });
+        }
+
+        if (team) {
+          const { error } = await getShareTeam(team, req.user);
+          if (error) {
+            return res.status(error.status).json({ error });
+          }
+        }
+
+        view.team = team || null;
+      }
+    }
+
+    if (name !== undefined) view.name = name;
+    if (filters !== undefined) view.filters = filters;
+    if (sort !== undefined) view.sort = sort;
+    if (columns !== undefined) view.columns = columns;
+
+    await view.save();
+
+    // Unsharing is logged in the activity of the team it was shared with
+    await logActivity(req.user, { action: 'update', entityType: 'saved_view', before, after: view, team: view.team || before.team });
+
+    res.json({
+      message: 'Saved view updated successfully',
+      data: {
+        view: toViewResponse(await populateView(SavedView.findById(view._id)), req.user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update saved view error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/views/:id
+// @desc    Delete a saved task view
+// @access  Private (Owner, or leader of the team it is shared with)
+router.delete('/:id', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const view = await populateView(SavedView.findById(req.params.id));
+
+    if (!view || !canViewSavedView(view, req.user)) {
+      return res.status(404).json({
+        error: {
+          message: 'Saved view not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!canManageSavedView(view, req.user)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied to delete this view',
+          status: 403
+        }
+      });
+    }
+
+    await view.deleteOne();
+
+    await logActivity(req.user, { action: 'delete', entityType: 'saved_view', before: view, team: view.team });
+
+    res.json({
+      message: 'Saved view deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete saved view error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -10,6 +10,23 @@ const userRoutes = require('./routes/users');
 const teamRoutes = require('./routes/teams');
 const projectRoutes = require('./routes/projects');
 const taskRoutes = require('./routes/tasks');
+const checkInRoutes = require('./routes/checkins');
+const timeRoutes = require('./routes/time');
+const activityRoutes = require('./routes/activity');
+const notificationRoutes = require('./routes/notifications');
+const digestRoutes = require('./routes/digest');
+const settingsRoutes = require('./routes/settings');
+const roleRoutes = require('./routes/roles');
+const invitationRoutes = require('./routes/invitations');
+const markdownRoutes = require('./routes/markdown');
+const searchRoutes = require('./routes/search');
+const viewRoutes = require('./routes/views');
+
+// Check the mail settings at startup: an unknown transport fails here rather
+// than on the first email, and a missing one in production is reported
+if (require('./services/mailer').getTransport().name === 'disabled') {
+  console.warn('MAIL_TRANSPORT is not set: password reset, invitation and digest emails will not be sent');
+}
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -69,6 +86,30 @@ mongoose.connect(mongoUrl, {
 })
 .then(() => {
   console.log('Connected to MongoDB');
+
+  // Create the built-in roles and load role permissions
+  const { ensureBuiltInRoles } = require('./services/permissions');
+  ensureBuiltInRoles().catch(err => console.error('Error creating built-in roles:', err));
+
+  // Generate due instances of scheduled recurring tasks
+  const { startRecurrenceScheduler } = require('./services/recurrence');
+  startRecurrenceScheduler();
+
+  const { startDigestScheduler } = require('./services/digest');
+  startDigestScheduler();
+
+  // Keep hours reported on tasks before time entries existed
+  const TimeEntry = require('./models/TimeEntry');
+  TimeEntry.migrateLegacyHours()
+    .then(count => count > 0 && console.log(`Migrated reported hours of ${count} task(s) to time entries`))
+    .catch(err => console.error('Error migrating task hours:', err));
+
+  // Store status categories on tasks saved before they were kept, so that
+  // the statusCategory filters find them
+  const Task = require('./models/Task');
+  Task.backfillStatusCategories()
+    .then(count => count > 0 && console.log(`Stored the status category of ${count} task(s)`))
+    .catch(err => console.error('Error backfilling task status categories:', err));
   
   // Create default admin user if it doesn't exist
   const User = require('./models/User');
@@ -100,6 +141,17 @@ app.use('/api/users', userRoutes);
 app.use('/api/teams', teamRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/checkins', checkInRoutes);
+app.use('/api/time', timeRoutes);
+app.use('/api/activity', activityRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/digest', digestRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/markdown', markdownRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/views', viewRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
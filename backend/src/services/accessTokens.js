@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const AccessToken = require('../models/AccessToken');
+const { hashToken } = require('./sessions');
+
+// Personal access tokens start with this prefix, which tells them apart from JWTs
+const ACCESS_TOKEN_PREFIX = 'dmp_';
+
+const ACCESS_TOKEN_SCOPES = AccessToken.schema.path('scopes').caster.enumValues;
+
+// lastUsedAt is refreshed at most this often
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Time entry routes live under /api/tasks/:id/time but have their own scope
+const TIME_ENTRY_PATH = /^\/[0-9a-fA-F]{24}\/time(\/|$)/;
+
+const isAccessToken = (token) => token.startsWith(ACCESS_TOKEN_PREFIX);
+
+// Create a token for a user; the plain token is returned only here
+const createAccessToken = async (user, { name, scopes, expiresInDays }) => {
+  const token = ACCESS_TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  const accessToken = await AccessToken.create({
+    user: user._id,
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, ACCESS_TOKEN_PREFIX.length + 6),
+    scopes,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { accessToken, token };
+};
+
+const findActiveAccessToken = (token) => {
+  return AccessToken.findOne({ tokenHash: hashToken(token), revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Scope a request needs, e.g. 'tasks:read', or null for endpoints that
+// access tokens can never use (account and security management)
+const requiredScope = (req) => {
+  let resource = req.baseUrl.split('/')[2];
+  if (resource === 'tasks' && TIME_ENTRY_PATH.test(req.path)) resource = 'time';
+
+  const access = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+  const scope = `${resource}:${access}`;
+  return ACCESS_TOKEN_SCOPES.includes(scope) ? scope : null;
+};
+
+// Write scopes include read access to the same resource
+const hasScope = (scopes, scope) => {
+  const [resource, access] = scope.split(':');
+  return scopes.includes(scope) || (access === 'read' && scopes.includes(`${resource}:write`));
+};
+
+// Record that a token was just used, without writing on every request
+const touchAccessToken = (accessToken, req) => {
+  const now = new Date();
+  if (accessToken.lastUsedAt && now - accessToken.lastUsedAt < TOUCH_INTERVAL_MS) return;
+
+  AccessToken.updateOne({ _id: accessToken._id }, { $set: { lastUsedAt: now, lastUsedIp: req.ip } })
+    .catch(error => console.error('Access token touch error:', error));
+};
+
+// Revoke every active token of a user. Returns the number of tokens revoked.
+const revokeUserAccessTokens = async (userId) => {
+  const result = await AccessToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  ACCESS_TOKEN_SCOPES,
+  isAccessToken,
+  createAccessToken,
+  findActiveAccessToken,
+  requiredScope,
+  hasScope,
+  touchAccessToken,
+  revokeUserAccessTokens
+};
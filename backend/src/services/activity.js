@@ -0,0 +1,67 @@
+const ActivityLog = require('../models/ActivityLog');
+
+// Fields never recorded in a diff: bookkeeping, secrets, and append-only
+// collections that are logged as their own actions (comments, progress)
+const IGNORED_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt', 'password', 'twoFactor', 'loginSecurity', 'comments', 'progressUpdates'
+];
+
+// Plain JSON copy of a document or object, with populated refs reduced to ids
+const toSnapshot = (doc) => {
+  if (!doc) return null;
+  const plain = doc.toObject ? doc.toObject({ depopulate: true, virtuals: false }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Compare two snapshots field by field; returns [{ field, before, after }]
+const diffSnapshots = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+    changes.push({
+      field,
+      before: oldValue === undefined ? null : oldValue,
+      after: newValue === undefined ? null : newValue
+    });
+  });
+
+  return changes;
+};
+
+// Record a mutation. `before`/`after` are documents or plain objects (either
+// may be omitted for creates and deletes); actor is null for someone without
+// an account. Logging failures never fail the request that caused them.
+const logActivity = async (actor, { action, entityType, entity, before, after, project, team, metadata }) => {
+  try {
+    const beforeSnapshot = toSnapshot(before);
+    const afterSnapshot = toSnapshot(after);
+    const subject = entity || after || before;
+
+    await ActivityLog.create({
+      actor: actor ? actor._id || actor : undefined,
+      action,
+      entityType,
+      entityId: subject._id,
+      entityName: subject.name || subject.title || subject.email || undefined,
+      project: project ? project._id || project : undefined,
+      team: team ? team._id || team : undefined,
+      changes: diffSnapshots(beforeSnapshot, afterSnapshot),
+      metadata
+    });
+  } catch (error) {
+    console.error('Activity log error:', error);
+  }
+};
+
+module.exports = {
+  toSnapshot,
+  diffSnapshots,
+  logActivity
+};
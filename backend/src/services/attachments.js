@@ -0,0 +1,86 @@
+const { getStorage, createStorageKey } = require('./storage');
+
+// File types that can be attached, by MIME type
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+// Maximum size of one attachment in bytes (ATTACHMENT_MAX_SIZE_MB, default 10)
+const getMaxSize = () => (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB, 10) || 10) * 1024 * 1024;
+
+// Allowed MIME types (comma-separated ATTACHMENT_ALLOWED_TYPES, or the defaults)
+const getAllowedTypes = () => {
+  return process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES;
+};
+
+// Store an uploaded file and return the attachment to push onto the
+// entity's attachments array
+const storeUpload = async (file, { folder, entityId, user }) => {
+  // Multer decodes multipart file names as latin1
+  const name = Buffer.from(file.originalname, 'latin1').toString('utf8');
+  const key = createStorageKey(folder, entityId, name);
+  const { size } = await getStorage().save({ key, buffer: file.buffer, contentType: file.mimetype });
+
+  return {
+    name,
+    storageKey: key,
+    size,
+    mimeType: file.mimetype,
+    uploadedBy: user._id,
+    uploadedAt: new Date()
+  };
+};
+
+// Stream a stored attachment to the response as a download
+const sendAttachment = (res, attachment) => {
+  res.set({
+    'Content-Type': attachment.mimeType || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.name)}`
+  });
+
+  const stream = getStorage().createReadStream(attachment.storageKey);
+
+  stream.on('error', (error) => {
+    if (res.headersSent) {
+      console.error('Attachment download error:', error);
+      res.destroy(error);
+      return;
+    }
+
+    const missing = error.code === 'ENOENT';
+    if (!missing) console.error('Attachment download error:', error);
+
+    res.removeHeader('Content-Disposition');
+    res.status(missing ? 404 : 500).json({
+      error: {
+        message: missing ? 'Attachment file not found' : 'Internal server error',
+        status: missing ? 404 : 500
+      }
+    });
+  });
+
+  stream.pipe(res);
+};
+
+module.exports = {
+  getMaxSize,
+  getAllowedTypes,
+  storeUpload,
+  sendAttachment
+};
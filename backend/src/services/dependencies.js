@@ -0,0 +1,184 @@
+const Task = require('../models/Task');
+const { CLOSED_STATUSES, getWorkflowStatus } = require('./workflow');
+
+// Status categories that require every predecessor to be finished first
+const GATED_CATEGORIES = ['in_progress', 'review', 'completed'];
+
+// Turn a task's dependency list into predecessor -> successor edges.
+// `depends_on` B means B must finish first; `blocks` B means this task must.
+const edgesFor = (taskId, dependencies = []) => {
+  const id = taskId.toString();
+  return dependencies
+    .filter(dep => dep && dep.task)
+    .map(dep => {
+      const other = (dep.task._id || dep.task).toString();
+      return dep.type === 'blocks'
+        ? { from: id, to: other }
+        : { from: other, to: id };
+    });
+};
+
+// Build adjacency maps (successors and predecessors) for a set of tasks
+const buildGraph = (tasks) => {
+  const successors = new Map();
+  const predecessors = new Map();
+
+  const link = (map, key, value) => {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(value);
+  };
+
+  tasks.forEach(task => {
+    edgesFor(task._id, task.dependencies).forEach(edge => {
+      link(successors, edge.from, edge.to);
+      link(predecessors, edge.to, edge.from);
+    });
+  });
+
+  return { successors, predecessors };
+};
+
+// Find a cycle in the successor graph; returns the task ids along it or null
+const findCycle = (successors) => {
+  const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+  const stack = [];
+
+  const visit = (node) => {
+    state.set(node, 1);
+    stack.push(node);
+
+    for (const next of successors.get(node) || []) {
+      if (state.get(next) === 1) {
+        return [...stack.slice(stack.indexOf(next)), next];
+      }
+      if (!state.get(next)) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+
+    stack.pop();
+    state.set(node, 2);
+    return null;
+  };
+
+  for (const node of successors.keys()) {
+    if (!state.get(node)) {
+      const cycle = visit(node);
+      if (cycle) return cycle;
+    }
+  }
+
+  return null;
+};
+
+// Check whether giving `taskId` the proposed dependencies would close a cycle
+// within its project. Returns the cycle as a list of { id, title } or null.
+const detectDependencyCycle = async (projectId, taskId, dependencies) => {
+  const projectTasks = await Task.find({ project: projectId })
+    .select('title dependencies')
+    .lean();
+
+  const id = taskId.toString();
+  const tasks = projectTasks
+    .filter(task => task._id.toString() !== id)
+    .concat([{ _id: id, title: null, dependencies }]);
+
+  const cycle = findCycle(buildGraph(tasks).successors);
+  if (!cycle) return null;
+
+  const titles = new Map(projectTasks.map(task => [task._id.toString(), task.title]));
+  return cycle.map(node => ({ id: node, title: titles.get(node) || null }));
+};
+
+// Get the direct predecessors of a task that are not finished yet
+const getUnfinishedPredecessors = async (task) => {
+  const predecessorIds = edgesFor(task._id, task.dependencies)
+    .filter(edge => edge.to === task._id.toString())
+    .map(edge => edge.from);
+
+  return Task.find({
+    status: { $nin: CLOSED_STATUSES },
+    $or: [
+      { _id: { $in: predecessorIds } },
+      { dependencies: { $elemMatch: { task: task._id, type: 'blocks' } } }
+    ]
+  })
+    .select('title status assignedTo dueDate')
+    .lean();
+};
+
+// Check if moving a task to `status` must wait for its predecessors
+const isGatedStatus = (workflow, status) => {
+  const definition = getWorkflowStatus(workflow, status);
+  return Boolean(definition) && GATED_CATEGORIES.includes(definition.category);
+};
+
+// Collect the full upstream and downstream dependency graph around a task
+const getDependencyGraph = async (task) => {
+  const projectId = task.project._id || task.project;
+  const projectTasks = await Task.find({ project: projectId })
+    .select('title status priority startDate dueDate assignedTo dependencies')
+    .populate('assignedTo', 'name email')
+    .lean();
+
+  const { successors, predecessors } = buildGraph(projectTasks);
+  const byId = new Map(projectTasks.map(item => [item._id.toString(), item]));
+
+  const walk = (start, adjacency) => {
+    const seen = new Map();
+    const queue = [{ id: start, depth: 0 }];
+
+    while (queue.length > 0) {
+      const { id, depth } = queue.shift();
+      for (const next of adjacency.get(id) || []) {
+        if (next !== start && !seen.has(next)) {
+          seen.set(next, depth + 1);
+          queue.push({ id: next, depth: depth + 1 });
+        }
+      }
+    }
+
+    return seen;
+  };
+
+  const describe = (distances) => Array.from(distances.entries())
+    .filter(([id]) => byId.has(id))
+    .map(([id, depth]) => {
+      const item = byId.get(id);
+      return {
+        _id: item._id,
+        title: item.title,
+        status: item.status,
+        priority: item.priority,
+        startDate: item.startDate,
+        dueDate: item.dueDate,
+        assignedTo: item.assignedTo,
+        depth
+      };
+    })
+    .sort((a, b) => a.depth - b.depth);
+
+  const rootId = task._id.toString();
+  const upstream = describe(walk(rootId, predecessors));
+  const downstream = describe(walk(rootId, successors));
+
+  const nodeIds = new Set([rootId, ...upstream.map(t => t._id.toString()), ...downstream.map(t => t._id.toString())]);
+  const edges = [];
+  successors.forEach((targets, from) => {
+    targets.forEach(to => {
+      if (nodeIds.has(from) && nodeIds.has(to)) edges.push({ from, to });
+    });
+  });
+
+  return { upstream, downstream, edges };
+};
+
+module.exports = {
+  edgesFor,
+  findCycle,
+  detectDependencyCycle,
+  getUnfinishedPredecessors,
+  isGatedStatus,
+  getDependencyGraph
+};
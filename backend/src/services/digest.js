@@ -0,0 +1,168 @@
+const Task = require('../models/Task');
+const Team = require('../models/Team');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { CLOSED_STATUSES } = require('./workflow');
+const { sendMail } = require('./mailer');
+const { loadRoles, can } = require('./permissions');
+const { renderDigestText, renderDigestHtml } = require('../templates/digestEmail');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Per-member open, overdue and due-today counts for each active team the user leads
+const buildTeamRollup = async (leader, now) => {
+  const tomorrow = new Date(startOfDay(now).getTime() + DAY_MS);
+  const teams = await Team.find({ teamLeader: leader._id, isActive: true })
+    .populate('members.user', 'name email isActive')
+    .lean();
+
+  return Promise.all(teams.map(async (team) => {
+    const projectIds = (await Project.find({ team: team._id }).select('_id').lean()).map(project => project._id);
+
+    const counts = await Task.aggregate([
+      { $match: { project: { $in: projectIds }, status: { $nin: CLOSED_STATUSES } } },
+      {
+        $group: {
+          _id: '$assignedTo',
+          open: { $sum: 1 },
+          overdue: { $sum: { $cond: [{ $lt: ['$dueDate', now] }, 1, 0] } },
+          dueToday: {
+            $sum: { $cond: [{ $and: [{ $gte: ['$dueDate', now] }, { $lt: ['$dueDate', tomorrow] }] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+    const countsByUser = new Map(counts.map(count => [count._id.toString(), count]));
+
+    const members = team.members
+      .filter(member => member.user && member.user.isActive)
+      .map(member => {
+        const count = countsByUser.get(member.user._id.toString()) || {};
+        return {
+          user: { _id: member.user._id, name: member.user.name, email: member.user.email },
+          open: count.open || 0,
+          overdue: count.overdue || 0,
+          dueToday: count.dueToday || 0
+        };
+      })
+      .sort((a, b) => b.overdue - a.overdue || b.dueToday - a.dueToday);
+
+    return {
+      team: { _id: team._id, name: team.name },
+      members,
+      totals: members.reduce((totals, member) => ({
+        open: totals.open + member.open,
+        overdue: totals.overdue + member.overdue,
+        dueToday: totals.dueToday + member.dueToday
+      }), { open: 0, overdue: 0, dueToday: 0 })
+    };
+  }));
+};
+
+// Collect the content of a user's digest: overdue tasks, tasks due today,
+// the upcoming list (as in /api/tasks/stats) and, for leaders, a team roll-up
+const buildDigest = async (user, now = new Date()) => {
+  const tomorrow = new Date(startOfDay(now).getTime() + DAY_MS);
+  const openTasks = { assignedTo: user._id, status: { $nin: CLOSED_STATUSES } };
+
+  const [overdue, dueToday, upcoming, teams] = await Promise.all([
+    Task.find({ ...openTasks, dueDate: { $lt: now } })
+      .populate('project', 'name')
+      .sort({ dueDate: 1 })
+      .select('title status priority dueDate project')
+      .lean(),
+    Task.find({ ...openTasks, dueDate: { $gte: now, $lt: tomorrow } })
+      .populate('project', 'name')
+      .sort({ dueDate: 1 })
+      .select('title status priority dueDate project')
+      .lean(),
+    Task.findUpcoming({ assignedTo: user._id }, { now: tomorrow }),
+    can(user, 'lead', 'teams') ? buildTeamRollup(user, now) : []
+  ]);
+
+  return {
+    user: { _id: user._id, name: user.name, email: user.email },
+    date: startOfDay(now),
+    overdue,
+    dueToday,
+    upcoming,
+    teams,
+    isEmpty: overdue.length === 0 && dueToday.length === 0 && upcoming.length === 0 && teams.length === 0
+  };
+};
+
+// Render and send a user's digest; empty digests are skipped.
+// Returns true when an email was sent.
+const sendDigest = async (user, now = new Date(), { force = false } = {}) => {
+  const digest = await buildDigest(user, now);
+
+  if (!digest.isEmpty || force) {
+    await sendMail({
+      to: user.email,
+      subject: `Your daily digest for ${digest.date.toISOString().slice(0, 10)}`,
+      text: renderDigestText(digest),
+      html: renderDigestHtml(digest)
+    });
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { 'emailDigest.lastSentAt': now } });
+  return !digest.isEmpty || force;
+};
+
+// Send today's digest to every opted-in user who has not had it yet,
+// once the configured hour (UTC) has passed
+const processDigests = async (now = new Date()) => {
+  const sendHour = parseInt(process.env.DIGEST_HOUR_UTC, 10);
+  if (now.getUTCHours() < (Number.isNaN(sendHour) ? 7 : sendHour)) return 0;
+
+  const users = await User.find({
+    isActive: true,
+    'emailDigest.enabled': true,
+    $or: [
+      { 'emailDigest.lastSentAt': null },
+      { 'emailDigest.lastSentAt': { $lt: startOfDay(now) } }
+    ]
+  }).select('name email role emailDigest');
+
+  await loadRoles();
+
+  let sent = 0;
+  for (const user of users) {
+    try {
+      if (await sendDigest(user, now)) sent++;
+    } catch (error) {
+      console.error(`Digest error for user ${user._id}:`, error);
+    }
+  }
+
+  return sent;
+};
+
+// Run processDigests periodically
+const startDigestScheduler = () => {
+  const intervalMinutes = parseInt(process.env.DIGEST_CHECK_INTERVAL_MINUTES, 10) || 15;
+
+  const run = () => {
+    processDigests()
+      .then(sent => {
+        if (sent > 0) console.log(`Digest scheduler sent ${sent} email(s)`);
+      })
+      .catch(error => console.error('Digest scheduler error:', error));
+  };
+
+  run();
+  return setInterval(run, intervalMinutes * 60 * 1000);
+};
+
+module.exports = {
+  buildDigest,
+  sendDigest,
+  processDigests,
+  startDigestScheduler
+};
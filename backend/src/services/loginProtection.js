@@ -0,0 +1,151 @@
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+
+const readInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// Failed attempts that count towards the per-IP limit; refused attempts do not
+const COUNTED_FAILURES = ['invalid_password', 'unknown_email', 'invalid_2fa_code'];
+
+const MAX_DELAY_SECONDS = 60;
+
+const settings = () => ({
+  // Failures allowed before delays start; an IP may be shared, so it gets more
+  accountFreeAttempts: 3,
+  ipFreeAttempts: 10,
+  maxAttempts: readInt('LOGIN_MAX_ATTEMPTS', 10),
+  lockoutMinutes: readInt('LOGIN_LOCKOUT_MINUTES', 15),
+  ipWindowMinutes: readInt('LOGIN_IP_WINDOW_MINUTES', 15),
+  ipMaxAttempts: readInt('LOGIN_IP_MAX_ATTEMPTS', 30)
+});
+
+// Seconds to wait after the nth consecutive failure: nothing for the first
+// few, then doubling up to a cap
+const progressiveDelay = (failures, freeAttempts) => {
+  if (failures < freeAttempts) return 0;
+  return Math.min(2 ** (failures - freeAttempts + 1), MAX_DELAY_SECONDS);
+};
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date.getTime() - now.getTime()) / 1000));
+
+// Check whether a login attempt may proceed. Returns null, or
+// { status, message, retryAfter, reason } when the attempt must be refused.
+const checkLoginAllowed = async ({ user, ipAddress, now = new Date() }) => {
+  const config = settings();
+
+  // Per-IP: failures in the recent window, across all accounts
+  const windowStart = new Date(now.getTime() - config.ipWindowMinutes * 60 * 1000);
+  const ipFailures = await LoginEvent.find({
+    ipAddress,
+    success: false,
+    reason: { $in: COUNTED_FAILURES },
+    createdAt: { $gte: windowStart }
+  })
+    .sort({ createdAt: -1 })
+    .select('createdAt')
+    .limit(config.ipMaxAttempts);
+
+  if (ipFailures.length >= config.ipMaxAttempts) {
+    const oldest = ipFailures[ipFailures.length - 1].createdAt;
+    return {
+      status: 429,
+      reason: 'too_many_attempts',
+      message: 'Too many failed login attempts from this address. Please try again later.',
+      retryAfter: secondsUntil(new Date(oldest.getTime() + config.ipWindowMinutes * 60 * 1000), now)
+    };
+  }
+
+  const ipDelay = progressiveDelay(ipFailures.length, config.ipFreeAttempts);
+  if (ipDelay > 0) {
+    const retryAt = new Date(ipFailures[0].createdAt.getTime() + ipDelay * 1000);
+    if (retryAt > now) {
+      return {
+        status: 429,
+        reason: 'too_many_attempts',
+        message: `Too many failed login attempts. Please wait ${secondsUntil(retryAt, now)} seconds.`,
+        retryAfter: secondsUntil(retryAt, now)
+      };
+    }
+  }
+
+  if (!user) return null;
+
+  // Per-account: lockout, then progressive delay
+  const security = user.loginSecurity || {};
+  if (security.lockedUntil && security.lockedUntil > now) {
+    return {
+      status: 429,
+      reason: 'account_locked',
+      message: 'Account is temporarily locked after too many failed login attempts. Please try again later or contact an administrator.',
+      retryAfter: secondsUntil(security.lockedUntil, now)
+    };
+  }
+
+  const accountDelay = progressiveDelay(security.failedAttempts || 0, config.accountFreeAttempts);
+  if (accountDelay > 0 && security.lastFailedAt) {
+    const retryAt = new Date(security.lastFailedAt.getTime() + accountDelay * 1000);
+    if (retryAt > now) {
+      return {
+        status: 429,
+        reason: 'too_many_attempts',
+        message: `Too many failed login attempts. Please wait ${secondsUntil(retryAt, now)} seconds.`,
+        retryAfter: secondsUntil(retryAt, now)
+      };
+    }
+  }
+
+  return null;
+};
+
+// Count a failed password for an account; locks it once the limit is reached
+const recordFailedLogin = async (user, now = new Date()) => {
+  const config = settings();
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $inc: { 'loginSecurity.failedAttempts': 1 },
+      $set: { 'loginSecurity.lastFailedAt': now }
+    },
+    { new: true }
+  ).select('loginSecurity');
+
+  if (updated && updated.loginSecurity.failedAttempts >= config.maxAttempts) {
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'loginSecurity.failedAttempts': 0,
+        'loginSecurity.lockedUntil': new Date(now.getTime() + config.lockoutMinutes * 60 * 1000)
+      }
+    });
+  }
+};
+
+// Clear failed-attempt tracking and any lockout for an account
+const resetLoginSecurity = (userId) => {
+  return User.updateOne({ _id: userId }, {
+    $set: { 'loginSecurity.failedAttempts': 0 },
+    $unset: { 'loginSecurity.lastFailedAt': 1, 'loginSecurity.lockedUntil': 1 }
+  });
+};
+
+// Write a login audit entry; failures never fail the login request
+const recordLoginEvent = async ({ user, email, success, reason, req }) => {
+  try {
+    await LoginEvent.create({
+      user: user ? user._id : undefined,
+      email,
+      success,
+      reason,
+      ipAddress: req.ip,
+      userAgent: (req.get('user-agent') || '').slice(0, 500)
+    });
+  } catch (error) {
+    console.error('Login event error:', error);
+  }
+};
+
+module.exports = {
+  progressiveDelay,
+  checkLoginAllowed,
+  recordFailedLogin,
+  resetLoginSecurity,
+  recordLoginEvent
+};
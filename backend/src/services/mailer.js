@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+// Blank out token query parameters, so reset and invitation links do not
+// end up in logs
+const redactTokens = (text) => {
+  return String(text || '').replace(/([?&][^=\s&#]*token=)[^&#\s]+/gi, '$1[redacted]');
+};
+
+// Console transport: prints messages without their tokens, for local
+// development. Use the file transport to get working links.
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`\n--- Mail to ${message.to}: ${message.subject} ---\n${redactTokens(message.text)}\n--- end of mail ---\n`);
+    return { accepted: [message.to] };
+  }
+});
+
+// File transport: writes each message as .txt and .html files, for testing
+const createFileTransport = () => {
+  const directory = path.resolve(process.env.MAIL_FILE_DIR || 'mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const baseName = `${Date.now()}-${safeRecipient}`;
+
+      const header = `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n`;
+      await fs.promises.writeFile(path.join(directory, `${baseName}.txt`), header + message.text);
+      if (message.html) {
+        await fs.promises.writeFile(path.join(directory, `${baseName}.html`), message.html);
+      }
+
+      return { accepted: [message.to], path: path.join(directory, baseName) };
+    }
+  };
+};
+
+// SMTP transport backed by nodemailer
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// Disabled transport: drops messages, used in production until a transport
+// is configured
+const createDisabledTransport = () => ({
+  name: 'disabled',
+  send: async (message) => {
+    console.warn(`Mail is disabled (MAIL_TRANSPORT is not set); "${message.subject}" was not sent`);
+    return { accepted: [] };
+  }
+});
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport
+};
+
+let transport = null;
+
+// Get the transport selected by MAIL_TRANSPORT. It defaults to console
+// outside production; without one, production sends no mail.
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'disabled' : 'console');
+    const factory = name === 'disabled' ? createDisabledTransport : TRANSPORTS[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+// Send an email through the configured transport
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Daily Monitoring <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  getTransport,
+  sendMail
+};
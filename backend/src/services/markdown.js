@@ -0,0 +1,126 @@
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const Task = require('../models/Task');
+const { getMentionHandle } = require('./mentions');
+const { escapeHtml } = require('../templates/html');
+
+// Descriptions and comments are stored as Markdown source. Clients get HTML
+// rendered here, sanitized so stored text can never inject markup or scripts.
+
+const TASK_LINK_PATTERN = /(^|[^\w&])#([0-9a-f]{24})\b/gi;
+// #<taskId> or @handle (see services/mentions) in one pass, so text inserted
+// for one is never matched again by the other
+const LINK_PATTERN = /(^|[^\w.@&])(?:#([0-9a-f]{24})\b|@([a-z0-9._+-]+(?:@[a-z0-9-]+(?:\.[a-z0-9-]+)+)?))/gi;
+
+// Text anywhere inside these tags is never turned into task or mention links
+const NO_LINK_TAGS = ['a', 'code', 'pre'];
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote',
+    'strong', 'em', 'del', 'code', 'pre', 'ul', 'ol', 'li', 'a',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td', 'input'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+    // GitHub-style task list checkboxes
+    input: ['type', 'checked', 'disabled']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  transformTags: {
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: /^https?:/i.test(attribs.href || '')
+        ? { ...attribs, target: '_blank', rel: 'noopener noreferrer nofollow' }
+        : attribs
+    }),
+    input: (tagName, attribs) => ({
+      tagName,
+      attribs: { ...attribs, disabled: '' }
+    })
+  },
+  // Only task list checkboxes may use <input>
+  exclusiveFilter: (frame) => frame.tag === 'input' && frame.attribs.type !== 'checkbox'
+};
+
+// Render Markdown source to sanitized HTML. #<taskId> becomes a link to the
+// task, showing its title when it is in taskTitles (a Map of id to title);
+// @handles of the given mentioned users become links to their tasks.
+const renderMarkdown = (source, { taskTitles = new Map(), mentions = [] } = {}) => {
+  if (!source) return '';
+
+  const mentionsByHandle = new Map();
+  // Mentioned users that were deleted since are populated as null
+  mentions.filter(Boolean).forEach(user => {
+    mentionsByHandle.set(getMentionHandle(user), user);
+    mentionsByHandle.set(user.email.toLowerCase(), user);
+  });
+
+  const html = marked.parse(source, { gfm: true, breaks: true, headerIds: false, mangle: false });
+
+  // Number of open NO_LINK_TAGS around the current text; textFilter only
+  // gets the innermost tag, e.g. <strong> in a link label
+  let noLinkDepth = 0;
+
+  return sanitizeHtml(html, {
+    ...SANITIZE_OPTIONS,
+    onOpenTag: (tagName) => {
+      if (NO_LINK_TAGS.includes(tagName)) noLinkDepth++;
+    },
+    onCloseTag: (tagName) => {
+      if (NO_LINK_TAGS.includes(tagName)) noLinkDepth = Math.max(0, noLinkDepth - 1);
+    },
+    // Receives escaped text and returns HTML; everything inserted is escaped
+    textFilter: (text) => {
+      if (noLinkDepth > 0) return text;
+
+      return text.replace(LINK_PATTERN, (match, prefix, taskId, handle) => {
+        if (taskId) {
+          const title = taskTitles.get(taskId.toLowerCase());
+          const label = title ? escapeHtml(title) : `#${taskId}`;
+          return `${prefix}<a href="/tasks?task=${taskId}" class="task-link">${label}</a>`;
+        }
+
+        const trimmed = handle.replace(/[._-]+$/, '');
+        const user = mentionsByHandle.get(trimmed.toLowerCase());
+        if (!user) return match;
+        return `${prefix}<a href="/tasks?assignedTo=${user._id}" class="mention" title="${escapeHtml(user.name)}">@${trimmed}</a>${handle.slice(trimmed.length)}`;
+      });
+    }
+  });
+};
+
+// Ids of the tasks cross-linked with #<taskId> in some Markdown sources
+const extractTaskIds = (sources) => {
+  const ids = new Set();
+  sources.filter(Boolean).forEach(source => {
+    for (const match of source.matchAll(TASK_LINK_PATTERN)) {
+      ids.add(match[2].toLowerCase());
+    }
+  });
+  return [...ids];
+};
+
+// Titles of the tasks cross-linked in some Markdown sources. Only tasks of
+// the given project are resolved, so titles never leak across projects the
+// reader may not have access to; other links show the bare id.
+const resolveTaskTitles = async (sources, projectId) => {
+  const ids = extractTaskIds(sources);
+  if (ids.length === 0 || !projectId) return new Map();
+
+  const tasks = await Task.find({ _id: { $in: ids }, project: projectId }).select('title').lean();
+  return new Map(tasks.map(task => [task._id.toString(), task.title]));
+};
+
+module.exports = {
+  renderMarkdown,
+  extractTaskIds,
+  resolveTaskTitles
+};
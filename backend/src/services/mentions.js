@@ -0,0 +1,48 @@
+const User = require('../models/User');
+
+// @handle in comment text: the local part of a user's email (e.g. @jane.doe
+// for jane.doe@example.com) or their full email address
+const MENTION_PATTERN = /(^|[^\w.@])@([a-z0-9._+-]+(?:@[a-z0-9-]+(?:\.[a-z0-9-]+)+)?)/gi;
+
+// Handle other users can mention a user by
+const getMentionHandle = (user) => user.email.split('@')[0].toLowerCase();
+
+// Lowercased handles mentioned in a text, without trailing punctuation
+const extractHandles = (text) => {
+  const handles = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    handles.add(match[2].replace(/[._-]+$/, '').toLowerCase());
+  }
+  return [...handles].filter(Boolean);
+};
+
+// Ids of the people who belong to a project: its manager, assigned members
+// and, when project.team is populated, the leader of its team
+const getProjectMemberIds = (project) => {
+  const ids = [
+    project.projectManager,
+    ...project.assignedMembers.map(member => member.user),
+    project.team && project.team.teamLeader
+  ];
+  return [...new Set(ids.filter(Boolean).map(id => (id._id || id).toString()))];
+};
+
+// Resolve the @handles of a comment to active project members. Handles that
+// match nobody in the project are ignored.
+const resolveMentions = async (text, project) => {
+  const handles = extractHandles(text);
+  if (handles.length === 0) return [];
+
+  const members = await User.find({ _id: { $in: getProjectMemberIds(project) }, isActive: true })
+    .select('name email');
+
+  return members.filter(member =>
+    handles.includes(getMentionHandle(member)) || handles.includes(member.email.toLowerCase())
+  );
+};
+
+module.exports = {
+  getMentionHandle,
+  extractHandles,
+  resolveMentions
+};
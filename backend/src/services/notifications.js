@@ -0,0 +1,49 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+// Create notifications of one type for a set of users. The actor is never
+// notified of their own action, and users who turned the type off in their
+// preferences are skipped. Failures never fail the request that caused them.
+const notify = async ({ recipients, actor, type, message, task, project, team, link }) => {
+  try {
+    const actorId = actor ? (actor._id || actor).toString() : null;
+    const recipientIds = [...new Set(
+      recipients
+        .filter(Boolean)
+        .map(recipient => (recipient._id || recipient).toString())
+    )].filter(id => id !== actorId);
+
+    if (recipientIds.length === 0) return [];
+
+    const users = await User.find({ _id: { $in: recipientIds }, isActive: true })
+      .select('notificationPreferences')
+      .lean();
+
+    const enabled = users.filter(user =>
+      !user.notificationPreferences || user.notificationPreferences[type] !== false
+    );
+
+    const taskId = task ? task._id || task : undefined;
+
+    return await Notification.insertMany(enabled.map(user => ({
+      recipient: user._id,
+      actor: actorId || undefined,
+      type,
+      message,
+      task: taskId,
+      project: project ? project._id || project : undefined,
+      team: team ? team._id || team : undefined,
+      link: link || (taskId ? `/tasks?task=${taskId}` : undefined)
+    })));
+  } catch (error) {
+    console.error('Notification error:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  notify
+};
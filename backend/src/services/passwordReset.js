@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { hashToken } = require('./sessions');
+const { sendMail } = require('./mailer');
+const { renderPasswordResetText, renderPasswordResetHtml } = require('../templates/passwordResetEmail');
+
+const expiresInMinutes = () => parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+
+// Issue a reset token for a user and email them the link. Any earlier
+// unused tokens of the user stop working.
+const sendPasswordReset = async (user, req) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = expiresInMinutes();
+
+  await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+  await PasswordResetToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+    requestedIp: req.ip
+  });
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Daily Monitoring password',
+    text: renderPasswordResetText({ user, resetUrl, expiresInMinutes: minutes }),
+    html: renderPasswordResetHtml({ user, resetUrl, expiresInMinutes: minutes })
+  });
+};
+
+// Mark a reset token as used and return it, or null when it is unknown,
+// expired or already used. The update is atomic, so a token works only once.
+const consumePasswordReset = (token) => {
+  const now = new Date();
+  return PasswordResetToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  sendPasswordReset,
+  consumePasswordReset
+};
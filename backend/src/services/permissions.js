@@ -0,0 +1,136 @@
+const Role = require('../models/Role');
+
+const ROLE_KEY_PATTERN = Role.schema.path('key').options.match[0];
+
+// Every permission, grouped by resource. A permission is named
+// `${resource}:${action}` and checked with can(user, action, resource).
+// Permissions only widen access: users always keep access to their own
+// records and to the teams and projects they lead, manage or belong to.
+const PERMISSIONS = {
+  users: ['read', 'create', 'update', 'delete', 'assign_roles', 'manage_security'],
+  teams: ['read_all', 'create', 'manage_all', 'delete', 'lead'],
+  projects: ['read_all', 'read_team', 'create', 'manage_all', 'view_stats'],
+  tasks: ['read_all', 'read_team', 'manage_all', 'bypass_workflow', 'force_dependencies'],
+  checkins: ['read_all', 'manage_all'],
+  time: ['read_all', 'read_team', 'manage_all'],
+  activity: ['read_all', 'read_team'],
+  settings: ['manage'],
+  roles: ['manage']
+};
+
+const ALL_PERMISSIONS = Object.entries(PERMISSIONS)
+  .flatMap(([resource, actions]) => actions.map(action => `${resource}:${action}`));
+
+// Roles that always exist. Admin always holds every permission; the
+// permissions of the other built-in roles are only defaults and can be edited.
+const BUILT_IN_ROLES = [
+  {
+    key: 'admin',
+    name: 'Administrator',
+    description: 'Full access to every part of the application',
+    permissions: ALL_PERMISSIONS
+  },
+  {
+    key: 'team_leader',
+    name: 'Team Leader',
+    description: 'Leads teams and manages the projects of those teams',
+    permissions: [
+      'teams:lead',
+      'projects:read_team',
+      'projects:create',
+      'projects:view_stats',
+      'tasks:read_team',
+      'time:read_team',
+      'activity:read_team'
+    ]
+  },
+  {
+    key: 'member',
+    name: 'Member',
+    description: 'Works on the tasks and projects they are assigned to',
+    permissions: []
+  }
+];
+
+const ADMIN_ROLE = 'admin';
+
+// Role permissions are needed on every request, so keep them in memory and
+// reload them from the database at most this often
+const CACHE_TTL_MS = 30 * 1000;
+
+const toPermissionMap = (roles) => new Map(roles.map(role => [
+  role.key,
+  new Set(role.key === ADMIN_ROLE ? ALL_PERMISSIONS : role.permissions)
+]));
+
+let rolePermissions = toPermissionMap(BUILT_IN_ROLES);
+let loadedAt = 0;
+let loading = null;
+
+// Refresh the in-memory role permissions when they are older than the TTL
+const loadRoles = async ({ force = false } = {}) => {
+  if (!force && Date.now() - loadedAt < CACHE_TTL_MS) return;
+
+  if (!loading) {
+    loading = Role.find().select('key permissions').lean()
+      .then((roles) => {
+        rolePermissions = toPermissionMap([
+          ...BUILT_IN_ROLES.filter(builtIn => !roles.some(role => role.key === builtIn.key)),
+          ...roles
+        ]);
+        loadedAt = Date.now();
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+  await loading;
+};
+
+// Create the built-in roles that do not exist yet
+const ensureBuiltInRoles = async () => {
+  await Promise.all(BUILT_IN_ROLES.map(role => Role.updateOne(
+    { key: role.key },
+    {
+      $setOnInsert: {
+        name: role.name,
+        description: role.description,
+        permissions: role.permissions
+      },
+      $set: { isBuiltIn: true }
+    },
+    { upsert: true }
+  )));
+  await loadRoles({ force: true });
+};
+
+// Whether a user's role grants the action on the resource
+const can = (user, action, resource) => {
+  if (!user) return false;
+  const permissions = rolePermissions.get(user.role);
+  return Boolean(permissions && permissions.has(`${resource}:${action}`));
+};
+
+// Permission names held by a user, for the frontend
+const getPermissions = (user) => {
+  const permissions = rolePermissions.get(user.role);
+  return permissions ? ALL_PERMISSIONS.filter(permission => permissions.has(permission)) : [];
+};
+
+const roleExists = async (key) => {
+  await loadRoles();
+  return rolePermissions.has(key);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  ADMIN_ROLE,
+  ROLE_KEY_PATTERN,
+  loadRoles,
+  ensureBuiltInRoles,
+  can,
+  getPermissions,
+  roleExists
+};
@@ -0,0 +1,90 @@
+// Roles a member can hold within a project (Project.assignedMembers[].role)
+const MEMBER_ROLES = ['project_manager', 'developer', 'tester', 'designer', 'other'];
+
+// Rules applied to projects that have not configured their own. Apart from
+// project_manager members sharing management rights, nothing is restricted
+// until a project sets its rules.
+const DEFAULT_MEMBER_RULES = {
+  // Member roles that get the same management rights as the project manager
+  managementRoles: ['project_manager'],
+  // Member roles that may move tasks from review to completed, besides
+  // users with management rights. Empty means anyone who can update the task.
+  reviewApproverRoles: [],
+  // Task types members with a role cannot be assigned, e.g.
+  // { role: 'designer', types: ['bug'] }
+  restrictedTaskTypes: []
+};
+
+const formatRole = (role) => role.replace('_', ' ');
+
+// Get the effective member rules of a project
+const getMemberRules = (project) => {
+  const rules = project.memberRules || {};
+  return {
+    managementRoles: rules.managementRoles || DEFAULT_MEMBER_RULES.managementRoles,
+    reviewApproverRoles: rules.reviewApproverRoles || DEFAULT_MEMBER_RULES.reviewApproverRoles,
+    restrictedTaskTypes: rules.restrictedTaskTypes || DEFAULT_MEMBER_RULES.restrictedTaskTypes
+  };
+};
+
+// Role of a user among the project's assigned members, or null
+const getMemberRole = (project, userId) => {
+  const member = project.assignedMembers.find(item =>
+    (item.user._id || item.user).toString() === userId.toString()
+  );
+  return member ? member.role : null;
+};
+
+// Check if a user manages the project: its project manager, or a member
+// whose role has management rights
+const hasManagementRights = (project, userId) => {
+  if ((project.projectManager._id || project.projectManager).toString() === userId.toString()) return true;
+
+  const role = getMemberRole(project, userId);
+  return Boolean(role) && getMemberRules(project).managementRoles.includes(role);
+};
+
+// Check whether a user may move a task from a review status to a completed
+// one. Team leaders of the project's team count as managers.
+// Expects project.team to be populated. Returns an error payload or null.
+const checkReviewApproval = (project, fromStatus, toStatus, user) => {
+  if (!fromStatus || !toStatus) return null;
+  if (fromStatus.category !== 'review' || toStatus.category !== 'completed') return null;
+
+  const { reviewApproverRoles } = getMemberRules(project);
+  if (reviewApproverRoles.length === 0) return null;
+
+  if (hasManagementRights(project, user._id)) return null;
+  if (project.team && project.team.isTeamLeader && project.team.isTeamLeader(user._id)) return null;
+  if (reviewApproverRoles.includes(getMemberRole(project, user._id))) return null;
+
+  return {
+    status: 403,
+    message: `Only ${reviewApproverRoles.map(formatRole).join(' or ')} members can complete tasks in review`
+  };
+};
+
+// Check whether a user's member role allows them to be assigned a task of
+// this type. Returns an error payload or null.
+const checkAssignmentRole = (project, taskType, userId) => {
+  const role = getMemberRole(project, userId);
+  if (!role) return null;
+
+  const restriction = getMemberRules(project).restrictedTaskTypes.find(item => item.role === role);
+  if (!restriction || !restriction.types.includes(taskType)) return null;
+
+  return {
+    status: 400,
+    message: `Members with the ${formatRole(role)} role cannot be assigned ${taskType} tasks in this project`
+  };
+};
+
+module.exports = {
+  MEMBER_ROLES,
+  DEFAULT_MEMBER_RULES,
+  getMemberRules,
+  getMemberRole,
+  hasManagementRights,
+  checkReviewApproval,
+  checkAssignmentRole
+};
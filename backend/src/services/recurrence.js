@@ -0,0 +1,278 @@
+const Task = require('../models/Task');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQUENCIES = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly' };
+
+// Parse the supported RRULE subset (FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL)
+// into the same shape as a structured recurrence rule. Throws on anything else.
+const parseRRule = (rrule) => {
+  const rule = {};
+  const source = rrule.trim().replace(/^RRULE:/i, '');
+
+  source.split(';').filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    if (!key || !value) {
+      throw new Error(`Invalid RRULE part "${part}"`);
+    }
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.frequency = RRULE_FREQUENCIES[value.toUpperCase()];
+        if (!rule.frequency) throw new Error(`Unsupported RRULE frequency "${value}"`);
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value, 10);
+        if (!(rule.interval >= 1)) throw new Error('RRULE INTERVAL must be a positive integer');
+        break;
+      case 'BYDAY':
+        rule.daysOfWeek = value.toUpperCase().split(',').map(code => {
+          const day = WEEKDAY_CODES.indexOf(code);
+          if (day === -1) throw new Error(`Unsupported RRULE weekday "${code}"`);
+          return day;
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.dayOfMonth = parseInt(value, 10);
+        if (!(rule.dayOfMonth >= 1 && rule.dayOfMonth <= 31)) throw new Error('RRULE BYMONTHDAY must be between 1 and 31');
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value, 10);
+        if (!(rule.count >= 1)) throw new Error('RRULE COUNT must be a positive integer');
+        break;
+      case 'UNTIL': {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+        if (!match) throw new Error('RRULE UNTIL must be in YYYYMMDD format');
+        rule.endDate = new Date(Date.UTC(match[1], match[2] - 1, match[3], 23, 59, 59));
+        break;
+      }
+      default:
+        throw new Error(`Unsupported RRULE property "${key}"`);
+    }
+  });
+
+  if (!rule.frequency) {
+    throw new Error('RRULE FREQ is required');
+  }
+
+  return rule;
+};
+
+// Resolve a stored recurrence into a plain structured rule
+const resolveRule = (recurrence) => {
+  const base = {
+    frequency: recurrence.frequency,
+    interval: recurrence.interval || 1,
+    daysOfWeek: recurrence.daysOfWeek && recurrence.daysOfWeek.length > 0 ? [...recurrence.daysOfWeek] : null,
+    dayOfMonth: recurrence.dayOfMonth || null,
+    endDate: recurrence.endDate || null,
+    count: recurrence.count || null,
+    anchorDate: recurrence.anchorDate || null
+  };
+
+  if (recurrence.frequency !== 'rrule') {
+    return base;
+  }
+
+  const parsed = parseRRule(recurrence.rrule || '');
+  return {
+    ...base,
+    ...parsed,
+    daysOfWeek: parsed.daysOfWeek || null,
+    dayOfMonth: parsed.dayOfMonth || null,
+    endDate: parsed.endDate || base.endDate,
+    count: parsed.count || base.count
+  };
+};
+
+const startOfUTCWeek = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+// Compute the first occurrence strictly after `after`, keeping its time of day
+const getNextOccurrence = (recurrence, after) => {
+  const rule = resolveRule(recurrence);
+  const anchor = new Date(rule.anchorDate || after);
+  const current = new Date(after);
+
+  switch (rule.frequency) {
+    case 'daily':
+      return new Date(current.getTime() + rule.interval * DAY_MS);
+
+    case 'weekdays': {
+      let next = new Date(current.getTime() + DAY_MS);
+      while ([0, 6].includes(next.getUTCDay())) {
+        next = new Date(next.getTime() + DAY_MS);
+      }
+      return next;
+    }
+
+    case 'weekly': {
+      const days = rule.daysOfWeek || [anchor.getUTCDay()];
+      const anchorWeek = startOfUTCWeek(anchor).getTime();
+
+      // Look ahead at most interval + 1 weeks for the next matching day
+      for (let offset = 1; offset <= 7 * (rule.interval + 1); offset++) {
+        const candidate = new Date(current.getTime() + offset * DAY_MS);
+        const weeksFromAnchor = Math.round((startOfUTCWeek(candidate).getTime() - anchorWeek) / (7 * DAY_MS));
+        if (days.includes(candidate.getUTCDay()) && weeksFromAnchor % rule.interval === 0) {
+          return candidate;
+        }
+      }
+      return null;
+    }
+
+    case 'monthly': {
+      const dayOfMonth = rule.dayOfMonth || anchor.getUTCDate();
+      const next = new Date(current);
+      next.setUTCDate(1);
+      next.setUTCMonth(next.getUTCMonth() + rule.interval);
+      const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+      next.setUTCDate(Math.min(dayOfMonth, daysInMonth));
+      return next;
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Check if the rule still allows an occurrence at `date` with the given index
+const isWithinBounds = (recurrence, date, occurrence) => {
+  const rule = resolveRule(recurrence);
+  if (rule.endDate && date > new Date(rule.endDate)) return false;
+  if (rule.count && occurrence > rule.count) return false;
+  return true;
+};
+
+// Work out the start date of the instance that should follow `task`.
+// Occurrences already in the past are skipped so late completions or a
+// stalled scheduler never produce a backlog of overdue copies.
+const planNextStart = (task, now = new Date()) => {
+  const todayStart = new Date(now);
+  todayStart.setUTCHours(0, 0, 0, 0);
+
+  let next = getNextOccurrence(task.recurrence, task.startDate);
+  if (!next) return null;
+
+  if (task.recurrence.trigger === 'on_completion') {
+    while (next && next < todayStart) {
+      next = getNextOccurrence(task.recurrence, next);
+    }
+  } else {
+    let following = getNextOccurrence(task.recurrence, next);
+    while (following && following <= now) {
+      next = following;
+      following = getNextOccurrence(task.recurrence, next);
+    }
+  }
+
+  return next;
+};
+
+// Create the next Task instance of a recurring series, if one is due.
+// Returns the new task or null.
+const generateNextInstance = async (task, now = new Date()) => {
+  if (!task.recurrence || !task.recurrence.isActive || task.nextInstance) {
+    return null;
+  }
+
+  const nextStart = planNextStart(task, now);
+  if (!nextStart) return null;
+
+  const occurrence = (task.occurrence || 1) + 1;
+  if (!isWithinBounds(task.recurrence, nextStart, occurrence)) {
+    return null;
+  }
+
+  if (task.recurrence.trigger === 'schedule' && nextStart > now) {
+    return null;
+  }
+
+  const shift = nextStart.getTime() - task.startDate.getTime();
+  const projectId = task.project._id || task.project;
+
+  const nextTask = new Task({
+    title: task.title,
+    description: task.description,
+    project: projectId,
+    assignedTo: task.assignedTo._id || task.assignedTo,
+    assignedBy: task.assignedBy._id || task.assignedBy,
+    priority: task.priority,
+    type: task.type,
+    estimatedHours: task.estimatedHours,
+    startDate: nextStart,
+    dueDate: new Date(task.dueDate.getTime() + shift),
+    tags: task.tags,
+    rollupProgress: task.rollupProgress,
+    checklist: (task.checklist || []).map(item => ({ text: item.text })),
+    recurrence: task.recurrence.toObject ? task.recurrence.toObject() : task.recurrence,
+    series: task.series || task._id,
+    occurrence
+  });
+
+  // Claim the successor slot before creating the task, so that concurrent
+  // runs (a completion racing the scheduler) never create two successors
+  const claim = await Task.updateOne(
+    { _id: task._id, nextInstance: null },
+    { $set: { nextInstance: nextTask._id } }
+  );
+  if (claim.modifiedCount === 0) return null;
+
+  try {
+    await nextTask.save();
+  } catch (error) {
+    await Task.updateOne({ _id: task._id, nextInstance: nextTask._id }, { $set: { nextInstance: null } });
+    throw error;
+  }
+  task.nextInstance = nextTask._id;
+
+  return nextTask;
+};
+
+// Generate due instances for series driven by the schedule trigger
+const processScheduledRecurrences = async (now = new Date()) => {
+  const candidates = await Task.find({
+    'recurrence.isActive': true,
+    'recurrence.trigger': 'schedule',
+    nextInstance: null
+  });
+
+  let created = 0;
+  for (const task of candidates) {
+    try {
+      if (await generateNextInstance(task, now)) created++;
+    } catch (error) {
+      console.error(`Recurrence generation error for task ${task._id}:`, error);
+    }
+  }
+
+  return created;
+};
+
+// Run processScheduledRecurrences periodically
+const startRecurrenceScheduler = () => {
+  const intervalMinutes = parseInt(process.env.RECURRENCE_CHECK_INTERVAL_MINUTES, 10) || 60;
+
+  const run = () => {
+    processScheduledRecurrences()
+      .then(created => {
+        if (created > 0) console.log(`Recurrence scheduler created ${created} task(s)`);
+      })
+      .catch(error => console.error('Recurrence scheduler error:', error));
+  };
+
+  run();
+  return setInterval(run, intervalMinutes * 60 * 1000);
+};
+
+module.exports = {
+  parseRRule,
+  getNextOccurrence,
+  planNextStart,
+  generateNextInstance,
+  processScheduledRecurrences,
+  startRecurrenceScheduler
+};
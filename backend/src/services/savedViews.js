@@ -0,0 +1,55 @@
+const Team = require('../models/Team');
+const { can } = require('./permissions');
+
+// Columns a task list view can show, in display order, and those of new views
+const VIEW_COLUMNS = ['title', 'status', 'priority', 'type', 'project', 'assignedTo', 'dueDate', 'progress'];
+const DEFAULT_VIEW_COLUMNS = ['title', 'status', 'priority', 'project', 'assignedTo', 'dueDate'];
+
+// Task fields a view can sort by
+const VIEW_SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'status', 'priority', 'startDate', 'dueDate'];
+
+// Query for the views a user can open: their own and those shared with a
+// team they belong to
+const getAccessibleViewsQuery = async (user) => {
+  const teams = await Team.find({ 'members.user': user._id }).select('_id');
+  return {
+    $or: [
+      { owner: user._id },
+      { team: { $in: teams.map(team => team._id) } }
+    ]
+  };
+};
+
+// Check if a user created a view; owner may be populated
+const isViewOwner = (view, user) => {
+  return Boolean(view.owner) && (view.owner._id || view.owner).toString() === user._id.toString();
+};
+
+// Check if a user can open a view. Expects view.team to be populated when set.
+const canViewSavedView = (view, user) => {
+  return isViewOwner(view, user) ||
+         Boolean(view.team && view.team.isMember(user._id));
+};
+
+// Check if a user can share views with a team: its members, or anyone with teams:manage_all
+const canShareWithTeam = (team, user) => {
+  return can(user, 'manage_all', 'teams') || team.isMember(user._id);
+};
+
+// Check if a user can change or delete a view: its owner or, for a shared
+// view, the leader of the team. Expects view.team to be populated when set.
+const canManageSavedView = (view, user) => {
+  return isViewOwner(view, user) ||
+         Boolean(view.team && view.team.isTeamLeader(user._id));
+};
+
+module.exports = {
+  VIEW_COLUMNS,
+  DEFAULT_VIEW_COLUMNS,
+  VIEW_SORT_FIELDS,
+  getAccessibleViewsQuery,
+  isViewOwner,
+  canViewSavedView,
+  canShareWithTeam,
+  canManageSavedView
+};
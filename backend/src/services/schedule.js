@@ -0,0 +1,166 @@
+const { edgesFor } = require('./dependencies');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WORK_HOURS_PER_DAY = parseFloat(process.env.WORK_HOURS_PER_DAY) || 8;
+const EPSILON = 1e-6;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Duration of a task in days: estimated effort when available, otherwise
+// the planned span between its start and due dates
+const durationInDays = (task) => {
+  if (task.estimatedHours > 0) {
+    return task.estimatedHours / WORK_HOURS_PER_DAY;
+  }
+  return Math.max(0, (new Date(task.dueDate) - new Date(task.startDate)) / DAY_MS);
+};
+
+// Order tasks so every predecessor comes before its successors (Kahn).
+// Returns { order, cycle } where cycle lists the ids that could not be ordered.
+const topologicalOrder = (ids, successors, predecessors) => {
+  const inDegree = new Map(ids.map(id => [id, (predecessors.get(id) || []).length]));
+  const queue = ids.filter(id => inDegree.get(id) === 0);
+  const order = [];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    (successors.get(id) || []).forEach(next => {
+      inDegree.set(next, inDegree.get(next) - 1);
+      if (inDegree.get(next) === 0) queue.push(next);
+    });
+  }
+
+  const cycle = order.length === ids.length ? null : ids.filter(id => inDegree.get(id) > 0);
+  return { order, cycle };
+};
+
+// Compute earliest/latest start, slack and the critical path for a project's tasks.
+// Task start dates act as "start no earlier than" constraints.
+const computeProjectSchedule = (project, tasks) => {
+  const activeTasks = tasks.filter(task => task.status !== 'cancelled');
+  const byId = new Map(activeTasks.map(task => [task._id.toString(), task]));
+  const ids = Array.from(byId.keys());
+
+  const successors = new Map(ids.map(id => [id, []]));
+  const predecessors = new Map(ids.map(id => [id, []]));
+
+  activeTasks.forEach(task => {
+    edgesFor(task._id, task.dependencies).forEach(edge => {
+      // Ignore links to tasks outside this project or cancelled ones
+      if (!byId.has(edge.from) || !byId.has(edge.to)) return;
+      if (successors.get(edge.from).includes(edge.to)) return;
+      successors.get(edge.from).push(edge.to);
+      predecessors.get(edge.to).push(edge.from);
+    });
+  });
+
+  const { order, cycle } = topologicalOrder(ids, successors, predecessors);
+  if (cycle) {
+    return { cycle: cycle.map(id => ({ id, title: byId.get(id).title })) };
+  }
+
+  const taskStarts = activeTasks.map(task => new Date(task.startDate).getTime());
+  const origin = Math.min(new Date(project.startDate).getTime(), ...taskStarts);
+
+  const nodes = new Map();
+
+  // Forward pass: earliest start / finish (in days from origin)
+  order.forEach(id => {
+    const task = byId.get(id);
+    const duration = durationInDays(task);
+    const plannedStart = (new Date(task.startDate).getTime() - origin) / DAY_MS;
+    const earliestStart = Math.max(
+      plannedStart,
+      ...predecessors.get(id).map(pred => nodes.get(pred).earliestFinish)
+    );
+
+    nodes.set(id, {
+      duration,
+      earliestStart,
+      earliestFinish: earliestStart + duration
+    });
+  });
+
+  const projectFinish = ids.length > 0
+    ? Math.max(...ids.map(id => nodes.get(id).earliestFinish))
+    : 0;
+
+  // Backward pass: latest start / finish
+  [...order].reverse().forEach(id => {
+    const node = nodes.get(id);
+    const latestFinish = successors.get(id).length > 0
+      ? Math.min(...successors.get(id).map(next => nodes.get(next).latestStart))
+      : projectFinish;
+
+    node.latestFinish = latestFinish;
+    node.latestStart = latestFinish - node.duration;
+    node.slack = node.latestStart - node.earliestStart;
+    node.isCritical = node.slack <= EPSILON;
+  });
+
+  // Trace back from the task that finishes the project through the
+  // critical predecessors that drive each start
+  const criticalPath = [];
+  let current = [...order].reverse().find(id =>
+    nodes.get(id).isCritical && Math.abs(nodes.get(id).earliestFinish - projectFinish) <= EPSILON
+  );
+  while (current) {
+    criticalPath.unshift(current);
+    const start = nodes.get(current).earliestStart;
+    current = predecessors.get(current).find(pred =>
+      nodes.get(pred).isCritical && Math.abs(nodes.get(pred).earliestFinish - start) <= EPSILON
+    );
+  }
+
+  const projectEnd = new Date(project.endDate);
+  const toDate = (offset) => new Date(origin + offset * DAY_MS);
+
+  const scheduledTasks = order.map(id => {
+    const task = byId.get(id);
+    const node = nodes.get(id);
+    const earliestFinishDate = toDate(node.earliestFinish);
+
+    return {
+      _id: task._id,
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      assignedTo: task.assignedTo,
+      startDate: task.startDate,
+      dueDate: task.dueDate,
+      estimatedHours: task.estimatedHours,
+      durationDays: round(node.duration),
+      earliestStart: toDate(node.earliestStart),
+      earliestFinish: earliestFinishDate,
+      latestStart: toDate(node.latestStart),
+      latestFinish: toDate(node.latestFinish),
+      slackDays: round(node.slack),
+      isCritical: node.isCritical,
+      predecessors: predecessors.get(id),
+      successors: successors.get(id),
+      exceedsProjectEnd: new Date(task.dueDate) > projectEnd,
+      finishesAfterDueDate: earliestFinishDate > new Date(task.dueDate)
+    };
+  });
+
+  const projectedEndDate = toDate(projectFinish);
+
+  return {
+    cycle: null,
+    projectedEndDate,
+    projectEndDate: project.endDate,
+    exceedsProjectEnd: ids.length > 0 && projectedEndDate > projectEnd,
+    criticalPath: criticalPath.map(id => ({ _id: byId.get(id)._id, title: byId.get(id).title })),
+    criticalPathDays: round(criticalPath.reduce((sum, id) => sum + nodes.get(id).duration, 0)),
+    tasks: scheduledTasks,
+    tasksPastProjectEnd: scheduledTasks
+      .filter(task => task.exceedsProjectEnd)
+      .map(task => ({ _id: task._id, title: task.title, dueDate: task.dueDate }))
+  };
+};
+
+module.exports = {
+  durationInDays,
+  computeProjectSchedule
+};
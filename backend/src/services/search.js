@@ -0,0 +1,256 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { can } = require('./permissions');
+const { getTaskVisibilityQuery, getProjectVisibilityQuery, getTeamVisibilityQuery } = require('./visibility');
+const { escapeHtml } = require('../templates/html');
+
+// Global search over the text indexes of tasks, projects, teams and users.
+// Comments are matched through the task index and then picked out of the
+// matching tasks.
+
+const SEARCH_TYPES = ['tasks', 'projects', 'teams', 'users', 'comments'];
+
+// Characters of context kept before the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+const SNIPPET_LENGTH = 200;
+
+// Teams anyone may find in the team directory
+const PUBLIC_TEAM_QUERY = { isActive: true, 'settings.publicVisibility': true };
+
+// Escape text for use as a literal in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words and quoted phrases of a search string, without the negated ones
+// (-word), which are never highlighted
+const getSearchTerms = (search) => {
+  const terms = [];
+  for (const match of search.matchAll(/(-?)"([^"]*)"|(-?)(\S+)/g)) {
+    if (match[1] || match[3]) continue;
+    const term = (match[2] !== undefined ? match[2] : match[4]).trim().replace(/^\W+|\W+$/g, '');
+    if (term) terms.push(term);
+  }
+  return terms;
+};
+
+// Regular expression matching the start of any search term, or null when
+// there is nothing to match. MongoDB stems words, so "run" also finds
+// "running"; matching word starts highlights most of those hits too.
+const getTermPattern = (terms) => {
+  if (terms.length === 0) return null;
+  return new RegExp(`\\b(${terms.map(escapeRegex).join('|')})`, 'i');
+};
+
+// HTML snippet of text around the first match with every match wrapped in
+// <mark>. All other text is escaped.
+const highlight = (text, pattern, maxLength = SNIPPET_LENGTH) => {
+  if (!text) return '';
+
+  const first = pattern ? text.search(pattern) : -1;
+  const start = first > SNIPPET_CONTEXT ? first - SNIPPET_CONTEXT : 0;
+  const end = Math.min(text.length, start + maxLength);
+  const snippet = text.slice(start, end);
+
+  // split() with a capturing group puts the matches at the odd indexes
+  const parts = pattern ? snippet.split(new RegExp(pattern.source, 'gi')) : [snippet];
+  const html = parts
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+};
+
+const TEXT_SCORE = { $meta: 'textScore' };
+
+// Find documents of a model by text search, best matches first
+const findByText = async (Model, search, filter, fields, { skip, limit }, populate) => {
+  const query = { ...filter, $text: { $search: search } };
+  const total = await Model.countDocuments(query);
+  if (limit === 0 || total === 0) return { total, docs: [] };
+
+  let find = Model.find(query)
+    .select({ ...fields, score: TEXT_SCORE })
+    .sort({ score: TEXT_SCORE })
+    .skip(skip)
+    .limit(limit);
+  if (populate) find = find.populate(populate);
+
+  return { total, docs: await find.lean() };
+};
+
+const searchTasks = async (search, user, pattern, page) => {
+  const filter = await getTaskVisibilityQuery(user);
+  const { total, docs } = await findByText(Task, search, filter,
+    { title: 1, description: 1, status: 1, project: 1 }, page, { path: 'project', select: 'name' });
+
+  return {
+    total,
+    results: docs.map(task => ({
+      type: 'task',
+      id: task._id,
+      title: task.title,
+      highlight: { title: highlight(task.title, pattern), text: highlight(task.description, pattern) },
+      context: task.project ? task.project.name : null,
+      score: task.score,
+      link: `/tasks?task=${task._id}`
+    }))
+  };
+};
+
+const searchProjects = async (search, user, pattern, page) => {
+  const filter = await getProjectVisibilityQuery(user);
+  const { total, docs } = await findByText(Project, search, filter,
+    { name: 1, description: 1, status: 1 }, page);
+
+  return {
+    total,
+    results: docs.map(project => ({
+      type: 'project',
+      id: project._id,
+      title: project.name,
+      highlight: { title: highlight(project.name, pattern), text: highlight(project.description, pattern) },
+      context: project.status,
+      score: project.score,
+      link: `/tasks?projectId=${project._id}`
+    }))
+  };
+};
+
+const searchTeams = async (search, user, pattern, page) => {
+  // Besides the teams users may list, public teams are in the directory
+  const visible = getTeamVisibilityQuery(user);
+  const filter = Object.keys(visible).length > 0 ? { $or: [visible, PUBLIC_TEAM_QUERY] } : {};
+  const { total, docs } = await findByText(Team, search, filter,
+    { name: 1, description: 1, 'members.user': 1 }, page);
+
+  const userId = user._id.toString();
+
+  return {
+    total,
+    results: docs.map(team => {
+      const isMember = team.members.some(member => member.user.toString() === userId);
+      return {
+        type: 'team',
+        id: team._id,
+        title: team.name,
+        highlight: { title: highlight(team.name, pattern), text: highlight(team.description, pattern) },
+        context: `${team.members.length} members`,
+        score: team.score,
+        link: isMember ? '/teams' : '/teams/directory'
+      };
+    })
+  };
+};
+
+const searchUsers = async (search, user, pattern, page) => {
+  const { total, docs } = await findByText(User, search, {},
+    { name: 1, email: 1, 'profile.department': 1 }, page);
+
+  return {
+    total,
+    results: docs.map(found => ({
+      type: 'user',
+      id: found._id,
+      title: found.name,
+      highlight: {
+        title: highlight(found.name, pattern),
+        text: highlight([found.email, found.profile && found.profile.department].filter(Boolean).join(' · '), pattern)
+      },
+      context: found.email,
+      score: found.score,
+      link: `/tasks?assignedTo=${found._id}`
+    }))
+  };
+};
+
+// Comments of visible tasks matched by the search. The text index only tells
+// which tasks match, so their comments are filtered by the search terms.
+const searchComments = async (search, user, pattern, { skip, limit }) => {
+  if (!pattern) return { total: 0, results: [] };
+
+  const filter = await getTaskVisibilityQuery(user);
+  const [result] = await Task.aggregate([
+    { $match: { ...filter, $text: { $search: search } } },
+    { $project: { title: 1, comments: 1, score: TEXT_SCORE } },
+    { $unwind: '$comments' },
+    { $match: { 'comments.isDeleted': { $ne: true }, 'comments.comment': pattern } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        docs: [
+          { $sort: { score: -1, 'comments.createdAt': -1 } },
+          { $skip: skip },
+          { $limit: Math.max(limit, 1) }
+        ]
+      }
+    }
+  ]);
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+  const docs = limit === 0 ? [] : result.docs;
+
+  const authors = await User.find({ _id: { $in: docs.map(doc => doc.comments.user) } }).select('name').lean();
+  const authorNames = new Map(authors.map(author => [author._id.toString(), author.name]));
+
+  return {
+    total,
+    results: docs.map(doc => ({
+      type: 'comment',
+      id: doc.comments._id,
+      title: doc.title,
+      highlight: { title: highlight(doc.title, pattern), text: highlight(doc.comments.comment, pattern) },
+      context: authorNames.get(doc.comments.user.toString()) || null,
+      score: doc.score,
+      link: `/tasks?task=${doc._id}`
+    }))
+  };
+};
+
+const SEARCHERS = {
+  tasks: searchTasks,
+  projects: searchProjects,
+  teams: searchTeams,
+  users: searchUsers,
+  comments: searchComments
+};
+
+// Result types a user may search: users need users:read, like the user list
+const getSearchableTypes = (user) => {
+  return SEARCH_TYPES.filter(type => type !== 'users' || can(user, 'read', 'users'));
+};
+
+// Search every type the user may see. Without a type, the best `limit`
+// results of each type are merged by relevance; with one, only that type is
+// returned, a page at a time. Facets always count the matches of every type.
+const search = async (text, user, { type, page = 1, limit = 10 } = {}) => {
+  const types = getSearchableTypes(user);
+  const pattern = getTermPattern(getSearchTerms(text));
+
+  const found = await Promise.all(types.map(searchType => {
+    const paging = !type
+      ? { skip: 0, limit }
+      : searchType === type ? { skip: (page - 1) * limit, limit } : { skip: 0, limit: 0 };
+    return SEARCHERS[searchType](text, user, pattern, paging);
+  }));
+
+  const facets = {};
+  types.forEach((searchType, index) => {
+    facets[searchType] = found[index].total;
+  });
+
+  const results = found
+    .flatMap(({ results: typeResults }) => typeResults)
+    .sort((a, b) => b.score - a.score);
+
+  return { results, facets, total: type ? facets[type] || 0 : null };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  escapeRegex,
+  getSearchTerms,
+  highlight,
+  getSearchableTypes,
+  search
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// lastUsedAt is refreshed at most this often by authenticated requests
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Fields never sent to clients
+const PRIVATE_FIELDS = '-tokenHash -previousTokenHashes';
+
+// How many rotated-out token hashes are kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 100;
+
+const refreshTokenLifetime = () => (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30) * DAY_MS;
+
+// Refresh tokens are only ever stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Short-lived access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
+  );
+};
+
+// Start a new session for a user and issue its first token pair
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: (req.get('user-agent') || '').slice(0, 500),
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + refreshTokenLifetime())
+  });
+
+  return {
+    session,
+    token: generateAccessToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new token pair. The presented token is
+// retired; presenting a retired token again revokes the whole session.
+// Returns { session, token, refreshToken } or { error: { status, message } }.
+const rotateSession = async (refreshToken) => {
+  const now = new Date();
+  const tokenHash = hashToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(nextRefreshToken),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + refreshTokenLifetime())
+      },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return {
+      session,
+      token: generateAccessToken(session.user, session._id),
+      refreshToken: nextRefreshToken
+    };
+  }
+
+  const reusedSession = await Session.findOne({ previousTokenHashes: tokenHash });
+  if (reusedSession) {
+    if (!reusedSession.revokedAt) {
+      await reusedSession.revoke('reuse_detected').save();
+    }
+    return { error: { status: 401, message: 'Refresh token has already been used - session revoked' } };
+  }
+
+  return { error: { status: 401, message: 'Invalid or expired refresh token' } };
+};
+
+// Load the session an access token belongs to, if it is still usable
+const findActiveSession = (sessionId) => {
+  return Session.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Record that a session was just used, without writing on every request
+const touchSession = (session, req) => {
+  const now = new Date();
+  if (now - session.lastUsedAt < TOUCH_INTERVAL_MS) return;
+
+  session.lastUsedAt = now;
+  Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: now, ipAddress: req.ip } })
+    .catch(error => console.error('Session touch error:', error));
+};
+
+// Active sessions of a user, most recently used first
+const listActiveSessions = (userId) => {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select(PRIVATE_FIELDS)
+    .sort({ lastUsedAt: -1 });
+};
+
+// Revoke every active session of a user, optionally keeping one.
+// Returns the number of sessions revoked.
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateSession,
+  findActiveSession,
+  touchSession,
+  listActiveSessions,
+  revokeUserSessions
+};
@@ -0,0 +1,39 @@
+const Setting = require('../models/Setting');
+
+// Settings are read on every authenticated request, so keep a short-lived copy
+const CACHE_TTL_MS = 30 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+
+const getSettings = async () => {
+  if (!cached || Date.now() - cachedAt > CACHE_TTL_MS) {
+    cached = await Setting.getGlobal();
+    cachedAt = Date.now();
+  }
+  return cached;
+};
+
+// Apply changes to the settings document and refresh the cache
+const updateSettings = async (changes, updatedBy) => {
+  const settings = await Setting.getGlobal();
+  settings.set(changes);
+  settings.updatedBy = updatedBy._id;
+  await settings.save();
+
+  cached = settings;
+  cachedAt = Date.now();
+  return settings;
+};
+
+// Whether users with this role must use two-factor authentication
+const isTwoFactorRequired = async (role) => {
+  const settings = await getSettings();
+  return settings.security.twoFactorRequiredRoles.includes(role);
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  isTwoFactorRequired
+};
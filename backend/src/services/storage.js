@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// A storage adapter keeps uploaded files under opaque keys:
+//   save({ key, buffer, contentType }) stores a file
+//   createReadStream(key) returns a readable stream of a stored file
+//   remove(key) deletes a stored file, ignoring files that are already gone
+// Adapters are selected with STORAGE_DRIVER; an S3-compatible adapter only
+// needs to implement the same three methods and be added to ADAPTERS.
+
+// Local disk adapter: stores files under STORAGE_LOCAL_DIR
+const createLocalStorage = () => {
+  const directory = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+
+  // Resolve a key to a path, refusing keys that escape the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    save: async ({ key, buffer }) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, size: buffer.length };
+    },
+    createReadStream: (key) => fs.createReadStream(resolveKey(key)),
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+const ADAPTERS = {
+  local: createLocalStorage
+};
+
+let storage = null;
+
+// Get the adapter selected by STORAGE_DRIVER (local by default)
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = ADAPTERS[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver "${name}"`);
+    }
+    storage = factory();
+  }
+  return storage;
+};
+
+// Build a new storage key for a file attached to an entity, e.g.
+// tasks/<taskId>/<random>.pdf. The original name is kept in the database only.
+const createStorageKey = (folder, entityId, originalName) => {
+  const extension = path.extname(originalName).toLowerCase().replace(/[^a-z0-9.]/g, '');
+  return `${folder}/${entityId}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+};
+
+// Remove the stored files of a list of attachments, logging failures so a
+// missing file never blocks deleting the record that referenced it
+const removeStoredFiles = async (attachments) => {
+  await Promise.all(attachments
+    .filter(attachment => attachment.storageKey)
+    .map(attachment => getStorage().remove(attachment.storageKey).catch((error) => {
+      console.error('Storage remove error:', error);
+    })));
+};
+
+module.exports = {
+  getStorage,
+  createStorageKey,
+  removeStoredFiles
+};
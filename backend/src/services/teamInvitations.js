@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const TeamInvitation = require('../models/TeamInvitation');
+const User = require('../models/User');
+const { hashToken } = require('./sessions');
+const { sendMail } = require('./mailer');
+const { renderTeamInvitationText, renderTeamInvitationHtml } = require('../templates/teamInvitationEmail');
+
+const expiresInDays = () => parseInt(process.env.TEAM_INVITE_EXPIRE_DAYS, 10) || 7;
+
+// Check if a user may invite people to a team: whoever can manage it, and
+// its members when the team allows member invites
+const canInvite = (team, user, canManageTeam) => {
+  return canManageTeam || (team.settings.allowMemberInvite && team.isMember(user._id));
+};
+
+// Create an invitation and email the accept and decline links. A new
+// invitation replaces any pending one for the same email and team.
+const createInvitation = async ({ team, email, invitedBy }) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const days = expiresInDays();
+  const invitedUser = await User.findOne({ email }).select('_id');
+
+  await TeamInvitation.updateMany(
+    { team: team._id, email, status: 'pending' },
+    { $set: { status: 'revoked', respondedAt: new Date() } }
+  );
+
+  const invitation = await TeamInvitation.create({
+    team: team._id,
+    email,
+    invitedUser: invitedUser ? invitedUser._id : undefined,
+    invitedBy: invitedBy._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+
+  const baseUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invitations`;
+  const acceptUrl = `${baseUrl}/accept?token=${token}`;
+  const declineUrl = `${baseUrl}/decline?token=${token}`;
+
+  await sendMail({
+    to: email,
+    subject: `${invitedBy.name} invited you to ${team.name} on Daily Monitoring`,
+    text: renderTeamInvitationText({ team, inviter: invitedBy, acceptUrl, declineUrl, expiresInDays: days }),
+    html: renderTeamInvitationHtml({ team, inviter: invitedBy, acceptUrl, declineUrl, expiresInDays: days })
+  });
+
+  return invitation;
+};
+
+// Find a pending, unexpired invitation by its token
+const findOpenInvitation = (token) => {
+  return TeamInvitation.findOne({
+    tokenHash: hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Answer a pending invitation and return it, or null when it is unknown,
+// expired or already answered. The update is atomic, so a token works only once.
+const respondToInvitation = (token, status) => {
+  const now = new Date();
+  return TeamInvitation.findOneAndUpdate(
+    { tokenHash: hashToken(token), status: 'pending', expiresAt: { $gt: now } },
+    { $set: { status, respondedAt: now } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  canInvite,
+  createInvitation,
+  findOpenInvitation,
+  respondToInvitation
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { hashToken } = require('./sessions');
+
+// TOTP parameters (RFC 6238 defaults understood by all authenticator apps)
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+// Accept codes one step either side of now to allow for clock drift
+const WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = 'Daily Monitoring';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (encoded) => {
+  const bits = encoded
+    .replace(/=+$/, '')
+    .toUpperCase()
+    .split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP value (RFC 4226) for a counter
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** DIGITS);
+  return binary.toString().padStart(DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+// Check a TOTP code; returns the matching time step, or null. Steps at or
+// before `lastUsedStep` are rejected so a code cannot be replayed.
+const verifyTotp = (secret, code, lastUsedStep = -1, now = Date.now()) => {
+  const step = currentStep(now);
+  for (let offset = -WINDOW; offset <= WINDOW; offset++) {
+    const candidate = step + offset;
+    if (candidate <= lastUsedStep) continue;
+
+    const expected = Buffer.from(generateHotp(secret, candidate));
+    const given = Buffer.from(String(code));
+    if (expected.length === given.length && crypto.timingSafeEqual(expected, given)) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Secrets are stored encrypted (AES-256-GCM) with a key derived from
+// TWO_FACTOR_ENCRYPTION_KEY, falling back to JWT_SECRET
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// otpauth:// URI and QR code image (data URL) for authenticator apps
+const buildEnrolment = async (user, secret) => {
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params.toString()}`;
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+// One-time recovery codes: plain codes for the user, hashes for storage
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+const hashRecoveryCode = (code) => hashToken(code.trim().toLowerCase());
+
+// Short-lived token proving the password step of a login succeeded.
+// It carries no session, so authenticateToken never accepts it.
+const createLoginChallenge = (userId) => {
+  return jwt.sign(
+    { userId, purpose: 'two_factor_login' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// User id from a login challenge, or null when it is invalid or expired
+const verifyLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor_login' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  generateSecret,
+  generateHotp,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  buildEnrolment,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  createLoginChallenge,
+  verifyLoginChallenge
+};
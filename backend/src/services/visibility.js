@@ -0,0 +1,55 @@
+const Project = require('../models/Project');
+const Team = require('../models/Team');
+const { can } = require('./permissions');
+
+// Query conditions limiting lists and search results to the records a user
+// may see. Each returns a filter to combine with the other conditions of a query.
+
+// Tasks: everything with tasks:read_all, the tasks of the projects they
+// manage or work on with tasks:read_team, otherwise only their own tasks
+const getTaskVisibilityQuery = async (user) => {
+  if (can(user, 'read_all', 'tasks')) return {};
+
+  if (can(user, 'read_team', 'tasks')) {
+    const userProjects = await Project.find({
+      $or: [
+        { projectManager: user._id },
+        { 'assignedMembers.user': user._id }
+      ]
+    }).select('_id');
+
+    return { project: { $in: userProjects.map(project => project._id) } };
+  }
+
+  return { assignedTo: user._id };
+};
+
+// Projects: everything with projects:read_all, the projects of the teams
+// they lead with projects:read_team, otherwise those they manage or work on
+const getProjectVisibilityQuery = async (user) => {
+  if (can(user, 'read_all', 'projects')) return {};
+
+  if (can(user, 'read_team', 'projects')) {
+    const userTeams = await Team.find({ teamLeader: user._id }).select('_id');
+    return { team: { $in: userTeams.map(team => team._id) } };
+  }
+
+  return {
+    $or: [
+      { 'assignedMembers.user': user._id },
+      { projectManager: user._id }
+    ]
+  };
+};
+
+// Teams: everything with teams:read_all, otherwise the teams they belong to
+const getTeamVisibilityQuery = (user) => {
+  if (can(user, 'read_all', 'teams')) return {};
+  return { 'members.user': user._id };
+};
+
+module.exports = {
+  getTaskVisibilityQuery,
+  getProjectVisibilityQuery,
+  getTeamVisibilityQuery
+};
@@ -0,0 +1,155 @@
+const { can } = require('./permissions');
+const { hasManagementRights } = require('./projectRoles');
+
+// Status categories every workflow status maps onto. The default workflow
+// uses the category names as its status keys, so tasks saved before
+// workflows existed are categorized by their status alone.
+const STATUS_CATEGORIES = ['todo', 'in_progress', 'review', 'completed', 'cancelled'];
+
+// Terminal statuses every workflow must contain
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Roles a transition rule can be restricted to
+const TRANSITION_ROLES = ['project_manager', 'team_leader', 'assignee', 'creator', 'member'];
+
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { key: 'todo', label: 'To Do', category: 'todo', progress: 0, color: 'gray' },
+    { key: 'in_progress', label: 'In Progress', category: 'in_progress', progress: 25, color: 'blue' },
+    { key: 'review', label: 'In Review', category: 'review', progress: 75, color: 'yellow' },
+    { key: 'completed', label: 'Completed', category: 'completed', progress: 100, color: 'green' },
+    { key: 'cancelled', label: 'Cancelled', category: 'cancelled', progress: 0, color: 'red' }
+  ],
+  initialStatus: 'todo',
+  transitions: []
+};
+
+// Get the effective workflow of a project (its own or the default one)
+const getWorkflow = (project) => {
+  if (project && project.workflow && project.workflow.statuses && project.workflow.statuses.length > 0) {
+    return project.workflow;
+  }
+  return DEFAULT_WORKFLOW;
+};
+
+// Check if a project uses the default workflow
+const isDefaultWorkflow = (project) => getWorkflow(project) === DEFAULT_WORKFLOW;
+
+// Find a status definition in a workflow
+const getWorkflowStatus = (workflow, key) => {
+  return workflow.statuses.find(status => status.key === key) || null;
+};
+
+// Build a workflow holding the definitions of the given status keys, for
+// labelling statuses of tasks from several projects. A key takes the
+// definition of the first project workflow that has it, else the default one.
+const getStatusDefinitions = (keys, projects) => {
+  const workflows = [...projects.map(getWorkflow), DEFAULT_WORKFLOW];
+  return {
+    statuses: keys
+      .map(key => workflows.map(workflow => getWorkflowStatus(workflow, key)).find(Boolean))
+      .filter(Boolean)
+  };
+};
+
+// List the status keys of a workflow that fall in the given categories
+const getStatusKeysByCategory = (workflow, categories) => {
+  return workflow.statuses
+    .filter(status => categories.includes(status.category))
+    .map(status => status.key);
+};
+
+// Validate a workflow definition; returns an error message or null
+const validateWorkflowDefinition = (workflow) => {
+  const keys = workflow.statuses.map(status => status.key);
+
+  if (new Set(keys).size !== keys.length) {
+    return 'Workflow status keys must be unique';
+  }
+
+  for (const closed of CLOSED_STATUSES) {
+    const status = getWorkflowStatus(workflow, closed);
+    if (!status || status.category !== closed) {
+      return `Workflow must contain the "${closed}" status in the "${closed}" category`;
+    }
+  }
+
+  const initial = getWorkflowStatus(workflow, workflow.initialStatus);
+  if (!initial) {
+    return 'Initial status must be one of the workflow statuses';
+  }
+  if (CLOSED_STATUSES.includes(initial.category)) {
+    return 'Initial status cannot be a closed status';
+  }
+
+  for (const transition of workflow.transitions || []) {
+    if (transition.from !== '*' && !keys.includes(transition.from)) {
+      return `Transition references unknown status "${transition.from}"`;
+    }
+    if (!keys.includes(transition.to)) {
+      return `Transition references unknown status "${transition.to}"`;
+    }
+  }
+
+  return null;
+};
+
+// Work out which workflow roles a user holds for a task. project_manager
+// includes members whose project role has management rights.
+// Expects task.project to be populated with its team.
+const getActorRoles = (task, user) => {
+  const roles = [];
+  const project = task.project;
+  const userId = user._id.toString();
+
+  if (hasManagementRights(project, user._id)) roles.push('project_manager');
+  if (project.team && project.team.isTeamLeader && project.team.isTeamLeader(user._id)) roles.push('team_leader');
+  if ((task.assignedTo._id || task.assignedTo).toString() === userId) roles.push('assignee');
+  if ((task.assignedBy._id || task.assignedBy).toString() === userId) roles.push('creator');
+  if (project.isAssignedMember(user._id)) roles.push('member');
+
+  return roles;
+};
+
+// Check whether a status change is allowed by the workflow.
+// Returns null when allowed, otherwise { status, message }.
+const checkTransition = (workflow, from, to, user, actorRoles) => {
+  if (!getWorkflowStatus(workflow, to)) {
+    return { status: 400, message: `Status "${to}" is not part of this project's workflow` };
+  }
+
+  const transitions = workflow.transitions || [];
+  if (from === to || transitions.length === 0) return null;
+
+  const rules = transitions.filter(rule => (rule.from === from || rule.from === '*') && rule.to === to);
+  if (rules.length === 0) {
+    return { status: 400, message: `Transition from "${from}" to "${to}" is not allowed` };
+  }
+
+  if (can(user, 'bypass_workflow', 'tasks')) return null;
+
+  const permitted = rules.some(rule =>
+    !rule.roles || rule.roles.length === 0 || rule.roles.some(role => actorRoles.includes(role))
+  );
+
+  if (!permitted) {
+    return { status: 403, message: `You are not allowed to move tasks from "${from}" to "${to}"` };
+  }
+
+  return null;
+};
+
+module.exports = {
+  STATUS_CATEGORIES,
+  CLOSED_STATUSES,
+  TRANSITION_ROLES,
+  DEFAULT_WORKFLOW,
+  getWorkflow,
+  isDefaultWorkflow,
+  getWorkflowStatus,
+  getStatusDefinitions,
+  getStatusKeysByCategory,
+  validateWorkflowDefinition,
+  getActorRoles,
+  checkTransition
+};
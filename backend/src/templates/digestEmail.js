@@ -0,0 +1,89 @@
+// Text and HTML templates for the daily digest email
+
+const { escapeHtml } = require('./html');
+
+const appUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const taskLine = (task) => {
+  const project = task.project ? ` [${task.project.name}]` : '';
+  return `${task.title}${project} - due ${formatDate(task.dueDate)} (${task.priority})`;
+};
+
+const SECTIONS = [
+  { key: 'overdue', title: 'Overdue' },
+  { key: 'dueToday', title: 'Due today' },
+  { key: 'upcoming', title: 'Upcoming (next 7 days)' }
+];
+
+const renderDigestText = (digest) => {
+  const lines = [`Good morning ${digest.user.name},`, '', `Here is your digest for ${formatDate(digest.date)}.`];
+
+  SECTIONS.forEach(section => {
+    const tasks = digest[section.key];
+    lines.push('', `${section.title} (${tasks.length})`);
+    if (tasks.length === 0) {
+      lines.push('  Nothing here.');
+    } else {
+      tasks.forEach(task => lines.push(`  - ${taskLine(task)}`));
+    }
+  });
+
+  digest.teams.forEach(rollup => {
+    lines.push('', `Team ${rollup.team.name}: ${rollup.totals.open} open, ${rollup.totals.overdue} overdue, ${rollup.totals.dueToday} due today`);
+    rollup.members.forEach(member => {
+      lines.push(`  - ${member.user.name}: ${member.open} open, ${member.overdue} overdue, ${member.dueToday} due today`);
+    });
+  });
+
+  lines.push('', `Open your tasks: ${appUrl()}/tasks`);
+  return lines.join('\n');
+};
+
+const renderDigestHtml = (digest) => {
+  const sections = SECTIONS.map(section => {
+    const tasks = digest[section.key];
+    const items = tasks.length === 0
+      ? '<li style="color:#6b7280">Nothing here.</li>'
+      : tasks.map(task => `<li>${escapeHtml(taskLine(task))}</li>`).join('');
+    return `<h3 style="margin:16px 0 4px">${section.title} (${tasks.length})</h3><ul style="margin:0;padding-left:20px">${items}</ul>`;
+  }).join('');
+
+  const teams = digest.teams.map(rollup => {
+    const rows = rollup.members.map(member => `
+        <tr>
+          <td style="padding:4px 8px">${escapeHtml(member.user.name)}</td>
+          <td style="padding:4px 8px;text-align:right">${member.open}</td>
+          <td style="padding:4px 8px;text-align:right;color:${member.overdue > 0 ? '#dc2626' : 'inherit'}">${member.overdue}</td>
+          <td style="padding:4px 8px;text-align:right">${member.dueToday}</td>
+        </tr>`).join('');
+
+    return `
+      <h3 style="margin:16px 0 4px">Team ${escapeHtml(rollup.team.name)}</h3>
+      <table style="border-collapse:collapse;font-size:14px">
+        <tr style="background:#f3f4f6">
+          <th style="padding:4px 8px;text-align:left">Member</th>
+          <th style="padding:4px 8px">Open</th>
+          <th style="padding:4px 8px">Overdue</th>
+          <th style="padding:4px 8px">Due today</th>
+        </tr>${rows}
+      </table>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,sans-serif;color:#111827;font-size:14px">
+    <p>Good morning ${escapeHtml(digest.user.name)},</p>
+    <p>Here is your digest for ${formatDate(digest.date)}.</p>
+    ${sections}
+    ${teams}
+    <p style="margin-top:24px"><a href="${escapeHtml(appUrl())}/tasks">Open your tasks</a></p>
+  </body>
+</html>`;
+};
+
+module.exports = {
+  renderDigestText,
+  renderDigestHtml
+};
@@ -0,0 +1,13 @@
+// Helpers shared by the HTML templates and other HTML rendering
+
+// Escape text for use in HTML content and quoted attributes
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+module.exports = {
+  escapeHtml
+};
@@ -0,0 +1,32 @@
+// Text and HTML templates for the password reset email
+
+const { escapeHtml } = require('./html');
+
+const renderPasswordResetText = ({ user, resetUrl, expiresInMinutes }) => [
+  `Hello ${user.name},`,
+  '',
+  'We received a request to reset the password for your Daily Monitoring account.',
+  `Use the link below within ${expiresInMinutes} minutes to choose a new password:`,
+  '',
+  resetUrl,
+  '',
+  'The link can only be used once. If you did not ask for a reset, you can ignore this email.'
+].join('\n');
+
+const renderPasswordResetHtml = ({ user, resetUrl, expiresInMinutes }) => `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,sans-serif;color:#111827;font-size:14px">
+    <p>Hello ${escapeHtml(user.name)},</p>
+    <p>We received a request to reset the password for your Daily Monitoring account.
+      Use the button below within ${expiresInMinutes} minutes to choose a new password.</p>
+    <p style="margin:24px 0">
+      <a href="${escapeHtml(resetUrl)}" style="background:#2563eb;color:#ffffff;padding:10px 16px;border-radius:6px;text-decoration:none">Reset password</a>
+    </p>
+    <p style="color:#6b7280">The link can only be used once. If you did not ask for a reset, you can ignore this email.</p>
+  </body>
+</html>`;
+
+module.exports = {
+  renderPasswordResetText,
+  renderPasswordResetHtml
+};
@@ -0,0 +1,35 @@
+// Text and HTML templates for the team invitation email
+
+const { escapeHtml } = require('./html');
+
+const renderTeamInvitationText = ({ team, inviter, acceptUrl, declineUrl, expiresInDays }) => [
+  'Hello,',
+  '',
+  `${inviter.name} invited you to join the team "${team.name}" on Daily Monitoring.`,
+  '',
+  'Accept the invitation:',
+  acceptUrl,
+  '',
+  'Decline the invitation:',
+  declineUrl,
+  '',
+  `The invitation expires in ${expiresInDays} days. If you were not expecting it, you can ignore this email.`
+].join('\n');
+
+const renderTeamInvitationHtml = ({ team, inviter, acceptUrl, declineUrl, expiresInDays }) => `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,sans-serif;color:#111827;font-size:14px">
+    <p>Hello,</p>
+    <p>${escapeHtml(inviter.name)} invited you to join the team <strong>${escapeHtml(team.name)}</strong> on Daily Monitoring.</p>
+    <p style="margin:24px 0">
+      <a href="${escapeHtml(acceptUrl)}" style="background:#2563eb;color:#ffffff;padding:10px 16px;border-radius:6px;text-decoration:none">Accept invitation</a>
+      <a href="${escapeHtml(declineUrl)}" style="margin-left:12px;color:#6b7280">Decline</a>
+    </p>
+    <p style="color:#6b7280">The invitation expires in ${expiresInDays} days. If you were not expecting it, you can ignore this email.</p>
+  </body>
+</html>`;
+
+module.exports = {
+  renderTeamInvitationText,
+  renderTeamInvitationHtml
+};
@@ -10,7 +10,14 @@ import Layout from './components/Layout';
 
 // Pages
 import Login from './pages/Login';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import Invitation from './pages/Invitation';
 import Dashboard from './pages/Dashboard';
+import TwoFactorSetup from './pages/TwoFactorSetup';
+import TeamDirectory from './pages/TeamDirectory';
+import Tasks from './pages/Tasks';
+import Search from './pages/Search';
 
 // CSS
 import './index.css';
@@ -34,6 +41,10 @@ function App() {
             <Routes>
               {/* Public routes */}
               <Route path="/login" element={<Login />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/invitations/accept" element={<Invitation mode="accept" />} />
+              <Route path="/invitations/decline" element={<Invitation mode="decline" />} />
               
               {/* Protected routes */}
               <Route path="/dashboard" element={
@@ -44,9 +55,9 @@ function App() {
                 </ProtectedRoute>
               } />
 
-              {/* Admin only routes */}
+              {/* User management routes */}
               <Route path="/users" element={
-                <ProtectedRoute requiredRole="admin">
+                <ProtectedRoute permissions={[['read', 'users']]}>
                   <Layout>
                     <div className="p-6">
                       <h1 className="text-2xl font-bold">Users Management</h1>
@@ -68,9 +79,17 @@ function App() {
                 </ProtectedRoute>
               } />
 
+              <Route path="/teams/directory" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <TeamDirectory />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+
               {/* Project management routes */}
               <Route path="/projects" element={
-                <ProtectedRoute allowedRoles={['admin', 'team_leader']}>
+                <ProtectedRoute permissions={[['read_all', 'projects'], ['read_team', 'projects']]}>
                   <Layout>
                     <div className="p-6">
                       <h1 className="text-2xl font-bold">Projects</h1>
@@ -84,10 +103,15 @@ function App() {
               <Route path="/tasks" element={
                 <ProtectedRoute>
                   <Layout>
-                    <div className="p-6">
-                      <h1 className="text-2xl font-bold">Tasks</h1>
-                      <p className="text-gray-600">Coming soon...</p>
-                    </div>
+                    <Tasks />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+
+              <Route path="/search" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <Search />
                   </Layout>
                 </ProtectedRoute>
               } />
@@ -115,6 +139,14 @@ function App() {
                 </ProtectedRoute>
               } />
 
+              <Route path="/settings/two-factor" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <TwoFactorSetup />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+
               {/* Unauthorized page */}
               <Route path="/unauthorized" element={
                 <div className="min-h-screen flex items-center justify-center bg-gray-50">
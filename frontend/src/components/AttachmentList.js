@@ -0,0 +1,131 @@
+import React, { useRef, useState } from 'react';
+import { toast } from 'react-toastify';
+import { PaperclipIcon, DownloadIcon, TrashIcon, UploadIcon } from 'lucide-react';
+import { formatFileSize } from '../utils/helpers';
+import { formatDateTime } from '../utils/dateUtils';
+
+// Save a downloaded blob under the attachment's name
+const saveBlob = (blob, name) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// Attachments of a task or project. The API calls are passed in so the
+// same list works for both: upload(file), download(attachmentId) returning
+// a blob response, and remove(attachmentId). canDelete(attachment) decides
+// which attachments show a delete button.
+const AttachmentList = ({ attachments = [], upload, download, remove, canDelete = () => false, onChange }) => {
+  const fileInput = useRef(null);
+  const [uploading, setUploading] = useState(false);
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      await upload(file);
+      toast.success('Attachment uploaded');
+      onChange && onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Upload failed');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    if (!attachment.storageKey) {
+      window.open(attachment.url, '_blank', 'noopener,noreferrer');
+      return;
+    }
+
+    try {
+      const response = await download(attachment._id);
+      saveBlob(response.data, attachment.name);
+    } catch (error) {
+      toast.error('Download failed');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.name}?`)) return;
+
+    try {
+      await remove(attachment._id);
+      toast.success('Attachment deleted');
+      onChange && onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to delete attachment');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-medium text-gray-900">Attachments</h3>
+        <button
+          type="button"
+          onClick={() => fileInput.current.click()}
+          disabled={uploading}
+          className="inline-flex items-center text-sm text-blue-600 hover:text-blue-500 disabled:opacity-50"
+        >
+          <UploadIcon className="h-4 w-4 mr-1" />
+          {uploading ? 'Uploading...' : 'Upload'}
+        </button>
+        <input ref={fileInput} type="file" className="hidden" onChange={handleFileSelected} />
+      </div>
+
+      {attachments.length === 0 ? (
+        <p className="text-sm text-gray-500">No attachments yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {attachments.map(attachment => (
+            <li key={attachment._id} className="flex items-center justify-between px-3 py-2 text-sm">
+              <div className="flex items-center min-w-0">
+                <PaperclipIcon className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                <div className="ml-2 min-w-0">
+                  <p className="truncate text-gray-900">{attachment.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {attachment.size ? `${formatFileSize(attachment.size)} · ` : ''}
+                    {attachment.uploadedBy?.name ? `${attachment.uploadedBy.name} · ` : ''}
+                    {formatDateTime(attachment.uploadedAt)}
+                  </p>
+                </div>
+              </div>
+              <div className="flex items-center space-x-2 ml-4">
+                <button
+                  type="button"
+                  onClick={() => handleDownload(attachment)}
+                  className="p-1 text-gray-400 hover:text-gray-600"
+                  title="Download"
+                >
+                  <DownloadIcon className="h-4 w-4" />
+                </button>
+                {canDelete(attachment) && (
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(attachment)}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    title="Delete"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentList;
@@ -11,12 +11,15 @@ import {
   MenuIcon,
   XIcon,
   BellIcon,
-  UserCircleIcon
+  UserCircleIcon,
+  CompassIcon
 } from 'lucide-react';
 import { getInitials, getAvatarColor } from '../utils/helpers';
+import NotificationBell from './NotificationBell';
+import SearchBox from './SearchBox';
 
 const Layout = ({ children }) => {
-  const { user, logout, isAdmin, isTeamLeader } = useAuth();
+  const { user, logout, can } = useAuth();
   const location = useLocation();
   const navigate = useNavigate();
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -28,11 +31,12 @@ const Layout = ({ children }) => {
 
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: HomeIcon, current: location.pathname === '/dashboard' },
-    ...(isAdmin() ? [
+    ...(can('read', 'users') ? [
       { name: 'Users', href: '/users', icon: UsersIcon, current: location.pathname.startsWith('/users') },
     ] : []),
-    { name: 'Teams', href: '/teams', icon: UsersIcon, current: location.pathname.startsWith('/teams') },
-    ...(isTeamLeader() || isAdmin() ? [
+    { name: 'Teams', href: '/teams', icon: UsersIcon, current: location.pathname === '/teams' },
+    { name: 'Team Directory', href: '/teams/directory', icon: CompassIcon, current: location.pathname.startsWith('/teams/directory') },
+    ...(can('read_all', 'projects') || can('read_team', 'projects') ? [
       { name: 'Projects', href: '/projects', icon: FolderIcon, current: location.pathname.startsWith('/projects') },
     ] : []),
     { name: 'Tasks', href: '/tasks', icon: ClipboardListIcon, current: location.pathname.startsWith('/tasks') },
@@ -128,6 +132,7 @@ const Layout = ({ children }) => {
                 <p className="text-sm font-medium text-gray-900">{user?.name}</p>
                 <p className="text-xs text-gray-500 capitalize">{user?.role?.replace('_', ' ')}</p>
               </div>
+              <NotificationBell placement="top" />
               <button
                 onClick={handleLogout}
                 className="ml-2 flex-shrink-0 p-1 text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
@@ -143,14 +148,18 @@ const Layout = ({ children }) => {
       {/* Main content */}
       <div className="md:pl-64 flex flex-col flex-1">
         {/* Top navigation */}
-        <div className="sticky top-0 z-10 md:hidden pl-1 pt-1 sm:pl-3 sm:pt-3 bg-white border-b border-gray-200">
+        <div className="sticky top-0 z-10 pl-1 py-1 sm:pl-3 md:px-6 md:py-3 bg-white border-b border-gray-200 flex items-center space-x-3 pr-4">
           <button
             type="button"
-            className="-ml-0.5 -mt-0.5 h-12 w-12 inline-flex items-center justify-center rounded-md text-gray-500 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500"
+            className="md:hidden -ml-0.5 h-12 w-12 inline-flex flex-shrink-0 items-center justify-center rounded-md text-gray-500 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500"
             onClick={() => setSidebarOpen(true)}
           >
             <MenuIcon className="h-6 w-6" />
           </button>
+          <SearchBox />
+          <div className="md:hidden ml-auto">
+            <NotificationBell placement="bottom" />
+          </div>
         </div>
 
         {/* Page content */}
@@ -0,0 +1,30 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+
+// Markdown rendered by the server. The HTML is sanitized there, so it is
+// safe to insert as is. Links within the app (task cross-links and
+// mentions) navigate without reloading the page.
+const MarkdownContent = ({ html, className = '' }) => {
+  const navigate = useNavigate();
+
+  const handleClick = (e) => {
+    const link = e.target.closest('a');
+    if (!link || e.ctrlKey || e.metaKey || e.shiftKey) return;
+
+    const href = link.getAttribute('href');
+    if (href && href.startsWith('/') && !href.startsWith('//')) {
+      e.preventDefault();
+      navigate(href);
+    }
+  };
+
+  return (
+    <div
+      className={`markdown text-sm text-gray-700 ${className}`}
+      onClick={handleClick}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default MarkdownContent;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { markdownAPI } from '../services/api';
+import MarkdownContent from './MarkdownContent';
+
+// Textarea for Markdown text with a Preview tab. The preview is rendered by
+// the server for the given project, so task cross-links and mentions show
+// exactly as they will once saved.
+const MarkdownEditor = ({ value, onChange, projectId, maxLength, rows = 3, placeholder }) => {
+  const [previewing, setPreviewing] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  const showPreview = async () => {
+    setPreviewing(true);
+    setPreview(null);
+    try {
+      const response = await markdownAPI.preview({ text: value, projectId });
+      setPreview(response.data.data.html);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to render preview');
+      setPreviewing(false);
+    }
+  };
+
+  const tabClass = (active) => `px-2 py-1 text-xs font-medium rounded ${
+    active ? 'bg-gray-100 text-gray-900' : 'text-gray-500 hover:text-gray-700'
+  }`;
+
+  return (
+    <div>
+      <div className="flex space-x-1 mb-1">
+        <button type="button" onClick={() => setPreviewing(false)} className={tabClass(!previewing)}>
+          Write
+        </button>
+        <button type="button" onClick={showPreview} className={tabClass(previewing)}>
+          Preview
+        </button>
+      </div>
+
+      {previewing ? (
+        <div className="min-h-[4rem] px-3 py-2 border border-gray-200 rounded-md">
+          {preview === null ? (
+            <p className="text-sm text-gray-500">Rendering preview...</p>
+          ) : preview ? (
+            <MarkdownContent html={preview} />
+          ) : (
+            <p className="text-sm text-gray-500">Nothing to preview.</p>
+          )}
+        </div>
+      ) : (
+        <textarea
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          maxLength={maxLength}
+          rows={rows}
+          placeholder={placeholder}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        />
+      )}
+      <p className="text-xs text-gray-400">
+        Markdown is supported. Link a task of this project with # and its ID.
+      </p>
+    </div>
+  );
+};
+
+export default MarkdownEditor;
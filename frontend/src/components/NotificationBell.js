@@ -0,0 +1,114 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { BellIcon } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { notificationsAPI } from '../services/api';
+
+// Refresh the unread count every minute
+const POLL_INTERVAL = 60 * 1000;
+
+const NotificationBell = ({ placement = 'top' }) => {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      const response = await notificationsAPI.getAll({ limit: 10 });
+      setNotifications(response.data.data.notifications);
+      setUnreadCount(response.data.data.unreadCount);
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadNotifications();
+    const timer = setInterval(loadNotifications, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [loadNotifications]);
+
+  const handleOpen = () => {
+    if (!open) loadNotifications();
+    setOpen(!open);
+  };
+
+  const handleSelect = async (notification) => {
+    if (!notification.isRead) {
+      try {
+        await notificationsAPI.markRead(notification._id);
+      } catch (error) {
+        console.error('Failed to mark notification as read:', error);
+      }
+    }
+    setOpen(false);
+    loadNotifications();
+    if (notification.link) navigate(notification.link);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationsAPI.markAllRead();
+      loadNotifications();
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={handleOpen}
+        className="relative p-1 text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+        title="Notifications"
+      >
+        <BellIcon className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 inline-flex items-center justify-center h-4 min-w-[1rem] px-1 rounded-full bg-red-600 text-white text-[10px] font-medium">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div
+          className={`absolute z-50 w-80 bg-white rounded-md shadow-lg border border-gray-200 ${
+            placement === 'top' ? 'bottom-full mb-2 left-0' : 'top-full mt-2 right-0'
+          }`}
+        >
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200">
+            <h3 className="text-sm font-medium text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} className="text-xs text-blue-600 hover:text-blue-500">
+                Mark all as read
+              </button>
+            )}
+          </div>
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-center text-gray-500">No notifications yet</p>
+            ) : (
+              notifications.map((notification) => (
+                <button
+                  key={notification._id}
+                  onClick={() => handleSelect(notification)}
+                  className={`w-full text-left px-4 py-3 border-b border-gray-100 hover:bg-gray-50 ${
+                    notification.isRead ? '' : 'bg-blue-50'
+                  }`}
+                >
+                  <p className="text-sm text-gray-900">{notification.message}</p>
+                  <p className="mt-1 text-xs text-gray-500">
+                    {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                  </p>
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
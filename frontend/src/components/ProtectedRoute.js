@@ -2,8 +2,9 @@ import React from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
-const ProtectedRoute = ({ children, requiredRole, allowedRoles }) => {
-  const { isAuthenticated, user, loading } = useAuth();
+// permissions: [action, resource] pairs, any of which grants access
+const ProtectedRoute = ({ children, permissions }) => {
+  const { isAuthenticated, loading, can } = useAuth();
   const location = useLocation();
 
   // Show loading spinner while checking authentication
@@ -20,12 +21,8 @@ const ProtectedRoute = ({ children, requiredRole, allowedRoles }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
-  // Check role-based access
-  if (requiredRole && user?.role !== requiredRole) {
-    return <Navigate to="/unauthorized" replace />;
-  }
-
-  if (allowedRoles && !allowedRoles.includes(user?.role)) {
+  // Check permission-based access
+  if (permissions && !permissions.some(([action, resource]) => can(action, resource))) {
     return <Navigate to="/unauthorized" replace />;
   }
 
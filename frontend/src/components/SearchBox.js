@@ -0,0 +1,38 @@
+import React, { useEffect, useState } from 'react';
+import { useLocation, useNavigate, useSearchParams } from 'react-router-dom';
+import { SearchIcon } from 'lucide-react';
+
+// Header search field; submitting opens the search page
+const SearchBox = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const [value, setValue] = useState('');
+
+  // Keep the field in step with the search page's query
+  useEffect(() => {
+    if (location.pathname === '/search') setValue(searchParams.get('q') || '');
+  }, [location.pathname, searchParams]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const q = value.trim();
+    if (q) navigate(`/search?q=${encodeURIComponent(q)}`);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="relative flex-1 max-w-lg" role="search">
+      <SearchIcon className="absolute left-3 top-2.5 h-4 w-4 text-gray-400" />
+      <input
+        type="search"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        maxLength={100}
+        placeholder="Search tasks, projects, teams, people and comments"
+        className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+      />
+    </form>
+  );
+};
+
+export default SearchBox;
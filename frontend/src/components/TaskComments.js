@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { useAuth } from '../context/AuthContext';
+import { tasksAPI } from '../services/api';
+import { getRelativeTime, formatDateTime } from '../utils/dateUtils';
+import MarkdownContent from './MarkdownContent';
+import MarkdownEditor from './MarkdownEditor';
+
+const CommentForm = ({ projectId, initialValue = '', submitLabel, onSubmit, onCancel }) => {
+  const [value, setValue] = useState(initialValue);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!value.trim()) return;
+
+    setSaving(true);
+    try {
+      await onSubmit(value.trim());
+      setValue('');
+    } catch (error) {
+      // Keep the text so it can be sent again
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <MarkdownEditor
+        value={value}
+        onChange={setValue}
+        projectId={projectId}
+        maxLength={1000}
+        placeholder="Write a comment. Mention people with @ and their email name, e.g. @jane.doe"
+      />
+      <div className="flex justify-end space-x-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800">
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={saving || !value.trim()}
+          className="px-3 py-1 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Threaded comments of a task with replies, editing, deletion and mentions
+const TaskComments = ({ task, canModerate, onChange }) => {
+  const { user } = useAuth();
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [showHistory, setShowHistory] = useState(null);
+
+  const projectId = task.project?._id;
+  const comments = task.comments || [];
+  const repliesOf = (parentId) => comments.filter(comment => (comment.parentComment || null) === parentId);
+
+  const handleError = (fallback) => (error) => {
+    toast.error(error.response?.data?.error?.message || fallback);
+    throw error;
+  };
+
+  const addComment = (comment, parentComment = null) => {
+    return tasksAPI.addComment(task._id, { comment, parentComment })
+      .then(() => {
+        setReplyTo(null);
+        onChange();
+      })
+      .catch(handleError('Failed to add comment'));
+  };
+
+  const updateComment = (commentId, comment) => {
+    return tasksAPI.updateComment(task._id, commentId, { comment })
+      .then(() => {
+        setEditing(null);
+        onChange();
+      })
+      .catch(handleError('Failed to update comment'));
+  };
+
+  const deleteComment = async (commentId) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      await tasksAPI.deleteComment(task._id, commentId);
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to delete comment');
+    }
+  };
+
+  const renderComment = (comment, depth = 0) => {
+    const isAuthor = comment.user?._id === user._id;
+
+    return (
+      <li key={comment._id} className={depth > 0 ? 'ml-6 border-l border-gray-200 pl-4' : ''}>
+        <div className="py-2">
+          <div className="flex items-center text-xs text-gray-500 space-x-2">
+            <span className="font-medium text-gray-900">{comment.isDeleted ? 'Deleted comment' : comment.user?.name}</span>
+            <span title={formatDateTime(comment.createdAt)}>{getRelativeTime(comment.createdAt)}</span>
+            {comment.editedAt && !comment.isDeleted && (
+              <button
+                type="button"
+                onClick={() => setShowHistory(showHistory === comment._id ? null : comment._id)}
+                className="italic hover:underline"
+              >
+                edited
+              </button>
+            )}
+          </div>
+
+          {editing === comment._id ? (
+            <div className="mt-1">
+              <CommentForm
+                projectId={projectId}
+                initialValue={comment.comment}
+                submitLabel="Save"
+                onSubmit={(value) => updateComment(comment._id, value)}
+                onCancel={() => setEditing(null)}
+              />
+            </div>
+          ) : (
+            comment.isDeleted ? (
+              <p className="mt-1 text-sm italic text-gray-400">This comment was deleted.</p>
+            ) : (
+              <MarkdownContent html={comment.commentHtml} className="mt-1" />
+            )
+          )}
+
+          {showHistory === comment._id && comment.history?.length > 0 && (
+            <ul className="mt-2 space-y-1 rounded-md bg-gray-50 p-2 text-xs text-gray-500">
+              {comment.history.map((version, index) => (
+                <li key={index}>
+                  <span className="font-medium">Until {formatDateTime(version.replacedAt)}:</span> {version.comment}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {!comment.isDeleted && editing !== comment._id && (
+            <div className="mt-1 flex space-x-3 text-xs">
+              <button type="button" onClick={() => setReplyTo(comment._id)} className="text-gray-500 hover:text-gray-700">
+                Reply
+              </button>
+              {isAuthor && (
+                <button type="button" onClick={() => setEditing(comment._id)} className="text-gray-500 hover:text-gray-700">
+                  Edit
+                </button>
+              )}
+              {(isAuthor || canModerate) && (
+                <button type="button" onClick={() => deleteComment(comment._id)} className="text-gray-500 hover:text-red-600">
+                  Delete
+                </button>
+              )}
+            </div>
+          )}
+
+          {replyTo === comment._id && (
+            <div className="mt-2">
+              <CommentForm
+                projectId={projectId}
+                submitLabel="Reply"
+                onSubmit={(value) => addComment(value, comment._id)}
+                onCancel={() => setReplyTo(null)}
+              />
+            </div>
+          )}
+        </div>
+
+        {repliesOf(comment._id).length > 0 && (
+          <ul>
+            {repliesOf(comment._id).map(reply => renderComment(reply, depth + 1))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div>
+      <h3 className="text-sm font-medium text-gray-900 mb-2">Comments</h3>
+      {comments.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-2">No comments yet.</p>
+      ) : (
+        <ul className="mb-4">
+          {repliesOf(null).map(comment => renderComment(comment))}
+        </ul>
+      )}
+      <CommentForm projectId={projectId} submitLabel="Comment" onSubmit={(value) => addComment(value)} />
+    </div>
+  );
+};
+
+export default TaskComments;
@@ -0,0 +1,85 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { XIcon } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { tasksAPI } from '../services/api';
+import { getStatusBadge, formatStatus, formatPriority } from '../utils/helpers';
+import { formatDate } from '../utils/dateUtils';
+import AttachmentList from './AttachmentList';
+import MarkdownContent from './MarkdownContent';
+import TaskComments from './TaskComments';
+
+// Side panel with the details of one task
+const TaskDetail = ({ taskId, onClose }) => {
+  const { user, can } = useAuth();
+  const [task, setTask] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadTask = useCallback(async () => {
+    try {
+      const response = await tasksAPI.getById(taskId);
+      setTask(response.data.data.task);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to load task');
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    setTask(null);
+    loadTask();
+  }, [loadTask]);
+
+  // Task creators and users who manage every task can remove anyone's
+  // comments and attachments; the server also allows project managers
+  const canModerate = task && (can('manage_all', 'tasks') || task.assignedBy?._id === user._id);
+
+  const canDeleteAttachment = (attachment) => {
+    return canModerate || attachment.uploadedBy?._id === user._id;
+  };
+
+  return (
+    <div className="fixed inset-y-0 right-0 z-40 w-full max-w-xl bg-white shadow-xl overflow-y-auto">
+      <div className="flex items-start justify-between px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-medium text-gray-900">{task ? task.title : 'Task'}</h2>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" title="Close">
+          <XIcon className="h-5 w-5" />
+        </button>
+      </div>
+
+      <div className="px-6 py-4 space-y-6">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {!task && !error && <p className="text-sm text-gray-500">Loading task...</p>}
+
+        {task && (
+          <>
+            <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+              <span className={getStatusBadge(task.status, task.project?.workflow)}>
+                {formatStatus(task.status, task.project?.workflow)}
+              </span>
+              <span>{formatPriority(task.priority)} priority</span>
+              {task.project?.name && <span>{task.project.name}</span>}
+              {task.dueDate && <span>Due {formatDate(task.dueDate)}</span>}
+            </div>
+
+            {task.description && (
+              <MarkdownContent html={task.descriptionHtml} />
+            )}
+
+            <AttachmentList
+              attachments={task.attachments}
+              upload={(file) => tasksAPI.uploadAttachment(task._id, file)}
+              download={(attachmentId) => tasksAPI.downloadAttachment(task._id, attachmentId)}
+              remove={(attachmentId) => tasksAPI.deleteAttachment(task._id, attachmentId)}
+              canDelete={canDeleteAttachment}
+              onChange={loadTask}
+            />
+
+            <TaskComments task={task} canModerate={canModerate} onChange={loadTask} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaskDetail;
@@ -92,19 +92,20 @@ export const AuthProvider = ({ children }) => {
 
       if (token && savedUser) {
         try {
-          // Verify token is still valid
+          // Verify token is still valid (renewed with the refresh token if expired)
           const response = await authAPI.getCurrentUser();
           
           dispatch({
             type: AUTH_ACTIONS.LOGIN_SUCCESS,
             payload: {
               user: response.data.data.user,
-              token: token,
+              token: localStorage.getItem('token'),
             },
           });
         } catch (error) {
           // Token is invalid
           localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
           localStorage.removeItem('user');
           dispatch({
             type: AUTH_ACTIONS.LOGOUT,
@@ -127,10 +128,22 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: AUTH_ACTIONS.LOGIN_START });
 
       const response = await authAPI.login(credentials);
-      const { user, token } = response.data.data;
+
+      // Password accepted; a TOTP or recovery code is still needed
+      if (response.data.data.twoFactorRequired) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.data.challengeToken,
+        };
+      }
+
+      const { user, token, refreshToken, twoFactorSetupRequired } = response.data.data;
 
       // Save to localStorage
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       localStorage.setItem('user', JSON.stringify(user));
 
       dispatch({
@@ -138,7 +151,7 @@ export const AuthProvider = ({ children }) => {
         payload: { user, token },
       });
 
-      return { success: true, data: { user, token } };
+      return { success: true, data: { user, token, twoFactorSetupRequired } };
     } catch (error) {
       const errorMessage = error.response?.data?.error?.message || 'Login failed';
       dispatch({
@@ -149,16 +162,46 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: verification is { code } or { recoveryCode }
+  const completeTwoFactorLogin = async (challengeToken, verification) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
+      const response = await authAPI.loginTwoFactor(challengeToken, verification);
+      const { user, token, refreshToken } = response.data.data;
+
+      // Save to localStorage
+      localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
+      localStorage.setItem('user', JSON.stringify(user));
+
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: { user, token },
+      });
+
+      return { success: true, data: { user, token } };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 'Verification failed';
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
+        payload: errorMessage,
+      });
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Register function
   const register = async (userData) => {
     try {
       dispatch({ type: AUTH_ACTIONS.LOGIN_START });
 
       const response = await authAPI.register(userData);
-      const { user, token } = response.data.data;
+      const { user, token, refreshToken } = response.data.data;
 
       // Save to localStorage
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       localStorage.setItem('user', JSON.stringify(user));
 
       dispatch({
@@ -186,6 +229,7 @@ export const AuthProvider = ({ children }) => {
     } finally {
       // Clear localStorage and state regardless of API call success
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
       dispatch({ type: AUTH_ACTIONS.LOGOUT });
     }
@@ -217,38 +261,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Check if user has specific role
-  const hasRole = (role) => {
-    return state.user?.role === role;
-  };
-
-  // Check if user has any of the specified roles
-  const hasAnyRole = (roles) => {
-    return roles.includes(state.user?.role);
+  // Check if the user's role grants a permission, e.g. can('read', 'users').
+  // Mirrors the backend check; the API still enforces every permission.
+  const can = (action, resource) => {
+    return Boolean(state.user?.permissions?.includes(`${resource}:${action}`));
   };
 
-  // Check if user is admin
-  const isAdmin = () => hasRole('admin');
-
-  // Check if user is team leader
-  const isTeamLeader = () => hasRole('team_leader');
-
-  // Check if user is member
-  const isMember = () => hasRole('member');
-
   const value = {
     ...state,
     login,
+    completeTwoFactorLogin,
     register,
     logout,
     updateUser,
     clearError,
     changePassword,
-    hasRole,
-    hasAnyRole,
-    isAdmin,
-    isTeamLeader,
-    isMember,
+    can,
   };
 
   return (
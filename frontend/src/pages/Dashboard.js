@@ -11,10 +11,12 @@ import {
   AlertTriangleIcon
 } from 'lucide-react';
 import { formatDate, isOverdue, isDueSoon, getRelativeTime } from '../utils/dateUtils';
-import { getStatusBadge, getPriorityIndicator } from '../utils/helpers';
+import { getStatusBadge, formatStatus, getPriorityIndicator } from '../utils/helpers';
 
 const Dashboard = () => {
-  const { user, isAdmin, isTeamLeader } = useAuth();
+  const { user, can } = useAuth();
+  const canViewProjectStats = can('view_stats', 'projects');
+  const canViewUserStats = can('read', 'users');
   const [stats, setStats] = useState({
     tasks: {},
     projects: {},
@@ -34,8 +36,8 @@ const Dashboard = () => {
       
       const promises = [
         tasksAPI.getStats(),
-        ...(isTeamLeader() || isAdmin() ? [projectsAPI.getStats()] : []),
-        ...(isAdmin() ? [usersAPI.getStats()] : []),
+        ...(canViewProjectStats ? [projectsAPI.getStats()] : []),
+        ...(canViewUserStats ? [usersAPI.getStats()] : []),
         tasksAPI.getMyTasks({ limit: 5, sort: 'dueDate' })
       ];
 
@@ -47,12 +49,12 @@ const Dashboard = () => {
       let myTasks = null;
 
       let index = 1;
-      if (isTeamLeader() || isAdmin()) {
+      if (canViewProjectStats) {
         projectStats = results[index].data.data;
         index++;
       }
       
-      if (isAdmin()) {
+      if (canViewUserStats) {
         userStats = results[index].data.data;
         index++;
       }
@@ -111,8 +113,8 @@ const Dashboard = () => {
             {task.title}
           </p>
           <div className="flex items-center space-x-2 mt-1">
-            <span className={getStatusBadge(task.status)}>
-              {task.status.replace('_', ' ')}
+            <span className={getStatusBadge(task.status, task.project?.workflow)}>
+              {formatStatus(task.status, task.project?.workflow)}
             </span>
             <span className="text-xs text-gray-500">
               {task.project?.name}
@@ -192,7 +194,7 @@ const Dashboard = () => {
             description={stats.tasks.overview?.overdueTasks > 0 ? 'Needs attention' : 'All caught up!'}
           />
 
-          {(isTeamLeader() || isAdmin()) && stats.projects && (
+          {canViewProjectStats && stats.projects && (
             <>
               <StatCard
                 title="Active Projects"
@@ -212,7 +214,7 @@ const Dashboard = () => {
             </>
           )}
 
-          {isAdmin() && stats.users && (
+          {canViewUserStats && stats.users && (
             <>
               <StatCard
                 title="Total Users"
@@ -266,8 +268,8 @@ const Dashboard = () => {
                   {stats.tasks.statusDistribution.map((status) => (
                     <div key={status._id} className="flex items-center justify-between">
                       <div className="flex items-center">
-                        <span className={getStatusBadge(status._id)}>
-                          {status._id.replace('_', ' ')}
+                        <span className={getStatusBadge(status._id, stats.tasks.statusWorkflow)}>
+                          {formatStatus(status._id, stats.tasks.statusWorkflow)}
                         </span>
                       </div>
                       <span className="text-sm font-medium text-gray-900">
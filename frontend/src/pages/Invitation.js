@@ -0,0 +1,244 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { AlertCircleIcon } from 'lucide-react';
+import { invitationsAPI } from '../services/api';
+
+// Landing page of the accept and decline links sent in team invitation emails
+const Invitation = ({ mode = 'accept' }) => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const navigate = useNavigate();
+
+  const [details, setDetails] = useState(null);
+  const [formData, setFormData] = useState({
+    name: '',
+    password: '',
+    confirmPassword: '',
+  });
+  const [isLoading, setIsLoading] = useState(Boolean(token));
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [declined, setDeclined] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!token) return;
+
+    invitationsAPI.get(token)
+      .then((response) => setDetails(response.data.data))
+      .catch((err) => setError(err.response?.data?.error?.message || 'Invitation could not be loaded'))
+      .finally(() => setIsLoading(false));
+  }, [token]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    setError('');
+  };
+
+  const handleAccept = async (e) => {
+    e.preventDefault();
+
+    const payload = { token };
+    if (!details.accountExists) {
+      if (formData.name.trim().length < 2) {
+        setError('Name must be at least 2 characters');
+        return;
+      }
+      if (formData.password.length < 6) {
+        setError('Password must be at least 6 characters');
+        return;
+      }
+      if (formData.password !== formData.confirmPassword) {
+        setError('Passwords do not match');
+        return;
+      }
+      payload.name = formData.name;
+      payload.password = formData.password;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const response = await invitationsAPI.accept(payload);
+      toast.success(`${response.data.message}. Sign in to get started.`);
+      navigate('/login', { replace: true });
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Invitation could not be accepted');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDecline = async () => {
+    setIsSubmitting(true);
+
+    try {
+      await invitationsAPI.decline(token);
+      setDeclined(true);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Invitation could not be declined');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClassName = 'mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm';
+  const buttonClassName = (color) => `group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white ${color} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 ${
+    isSubmitting ? 'opacity-50 cursor-not-allowed' : ''
+  }`;
+
+  const renderContent = () => {
+    if (!token) {
+      return (
+        <div className="rounded-md bg-red-50 p-4 text-sm text-red-700">
+          This invitation link is incomplete. Please ask for a new invitation.
+        </div>
+      );
+    }
+
+    if (isLoading) {
+      return <div className="text-center text-sm text-gray-500">Loading invitation...</div>;
+    }
+
+    if (declined) {
+      return (
+        <div className="rounded-md bg-green-50 p-4 text-sm text-green-700">
+          You declined the invitation to {details.invitation.team.name}.
+        </div>
+      );
+    }
+
+    return (
+      <div className="mt-8 space-y-6">
+        {error && (
+          <div className="rounded-md bg-red-50 p-4">
+            <div className="flex">
+              <div className="flex-shrink-0">
+                <AlertCircleIcon className="h-5 w-5 text-red-400" />
+              </div>
+              <div className="ml-3 text-sm text-red-700">
+                <p>{error}</p>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {details && (
+          <>
+            <div className="rounded-md bg-white p-4 shadow text-sm text-gray-700 space-y-1">
+              <p>
+                <span className="font-medium">{details.invitation.invitedBy.name}</span> invited{' '}
+                <span className="font-medium">{details.invitation.email}</span> to join{' '}
+                <span className="font-medium">{details.invitation.team.name}</span>.
+              </p>
+              {details.invitation.team.description && (
+                <p className="text-gray-500">{details.invitation.team.description}</p>
+              )}
+              <p className="text-xs text-gray-500">
+                Expires {new Date(details.invitation.expiresAt).toLocaleDateString()}
+              </p>
+            </div>
+
+            {mode === 'decline' ? (
+              <button
+                type="button"
+                onClick={handleDecline}
+                disabled={isSubmitting}
+                className={buttonClassName('bg-red-600 hover:bg-red-700')}
+              >
+                {isSubmitting ? 'Declining...' : 'Decline invitation'}
+              </button>
+            ) : (
+              <form className="space-y-6" onSubmit={handleAccept}>
+                {!details.accountExists && (
+                  <div className="space-y-4">
+                    <p className="text-sm text-gray-600">Create your account to join the team.</p>
+                    <div>
+                      <label htmlFor="name" className="block text-sm font-medium text-gray-700">
+                        Full name
+                      </label>
+                      <input
+                        id="name"
+                        name="name"
+                        type="text"
+                        autoComplete="name"
+                        className={inputClassName}
+                        value={formData.name}
+                        onChange={handleChange}
+                        disabled={isSubmitting}
+                      />
+                    </div>
+                    <div>
+                      <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                        Password
+                      </label>
+                      <input
+                        id="password"
+                        name="password"
+                        type="password"
+                        autoComplete="new-password"
+                        className={inputClassName}
+                        value={formData.password}
+                        onChange={handleChange}
+                        disabled={isSubmitting}
+                      />
+                    </div>
+                    <div>
+                      <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">
+                        Confirm password
+                      </label>
+                      <input
+                        id="confirmPassword"
+                        name="confirmPassword"
+                        type="password"
+                        autoComplete="new-password"
+                        className={inputClassName}
+                        value={formData.confirmPassword}
+                        onChange={handleChange}
+                        disabled={isSubmitting}
+                      />
+                    </div>
+                  </div>
+                )}
+
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className={buttonClassName('bg-blue-600 hover:bg-blue-700')}
+                >
+                  {isSubmitting ? 'Joining...' : 'Accept invitation'}
+                </button>
+              </form>
+            )}
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Team invitation
+          </h2>
+        </div>
+
+        {renderContent()}
+
+        <div className="text-center">
+          <Link to="/login" className="text-sm font-medium text-blue-600 hover:text-blue-500">
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Invitation;
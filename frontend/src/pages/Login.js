@@ -11,8 +11,12 @@ const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [errors, setErrors] = useState({});
+  // Set once the password is accepted and a second factor is needed
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [verificationCode, setVerificationCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
-  const { login, isAuthenticated, error, clearError } = useAuth();
+  const { login, completeTwoFactorLogin, isAuthenticated, error, clearError } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -74,16 +78,48 @@ const Login = () => {
 
     try {
       const result = await login(formData);
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+      } else if (result.success) {
+        navigate(result.data.twoFactorSetupRequired ? '/settings/two-factor' : from, { replace: true });
+      }
+    } catch (err) {
+      console.error('Login error:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!verificationCode.trim()) return;
+
+    setIsLoading(true);
+    clearError();
+
+    try {
+      const verification = useRecoveryCode
+        ? { recoveryCode: verificationCode.trim() }
+        : { code: verificationCode.trim() };
+      const result = await completeTwoFactorLogin(challengeToken, verification);
       if (result.success) {
         navigate(from, { replace: true });
       }
     } catch (err) {
-      console.error('Login error:', err);
+      console.error('Two-factor login error:', err);
     } finally {
       setIsLoading(false);
     }
   };
 
+  const handleCancelTwoFactor = () => {
+    setChallengeToken(null);
+    setVerificationCode('');
+    setUseRecoveryCode(false);
+    clearError();
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -114,68 +150,32 @@ const Login = () => {
           </div>
         )}
 
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          <div className="space-y-4">
+        {challengeToken ? (
+          <form className="mt-8 space-y-6" onSubmit={handleTwoFactorSubmit}>
             <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                Email address
+              <label htmlFor="verificationCode" className="block text-sm font-medium text-gray-700">
+                {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
               </label>
+              <p className="mt-1 text-sm text-gray-500">
+                {useRecoveryCode
+                  ? 'Enter one of the recovery codes you saved when setting up two-factor authentication.'
+                  : 'Enter the 6-digit code from your authenticator app.'}
+              </p>
               <input
-                id="email"
-                name="email"
-                type="email"
-                autoComplete="email"
-                className={`mt-1 appearance-none relative block w-full px-3 py-2 border ${
-                  errors.email ? 'border-red-300' : 'border-gray-300'
-                } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm`}
-                placeholder="Enter your email"
-                value={formData.email}
-                onChange={handleChange}
+                id="verificationCode"
+                name="verificationCode"
+                type="text"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                className="mt-2 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                value={verificationCode}
+                onChange={(e) => setVerificationCode(e.target.value)}
                 disabled={isLoading}
               />
-              {errors.email && (
-                <p className="mt-1 text-sm text-red-600">{errors.email}</p>
-              )}
             </div>
 
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                Password
-              </label>
-              <div className="mt-1 relative">
-                <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
-                  className={`appearance-none relative block w-full px-3 py-2 pr-10 border ${
-                    errors.password ? 'border-red-300' : 'border-gray-300'
-                  } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm`}
-                  placeholder="Enter your password"
-                  value={formData.password}
-                  onChange={handleChange}
-                  disabled={isLoading}
-                />
-                <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={() => setShowPassword(!showPassword)}
-                  disabled={isLoading}
-                >
-                  {showPassword ? (
-                    <EyeOffIcon className="h-5 w-5 text-gray-400" />
-                  ) : (
-                    <EyeIcon className="h-5 w-5 text-gray-400" />
-                  )}
-                </button>
-              </div>
-              {errors.password && (
-                <p className="mt-1 text-sm text-red-600">{errors.password}</p>
-              )}
-            </div>
-          </div>
-
-          <div>
             <button
               type="submit"
               disabled={isLoading}
@@ -183,35 +183,134 @@ const Login = () => {
                 isLoading ? 'opacity-50 cursor-not-allowed' : ''
               }`}
             >
-              {isLoading ? (
-                <div className="flex items-center">
-                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                  Signing in...
-                </div>
-              ) : (
-                'Sign in'
-              )}
+              {isLoading ? 'Verifying...' : 'Verify'}
             </button>
-          </div>
 
-          <div className="text-center">
-            <p className="text-sm text-gray-600">
-              Need an account?{' '}
-              <Link to="/register" className="font-medium text-blue-600 hover:text-blue-500">
-                Contact your administrator
-              </Link>
-            </p>
-          </div>
+            <div className="flex justify-between text-sm">
+              <button
+                type="button"
+                className="font-medium text-blue-600 hover:text-blue-500"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setVerificationCode('');
+                }}
+              >
+                {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+              </button>
+              <button
+                type="button"
+                className="font-medium text-gray-600 hover:text-gray-500"
+                onClick={handleCancelTwoFactor}
+              >
+                Back to sign in
+              </button>
+            </div>
+          </form>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                  Email address
+                </label>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  className={`mt-1 appearance-none relative block w-full px-3 py-2 border ${
+                    errors.email ? 'border-red-300' : 'border-gray-300'
+                  } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm`}
+                  placeholder="Enter your email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  disabled={isLoading}
+                />
+                {errors.email && (
+                  <p className="mt-1 text-sm text-red-600">{errors.email}</p>
+                )}
+              </div>
 
-          {/* Demo credentials info */}
-          <div className="rounded-md bg-blue-50 p-4">
-            <div className="text-sm text-blue-700">
-              <p className="font-medium mb-2">Demo Credentials:</p>
-              <p><strong>Admin:</strong> admin@dailymonitoring.com / admin123</p>
-              <p><strong>Note:</strong> The default admin account is created automatically when the system starts.</p>
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                  Password
+                </label>
+                <div className="mt-1 relative">
+                  <input
+                    id="password"
+                    name="password"
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="current-password"
+                    className={`appearance-none relative block w-full px-3 py-2 pr-10 border ${
+                      errors.password ? 'border-red-300' : 'border-gray-300'
+                    } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm`}
+                    placeholder="Enter your password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    disabled={isLoading}
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    onClick={() => setShowPassword(!showPassword)}
+                    disabled={isLoading}
+                  >
+                    {showPassword ? (
+                      <EyeOffIcon className="h-5 w-5 text-gray-400" />
+                    ) : (
+                      <EyeIcon className="h-5 w-5 text-gray-400" />
+                    )}
+                  </button>
+                </div>
+                {errors.password && (
+                  <p className="mt-1 text-sm text-red-600">{errors.password}</p>
+                )}
+                <div className="mt-2 text-right">
+                  <Link to="/forgot-password" className="text-sm font-medium text-blue-600 hover:text-blue-500">
+                    Forgot your password?
+                  </Link>
+                </div>
+              </div>
             </div>
-          </div>
-        </form>
+
+            <div>
+              <button
+                type="submit"
+                disabled={isLoading}
+                className={`group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 ${
+                  isLoading ? 'opacity-50 cursor-not-allowed' : ''
+                }`}
+              >
+                {isLoading ? (
+                  <div className="flex items-center">
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                    Signing in...
+                  </div>
+                ) : (
+                  'Sign in'
+                )}
+              </button>
+            </div>
+
+            <div className="text-center">
+              <p className="text-sm text-gray-600">
+                Need an account?{' '}
+                <Link to="/register" className="font-medium text-blue-600 hover:text-blue-500">
+                  Contact your administrator
+                </Link>
+              </p>
+            </div>
+
+            {/* Demo credentials info */}
+            <div className="rounded-md bg-blue-50 p-4">
+              <div className="text-sm text-blue-700">
+                <p className="font-medium mb-2">Demo Credentials:</p>
+                <p><strong>Admin:</strong> admin@dailymonitoring.com / admin123</p>
+                <p><strong>Note:</strong> The default admin account is created automatically when the system starts.</p>
+              </div>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { ClipboardListIcon, FolderIcon, UsersIcon, UserIcon, MessageSquareIcon } from 'lucide-react';
+import { searchAPI } from '../services/api';
+
+const TYPE_LABELS = {
+  tasks: 'Tasks',
+  projects: 'Projects',
+  teams: 'Teams',
+  users: 'People',
+  comments: 'Comments'
+};
+
+const RESULT_TYPES = {
+  task: { label: 'Task', icon: ClipboardListIcon },
+  project: { label: 'Project', icon: FolderIcon },
+  team: { label: 'Team', icon: UsersIcon },
+  user: { label: 'Person', icon: UserIcon },
+  comment: { label: 'Comment', icon: MessageSquareIcon }
+};
+
+// Results of the global search for the "q" query parameter. "type" limits
+// them to one kind of result, shown a page at a time.
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const q = searchParams.get('q') || '';
+  const type = searchParams.get('type') || '';
+  const page = parseInt(searchParams.get('page'), 10) || 1;
+
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!q.trim()) {
+      setData(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+
+    searchAPI.search({ q, ...(type && { type, page }) })
+      .then(response => {
+        if (!cancelled) setData(response.data.data);
+      })
+      .catch(error => {
+        if (!cancelled) toast.error(error.response?.data?.error?.message || 'Search failed');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [q, type, page]);
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value);
+      else next.delete(key);
+    });
+    setSearchParams(next);
+  };
+
+  const facets = data?.facets || {};
+  const totalResults = Object.values(facets).reduce((sum, count) => sum + count, 0);
+
+  const tabClass = (active) => `px-3 py-1 text-sm rounded-md ${
+    active ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'
+  }`;
+
+  return (
+    <div className="p-6 space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900">
+        {q ? `Search results for "${q}"` : 'Search'}
+      </h1>
+
+      {!q.trim() && <p className="text-gray-500">Type in the search box above to search.</p>}
+
+      {data && (
+        <div className="flex flex-wrap gap-2">
+          <button onClick={() => updateParams({ type: null, page: null })} className={tabClass(!type)}>
+            All ({totalResults})
+          </button>
+          {Object.entries(facets).map(([facet, count]) => (
+            <button key={facet} onClick={() => updateParams({ type: facet, page: null })} className={tabClass(type === facet)}>
+              {TYPE_LABELS[facet]} ({count})
+            </button>
+          ))}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : data && data.results.length === 0 ? (
+        <p className="text-gray-500">Nothing matched your search.</p>
+      ) : data && (
+        <ul className="bg-white shadow rounded-lg divide-y divide-gray-200">
+          {data.results.map(result => {
+            const { label, icon: Icon } = RESULT_TYPES[result.type];
+            return (
+              <li key={`${result.type}-${result.id}`}>
+                <Link to={result.link} className="flex items-start space-x-3 px-4 py-3 hover:bg-gray-50">
+                  <Icon className="mt-0.5 h-5 w-5 flex-shrink-0 text-gray-400" />
+                  <div className="min-w-0 flex-1">
+                    {/* Highlights are escaped by the server, apart from their <mark> tags */}
+                    <p
+                      className="text-sm font-medium text-gray-900 truncate"
+                      dangerouslySetInnerHTML={{ __html: result.highlight.title }}
+                    />
+                    {result.highlight.text && (
+                      <p
+                        className="mt-0.5 text-sm text-gray-600 line-clamp-2"
+                        dangerouslySetInnerHTML={{ __html: result.highlight.text }}
+                      />
+                    )}
+                    <p className="mt-0.5 text-xs text-gray-400">
+                      {label}{result.context ? ` · ${result.context}` : ''}
+                    </p>
+                  </div>
+                </Link>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {data?.pagination && data.pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <button
+            onClick={() => updateParams({ page: page - 1 })}
+            disabled={!data.pagination.hasPrev}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {data.pagination.currentPage} of {data.pagination.totalPages}
+          </span>
+          <button
+            onClick={() => updateParams({ page: page + 1 })}
+            disabled={!data.pagination.hasNext}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Search;
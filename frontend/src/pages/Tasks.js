@@ -0,0 +1,539 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { SearchIcon, XIcon, ColumnsIcon } from 'lucide-react';
+import { tasksAPI, teamsAPI, viewsAPI } from '../services/api';
+import { getStatusBadge, formatStatus, formatPriority, getPriorityIndicator, getWorkflowStatus } from '../utils/helpers';
+import { formatDate } from '../utils/dateUtils';
+import TaskDetail from '../components/TaskDetail';
+
+// Filters of GET /api/tasks that the list and saved views use, under the
+// same names as the query parameters
+const FILTER_PARAMS = ['search', 'status', 'statusCategory', 'priority', 'type', 'projectId', 'assignedTo', 'overdue'];
+
+const STATUS_CATEGORY_OPTIONS = [
+  { value: 'todo', label: 'To Do' },
+  { value: 'in_progress', label: 'In Progress' },
+  { value: 'review', label: 'Review' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+const PRIORITY_OPTIONS = ['low', 'medium', 'high', 'critical'];
+const TYPE_OPTIONS = ['feature', 'bug', 'improvement', 'research', 'testing', 'documentation', 'other'];
+
+const SORT_OPTIONS = [
+  { value: 'createdAt', label: 'Created' },
+  { value: 'updatedAt', label: 'Updated' },
+  { value: 'title', label: 'Title' },
+  { value: 'status', label: 'Status' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'startDate', label: 'Start date' },
+  { value: 'dueDate', label: 'Due date' }
+];
+const DEFAULT_SORT = { field: 'createdAt', order: 'desc' };
+
+// Columns the list can show, in display order
+const COLUMNS = {
+  title: {
+    label: 'Title',
+    render: (task) => <span className="font-medium text-gray-900">{task.title}</span>
+  },
+  status: {
+    label: 'Status',
+    render: (task) => (
+      <span className={getStatusBadge(task.status, task.project?.workflow)}>
+        {formatStatus(task.status, task.project?.workflow)}
+      </span>
+    )
+  },
+  priority: {
+    label: 'Priority',
+    render: (task) => (
+      <span className="inline-flex items-center">
+        <span className={`w-2 h-2 mr-2 rounded-full ${getPriorityIndicator(task.priority)}`} />
+        {formatPriority(task.priority)}
+      </span>
+    )
+  },
+  type: { label: 'Type', render: (task) => <span className="capitalize">{task.type}</span> },
+  project: { label: 'Project', render: (task) => task.project?.name },
+  assignedTo: { label: 'Assignee', render: (task) => task.assignedTo?.name },
+  dueDate: {
+    label: 'Due',
+    render: (task) => (
+      <span className={task.isOverdue ? 'text-red-600' : ''}>{task.dueDate ? formatDate(task.dueDate) : ''}</span>
+    )
+  },
+  progress: { label: 'Progress', render: (task) => `${task.progressPercentage || 0}%` }
+};
+const DEFAULT_COLUMNS = ['title', 'status', 'priority', 'project', 'assignedTo', 'dueDate'];
+
+// Filters, sort order and columns given in the URL
+const readUrlSettings = (params) => ({
+  filters: Object.fromEntries(FILTER_PARAMS.filter(key => params.get(key)).map(key => [key, params.get(key)])),
+  sort: { field: params.get('sort') || DEFAULT_SORT.field, order: params.get('order') || DEFAULT_SORT.order },
+  columns: params.get('columns')
+    ? params.get('columns').split(',').filter(column => COLUMNS[column])
+    : DEFAULT_COLUMNS
+});
+
+// Filters, sort order and columns of a saved view, with filter values as
+// strings like those read from the URL
+const readViewSettings = (view) => ({
+  filters: Object.fromEntries(
+    Object.entries(view.filters || {})
+      .filter(([key, value]) => FILTER_PARAMS.includes(key) && value !== null && value !== '' && value !== false)
+      .map(([key, value]) => [key, String(value)])
+  ),
+  sort: { ...DEFAULT_SORT, ...view.sort },
+  columns: view.columns?.length ? view.columns : DEFAULT_COLUMNS
+});
+
+// URL parameters that describe the given settings
+const toUrlParams = ({ filters, sort, columns }) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  if (sort.field !== DEFAULT_SORT.field || sort.order !== DEFAULT_SORT.order) {
+    params.set('sort', sort.field);
+    params.set('order', sort.order);
+  }
+  if (columns.join(',') !== DEFAULT_COLUMNS.join(',')) {
+    params.set('columns', columns.join(','));
+  }
+  return params;
+};
+
+const SaveViewForm = ({ teams, onSave, onCancel }) => {
+  const [name, setName] = useState('');
+  const [team, setTeam] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSave({ name: name.trim(), team: team || null });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2 p-3 bg-white shadow rounded-lg">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        maxLength={100}
+        placeholder="View name"
+        className="px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        autoFocus
+      />
+      <select
+        value={team}
+        onChange={(e) => setTeam(e.target.value)}
+        className="px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+      >
+        <option value="">Only me</option>
+        {teams.map(t => (
+          <option key={t._id} value={t._id}>Share with {t.name}</option>
+        ))}
+      </select>
+      <button
+        type="submit"
+        disabled={saving || !name.trim()}
+        className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+      >
+        Save view
+      </button>
+      <button type="button" onClick={onCancel} className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800">
+        Cancel
+      </button>
+    </form>
+  );
+};
+
+// Task list with filters, sort order and a choice of columns, all kept in
+// the URL so any list can be linked to. Saved views store these settings by
+// name, for yourself or a team, and open with the "view" query parameter.
+// The task given in the "task" query parameter opens in a side panel, which
+// is where notification links point.
+const Tasks = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedTask = searchParams.get('task');
+  const viewId = searchParams.get('view');
+
+  const [views, setViews] = useState([]);
+  const [teams, setTeams] = useState([]);
+  // Saved view the current settings came from, kept after they are changed
+  // so the view can be updated
+  const [sourceView, setSourceView] = useState(null);
+  const [savingView, setSavingView] = useState(false);
+
+  const [tasks, setTasks] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  const settings = viewId
+    ? (sourceView?._id === viewId ? readViewSettings(sourceView) : null)
+    : readUrlSettings(searchParams);
+  // Settings as a string, so the list only reloads when they really change
+  const settingsKey = settings ? JSON.stringify(settings) : null;
+
+  const loadViews = useCallback(async () => {
+    try {
+      const response = await viewsAPI.getAll();
+      setViews(response.data.data.views);
+    } catch (error) {
+      console.error('Failed to load saved views:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadViews();
+    teamsAPI.getAll({ limit: 100, isActive: true })
+      .then(response => setTeams(response.data.data.teams))
+      .catch(error => console.error('Failed to load teams:', error));
+  }, [loadViews]);
+
+  useEffect(() => {
+    if (!viewId || sourceView?._id === viewId) return;
+
+    viewsAPI.getById(viewId)
+      .then(response => {
+        setSourceView(response.data.data.view);
+        setPage(1);
+      })
+      .catch(error => {
+        toast.error(error.response?.data?.error?.message || 'Failed to open saved view');
+        setSearchParams({});
+      });
+  }, [viewId, sourceView, setSearchParams]);
+
+  const loadTasks = useCallback(async () => {
+    if (!settingsKey) return;
+    const { filters, sort } = JSON.parse(settingsKey);
+
+    try {
+      const response = await tasksAPI.getAll({ page, limit: 20, sort: sort.field, order: sort.order, ...filters });
+      setTasks(response.data.data.tasks);
+      setPagination(response.data.data.pagination);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to load tasks');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, settingsKey]);
+
+  useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
+
+  // Change the settings; the list leaves the saved view it came from
+  const applySettings = (next, options) => {
+    const params = toUrlParams(next);
+    if (selectedTask) params.set('task', selectedTask);
+    setSearchParams(params, options);
+    setPage(1);
+  };
+
+  const updateFilter = (key, value, options) => {
+    applySettings({ ...settings, filters: { ...settings.filters, [key]: value } }, options);
+  };
+
+  const toggleColumn = (column) => {
+    const columns = settings.columns.includes(column)
+      ? settings.columns.filter(c => c !== column)
+      : Object.keys(COLUMNS).filter(c => c === column || settings.columns.includes(c));
+    if (columns.length > 0) applySettings({ ...settings, columns });
+  };
+
+  const openView = (id) => {
+    if (id) {
+      setSearchParams({ view: id });
+    } else {
+      setSourceView(null);
+      setSearchParams({});
+    }
+  };
+
+  // Current settings in the form the API stores them
+  const toViewData = () => ({
+    filters: {
+      ...settings.filters,
+      ...(settings.filters.overdue && { overdue: settings.filters.overdue === 'true' })
+    },
+    sort: settings.sort,
+    columns: settings.columns
+  });
+
+  const saveView = async ({ name, team }) => {
+    try {
+      const response = await viewsAPI.create({ name, team, ...toViewData() });
+      const view = response.data.data.view;
+      toast.success('View saved');
+      setSavingView(false);
+      setSourceView(view);
+      setSearchParams({ view: view._id });
+      loadViews();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to save view');
+    }
+  };
+
+  const updateView = async () => {
+    try {
+      const response = await viewsAPI.update(sourceView._id, toViewData());
+      const view = response.data.data.view;
+      toast.success('View updated');
+      setSourceView(view);
+      setSearchParams({ view: view._id });
+      loadViews();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to update view');
+    }
+  };
+
+  const deleteView = async () => {
+    if (!window.confirm(`Delete the view "${sourceView.name}"?`)) return;
+
+    try {
+      await viewsAPI.delete(sourceView._id);
+      toast.success('View deleted');
+      openView(null);
+      loadViews();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to delete view');
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Failed to copy link');
+    }
+  };
+
+  const openTask = (taskId) => {
+    const next = new URLSearchParams(searchParams);
+    next.set('task', taskId);
+    setSearchParams(next);
+  };
+
+  const closeTask = () => {
+    const next = new URLSearchParams(searchParams);
+    next.delete('task');
+    setSearchParams(next);
+  };
+
+  const selectClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+  const buttonClass = 'px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50';
+
+  // Filters without a control of their own, shown as removable chips. The
+  // names come from the listed tasks.
+  const chips = settings ? [
+    settings.filters.status && {
+      key: 'status',
+      label: `Status: ${formatStatus(
+        settings.filters.status,
+        tasks.find(task => getWorkflowStatus(task.project?.workflow, settings.filters.status))?.project.workflow
+      )}`
+    },
+    settings.filters.projectId && {
+      key: 'projectId',
+      label: `Project: ${tasks.find(task => task.project?._id === settings.filters.projectId)?.project.name || 'selected'}`
+    },
+    settings.filters.assignedTo && {
+      key: 'assignedTo',
+      label: `Assignee: ${tasks.find(task => task.assignedTo?._id === settings.filters.assignedTo)?.assignedTo.name || 'selected'}`
+    }
+  ].filter(Boolean) : [];
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h1 className="text-2xl font-bold text-gray-900">{viewId && sourceView ? sourceView.name : 'Tasks'}</h1>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={viewId || ''} onChange={(e) => openView(e.target.value)} className={selectClass}>
+            <option value="">All tasks</option>
+            {views.map(view => (
+              <option key={view._id} value={view._id}>
+                {view.name}{view.team ? ` (${view.team.name})` : ''}
+              </option>
+            ))}
+          </select>
+          {!viewId && sourceView?.canManage && (
+            <button onClick={updateView} className={buttonClass}>
+              Update "{sourceView.name}"
+            </button>
+          )}
+          {!viewId && (
+            <button onClick={() => setSavingView(true)} className={buttonClass}>
+              Save as view
+            </button>
+          )}
+          {viewId && sourceView?.canManage && (
+            <button onClick={deleteView} className={`${buttonClass} text-red-600`}>
+              Delete view
+            </button>
+          )}
+          <button onClick={copyLink} className={buttonClass}>
+            Copy link
+          </button>
+        </div>
+      </div>
+
+      {savingView && <SaveViewForm teams={teams} onSave={saveView} onCancel={() => setSavingView(false)} />}
+
+      {settings && (
+        <div className="flex flex-wrap items-center gap-3">
+          <div className="relative w-full max-w-xs">
+            <SearchIcon className="absolute left-3 top-2.5 h-4 w-4 text-gray-400" />
+            <input
+              type="text"
+              value={settings.filters.search || ''}
+              onChange={(e) => updateFilter('search', e.target.value, { replace: true })}
+              maxLength={100}
+              placeholder="Search tasks"
+              className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+
+          <select value={settings.filters.statusCategory || ''} onChange={(e) => updateFilter('statusCategory', e.target.value)} className={selectClass}>
+            <option value="">Any status</option>
+            {STATUS_CATEGORY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+
+          <select value={settings.filters.priority || ''} onChange={(e) => updateFilter('priority', e.target.value)} className={selectClass}>
+            <option value="">Any priority</option>
+            {PRIORITY_OPTIONS.map(priority => (
+              <option key={priority} value={priority}>{formatPriority(priority)}</option>
+            ))}
+          </select>
+
+          <select value={settings.filters.type || ''} onChange={(e) => updateFilter('type', e.target.value)} className={`${selectClass} capitalize`}>
+            <option value="">Any type</option>
+            {TYPE_OPTIONS.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+
+          <label className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={settings.filters.overdue === 'true'}
+              onChange={(e) => updateFilter('overdue', e.target.checked ? 'true' : '')}
+              className="mr-2 rounded border-gray-300"
+            />
+            Overdue
+          </label>
+
+          <select
+            value={`${settings.sort.field}:${settings.sort.order}`}
+            onChange={(e) => {
+              const [field, order] = e.target.value.split(':');
+              applySettings({ ...settings, sort: { field, order } });
+            }}
+            className={selectClass}
+          >
+            {SORT_OPTIONS.flatMap(option => [
+              <option key={`${option.value}:asc`} value={`${option.value}:asc`}>{option.label} ↑</option>,
+              <option key={`${option.value}:desc`} value={`${option.value}:desc`}>{option.label} ↓</option>
+            ])}
+          </select>
+
+          <details className="relative">
+            <summary className={`${buttonClass} list-none cursor-pointer inline-flex items-center`}>
+              <ColumnsIcon className="h-4 w-4 mr-1" /> Columns
+            </summary>
+            <div className="absolute z-20 mt-1 w-44 p-2 space-y-1 bg-white border border-gray-200 rounded-md shadow-lg">
+              {Object.entries(COLUMNS).map(([column, { label }]) => (
+                <label key={column} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={settings.columns.includes(column)}
+                    onChange={() => toggleColumn(column)}
+                    className="mr-2 rounded border-gray-300"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </details>
+
+          {chips.map(chip => (
+            <span key={chip.key} className="inline-flex items-center px-2 py-1 text-xs rounded-full bg-blue-50 text-blue-700">
+              {chip.label}
+              <button onClick={() => updateFilter(chip.key, '')} className="ml-1 hover:text-blue-900" title="Remove filter">
+                <XIcon className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {loading || !settings ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : tasks.length === 0 ? (
+        <p className="text-gray-500">No tasks found.</p>
+      ) : (
+        <div className="bg-white shadow rounded-lg overflow-x-auto">
+          <table className="table">
+            <thead className="table-header">
+              <tr>
+                {settings.columns.map(column => (
+                  <th key={column} className="table-header-cell">{COLUMNS[column].label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="table-body">
+              {tasks.map(task => (
+                <tr key={task._id} onClick={() => openTask(task._id)} className="cursor-pointer hover:bg-gray-50">
+                  {settings.columns.map(column => (
+                    <td key={column} className="table-cell">{COLUMNS[column].render(task)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={!pagination.hasPrev}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={!pagination.hasNext}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      {selectedTask && <TaskDetail taskId={selectedTask} onClose={closeTask} />}
+    </div>
+  );
+};
+
+export default Tasks;
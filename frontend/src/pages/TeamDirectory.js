@@ -0,0 +1,280 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { SearchIcon, UsersIcon, CheckIcon, XIcon } from 'lucide-react';
+import { teamsAPI } from '../services/api';
+import { getRelativeTime } from '../utils/dateUtils';
+
+// Public teams anyone can ask to join, and the join requests waiting for
+// the teams the current user leads
+const TeamDirectory = () => {
+  const [teams, setTeams] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [requests, setRequests] = useState([]);
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [joiningTeam, setJoiningTeam] = useState(null);
+  const [joinMessage, setJoinMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadTeams = useCallback(async () => {
+    try {
+      const response = await teamsAPI.getDirectory({ page, limit: 12, sort: 'name', order: 'asc', search });
+      setTeams(response.data.data.teams);
+      setPagination(response.data.data.pagination);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to load the team directory');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, search]);
+
+  const loadRequests = useCallback(async () => {
+    try {
+      const response = await teamsAPI.getJoinRequests({ status: 'pending', limit: 50 });
+      setRequests(response.data.data.requests);
+    } catch (error) {
+      console.error('Failed to load join requests:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTeams();
+  }, [loadTeams]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  const handleSearch = (e) => {
+    setSearch(e.target.value);
+    setPage(1);
+  };
+
+  const handleRequestToJoin = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+
+    try {
+      const response = await teamsAPI.requestToJoin(joiningTeam, joinMessage);
+      toast.success(response.data.message);
+      setJoiningTeam(null);
+      setJoinMessage('');
+      loadTeams();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Join request failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCancel = async (team) => {
+    setBusy(true);
+
+    try {
+      const response = await teamsAPI.cancelJoinRequest(team._id, team.pendingRequest);
+      toast.success(response.data.message);
+      loadTeams();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to cancel join request');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReview = async (request, status) => {
+    setBusy(true);
+
+    try {
+      const response = await teamsAPI.reviewJoinRequest(request.team._id, request._id, { status });
+      toast.success(response.data.message);
+      loadRequests();
+      loadTeams();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to review join request');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderTeamAction = (team) => {
+    if (team.isMember) {
+      return <span className="text-sm text-green-600 font-medium">Member</span>;
+    }
+
+    if (team.pendingRequest) {
+      return (
+        <div className="flex items-center space-x-3">
+          <span className="text-sm text-yellow-600 font-medium">Request pending</span>
+          <button
+            onClick={() => handleCancel(team)}
+            disabled={busy}
+            className="text-sm text-gray-500 hover:text-gray-700"
+          >
+            Cancel
+          </button>
+        </div>
+      );
+    }
+
+    if (joiningTeam === team._id) {
+      return (
+        <form onSubmit={handleRequestToJoin} className="w-full space-y-2">
+          <textarea
+            value={joinMessage}
+            onChange={(e) => setJoinMessage(e.target.value)}
+            maxLength={500}
+            rows={2}
+            placeholder="Message for the team leader (optional)"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          />
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => setJoiningTeam(null)}
+              className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={busy}
+              className="px-3 py-1 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+            >
+              Send request
+            </button>
+          </div>
+        </form>
+      );
+    }
+
+    return (
+      <button
+        onClick={() => {
+          setJoiningTeam(team._id);
+          setJoinMessage('');
+        }}
+        className="px-3 py-1 text-sm font-medium rounded-md text-blue-600 border border-blue-600 hover:bg-blue-50"
+      >
+        Request to join
+      </button>
+    );
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Team Directory</h1>
+        <p className="text-gray-600">Find public teams and ask to join them.</p>
+      </div>
+
+      {requests.length > 0 && (
+        <div className="bg-white shadow rounded-lg">
+          <div className="px-4 py-3 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">Join requests to review</h2>
+          </div>
+          <ul className="divide-y divide-gray-200">
+            {requests.map(request => (
+              <li key={request._id} className="px-4 py-3 flex items-start justify-between">
+                <div>
+                  <p className="text-sm text-gray-900">
+                    <span className="font-medium">{request.user.name}</span> wants to join{' '}
+                    <span className="font-medium">{request.team.name}</span>
+                  </p>
+                  {request.message && (
+                    <p className="mt-1 text-sm text-gray-600">{request.message}</p>
+                  )}
+                  <p className="mt-1 text-xs text-gray-500">{getRelativeTime(request.createdAt)}</p>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleReview(request, 'approved')}
+                    disabled={busy}
+                    className="p-1 rounded-md text-green-600 hover:bg-green-50"
+                    title="Approve"
+                  >
+                    <CheckIcon className="h-5 w-5" />
+                  </button>
+                  <button
+                    onClick={() => handleReview(request, 'rejected')}
+                    disabled={busy}
+                    className="p-1 rounded-md text-red-600 hover:bg-red-50"
+                    title="Reject"
+                  >
+                    <XIcon className="h-5 w-5" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="relative max-w-md">
+        <SearchIcon className="absolute left-3 top-2.5 h-4 w-4 text-gray-400" />
+        <input
+          type="text"
+          value={search}
+          onChange={handleSearch}
+          placeholder="Search teams"
+          className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        />
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : teams.length === 0 ? (
+        <p className="text-gray-500">No public teams found.</p>
+      ) : (
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-2 lg:grid-cols-3">
+          {teams.map(team => (
+            <div key={team._id} className="bg-white shadow rounded-lg p-4 flex flex-col justify-between space-y-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">{team.name}</h3>
+                {team.description && (
+                  <p className="mt-1 text-sm text-gray-600">{team.description}</p>
+                )}
+                <div className="mt-2 flex items-center text-xs text-gray-500 space-x-3">
+                  <span className="flex items-center">
+                    <UsersIcon className="h-4 w-4 mr-1" />
+                    {team.membersCount} {team.membersCount === 1 ? 'member' : 'members'}
+                  </span>
+                  {team.teamLeader && <span>Led by {team.teamLeader.name}</span>}
+                </div>
+              </div>
+              <div className="flex justify-end">
+                {renderTeamAction(team)}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={!pagination.hasPrev}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={!pagination.hasNext}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TeamDirectory;
@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { ShieldCheckIcon, AlertCircleIcon } from 'lucide-react';
+import { authAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const inputClassName = 'block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+const buttonClassName = 'inline-flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50';
+
+const TwoFactorSetup = () => {
+  const { updateUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrolment, setEnrolment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await authAPI.getTwoFactorStatus();
+      setStatus(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to load two-factor status');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  // Run an API action with shared loading and error handling
+  const submit = async (action) => {
+    setIsSubmitting(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Something went wrong');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleStartSetup = () => submit(async () => {
+    const response = await authAPI.setupTwoFactor();
+    setEnrolment(response.data.data);
+    setCode('');
+  });
+
+  const handleVerify = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      const response = await authAPI.verifyTwoFactor(code);
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setEnrolment(null);
+      setCode('');
+      updateUser({ twoFactorEnabled: true });
+      toast.success(response.data.message);
+      await loadStatus();
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      const response = await authAPI.regenerateRecoveryCodes(code);
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setCode('');
+      await loadStatus();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      const response = await authAPI.disableTwoFactor(password, code);
+      setCode('');
+      setPassword('');
+      setRecoveryCodes(null);
+      updateUser({ twoFactorEnabled: false });
+      toast.success(response.data.message);
+      await loadStatus();
+    });
+  };
+
+  if (!status) {
+    return (
+      <div className="p-6 flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 max-w-2xl space-y-6">
+      <div className="flex items-center">
+        <ShieldCheckIcon className="h-6 w-6 text-blue-600 mr-2" />
+        <h1 className="text-2xl font-bold text-gray-900">Two-factor authentication</h1>
+      </div>
+
+      {status.required && !status.enabled && (
+        <div className="rounded-md bg-yellow-50 p-4 text-sm text-yellow-800">
+          Your role requires two-factor authentication. Set it up to continue using the application.
+        </div>
+      )}
+
+      {error && (
+        <div className="rounded-md bg-red-50 p-4 flex text-sm text-red-700">
+          <AlertCircleIcon className="h-5 w-5 text-red-400 mr-2 flex-shrink-0" />
+          <p>{error}</p>
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-lg font-medium text-gray-900">Recovery codes</h2>
+          <p className="mt-1 text-sm text-gray-600">
+            Each code signs you in once if you lose your authenticator. They will not be shown again.
+          </p>
+          <ul className="mt-4 grid grid-cols-2 gap-2 font-mono text-sm">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode} className="bg-gray-50 rounded px-3 py-1">{recoveryCode}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!status.enabled && !enrolment && (
+        <div className="bg-white shadow rounded-lg p-6">
+          <p className="text-sm text-gray-600">
+            Protect your account with a 6-digit code from an authenticator app in addition to your password.
+          </p>
+          <button onClick={handleStartSetup} disabled={isSubmitting} className={`mt-4 ${buttonClassName}`}>
+            Set up two-factor authentication
+          </button>
+        </div>
+      )}
+
+      {enrolment && (
+        <form onSubmit={handleVerify} className="bg-white shadow rounded-lg p-6 space-y-4">
+          <p className="text-sm text-gray-600">
+            Scan this QR code with your authenticator app, or enter the key manually.
+          </p>
+          <img src={enrolment.qrCode} alt="Two-factor QR code" className="h-48 w-48" />
+          <p className="font-mono text-sm break-all bg-gray-50 rounded px-3 py-2">{enrolment.secret}</p>
+          <div>
+            <label htmlFor="code" className="block text-sm font-medium text-gray-700">Code from the app</label>
+            <input
+              id="code"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              className={`mt-1 ${inputClassName}`}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              disabled={isSubmitting}
+            />
+          </div>
+          <button type="submit" disabled={isSubmitting || !code} className={buttonClassName}>
+            Verify and enable
+          </button>
+        </form>
+      )}
+
+      {status.enabled && (
+        <div className="bg-white shadow rounded-lg p-6 space-y-6">
+          <p className="text-sm text-gray-600">
+            Two-factor authentication is on. {status.recoveryCodesRemaining} recovery code(s) left.
+          </p>
+
+          <div>
+            <label htmlFor="currentCode" className="block text-sm font-medium text-gray-700">Current code from the app</label>
+            <input
+              id="currentCode"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              className={`mt-1 ${inputClassName}`}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              disabled={isSubmitting}
+            />
+          </div>
+
+          <form onSubmit={handleRegenerate}>
+            <button type="submit" disabled={isSubmitting || !code} className={buttonClassName}>
+              Generate new recovery codes
+            </button>
+          </form>
+
+          {!status.required && (
+            <form onSubmit={handleDisable} className="border-t border-gray-200 pt-6 space-y-4">
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700">Password</label>
+                <input
+                  id="password"
+                  type="password"
+                  autoComplete="current-password"
+                  className={`mt-1 ${inputClassName}`}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  disabled={isSubmitting}
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={isSubmitting || !code || !password}
+                className="inline-flex justify-center py-2 px-4 border border-red-300 text-sm font-medium rounded-md text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+              >
+                Disable two-factor authentication
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
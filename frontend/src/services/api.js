@@ -24,28 +24,112 @@ api.interceptors.request.use(
   }
 );
 
+// Requests that must never trigger a token refresh
+const NO_REFRESH_URLS = ['/auth/login', '/auth/login/2fa', '/auth/register', '/auth/refresh'];
+
+// Concurrent requests share one refresh call, since each refresh token
+// can only be used once
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
     if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+      if (
+        originalRequest &&
+        !originalRequest._retry &&
+        !NO_REFRESH_URLS.includes(originalRequest.url) &&
+        localStorage.getItem('refreshToken')
+      ) {
+        // Access token expired: renew it once and replay the request.
+        // Another tab may already have renewed it.
+        originalRequest._retry = true;
+        try {
+          const usedToken = originalRequest.headers.Authorization?.split(' ')[1];
+          const currentToken = localStorage.getItem('token');
+          const token = currentToken && currentToken !== usedToken
+            ? currentToken
+            : await refreshAccessToken();
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return api(originalRequest);
+        } catch (refreshError) {
+          clearSession();
+          return Promise.reject(refreshError);
+        }
+      }
+
+      // Token invalid and cannot be renewed
+      clearSession();
+    }
+
+    // Role requires two-factor authentication that is not set up yet
+    if (
+      error.response?.data?.error?.code === 'TWO_FACTOR_SETUP_REQUIRED' &&
+      window.location.pathname !== '/settings/two-factor'
+    ) {
+      window.location.href = '/settings/two-factor';
     }
     return Promise.reject(error);
   }
 );
 
+// Upload one file as multipart form data in the "file" field; the browser
+// sets the multipart content type and boundary
+const uploadFile = (url, file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  return api.post(url, formData);
+};
+
 // Auth API calls
 export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
+  loginTwoFactor: (challengeToken, verification) => api.post('/auth/login/2fa', { challengeToken, ...verification }),
   register: (userData) => api.post('/auth/register', userData),
   getCurrentUser: () => api.get('/auth/me'),
   changePassword: (passwordData) => api.put('/auth/change-password', passwordData),
-  refreshToken: () => api.post('/auth/refresh'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, newPassword) => api.post('/auth/reset-password', { token, newPassword }),
+  refreshToken: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
   logout: () => api.post('/auth/logout'),
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  verifyTwoFactor: (code) => api.post('/auth/2fa/verify', { code }),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+  disableTwoFactor: (password, code) => api.post('/auth/2fa/disable', { password, code }),
+  getSessions: () => api.get('/auth/sessions'),
+  getAccessTokens: () => api.get('/auth/tokens'),
+  createAccessToken: (tokenData) => api.post('/auth/tokens', tokenData),
+  revokeAccessToken: (tokenId) => api.delete(`/auth/tokens/${tokenId}`),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  revokeOtherSessions: () => api.post('/auth/sessions/revoke-others'),
 };
 
 // Users API calls
@@ -57,6 +141,11 @@ export const usersAPI = {
   delete: (id) => api.delete(`/users/${id}`),
   promote: (id) => api.put(`/users/${id}/promote`),
   demote: (id) => api.put(`/users/${id}/demote`),
+  getSessions: (id) => api.get(`/users/${id}/sessions`),
+  forceLogout: (id) => api.post(`/users/${id}/force-logout`),
+  getLoginEvents: (id, params) => api.get(`/users/${id}/login-events`, { params }),
+  unlock: (id) => api.post(`/users/${id}/unlock`),
+  resetTwoFactor: (id) => api.post(`/users/${id}/2fa/reset`),
   getStats: () => api.get('/users/stats'),
 };
 
@@ -69,6 +158,41 @@ export const teamsAPI = {
   delete: (id) => api.delete(`/teams/${id}`),
   addMember: (id, memberData) => api.post(`/teams/${id}/members`, memberData),
   removeMember: (id, userId) => api.delete(`/teams/${id}/members/${userId}`),
+  getInvitations: (id) => api.get(`/teams/${id}/invitations`),
+  invite: (id, email) => api.post(`/teams/${id}/invitations`, { email }),
+  revokeInvitation: (id, invitationId) => api.delete(`/teams/${id}/invitations/${invitationId}`),
+  getDirectory: (params) => api.get('/teams/directory', { params }),
+  getJoinRequests: (params) => api.get('/teams/join-requests', { params }),
+  getTeamJoinRequests: (id, params) => api.get(`/teams/${id}/join-requests`, { params }),
+  requestToJoin: (id, message) => api.post(`/teams/${id}/join-requests`, { message }),
+  reviewJoinRequest: (id, requestId, review) => api.put(`/teams/${id}/join-requests/${requestId}`, review),
+  cancelJoinRequest: (id, requestId) => api.delete(`/teams/${id}/join-requests/${requestId}`),
+};
+
+// Team invitation API calls (public, authorized by the emailed token)
+export const invitationsAPI = {
+  get: (token) => api.get(`/invitations/${token}`),
+  accept: (data) => api.post('/invitations/accept', data),
+  decline: (token) => api.post('/invitations/decline', { token }),
+};
+
+// Markdown API calls
+export const markdownAPI = {
+  preview: (data) => api.post('/markdown/preview', data),
+};
+
+// Search API calls
+export const searchAPI = {
+  search: (params) => api.get('/search', { params }),
+};
+
+// Saved task views API calls
+export const viewsAPI = {
+  getAll: () => api.get('/views'),
+  getById: (id) => api.get(`/views/${id}`),
+  create: (viewData) => api.post('/views', viewData),
+  update: (id, viewData) => api.put(`/views/${id}`, viewData),
+  delete: (id) => api.delete(`/views/${id}`),
 };
 
 // Projects API calls
@@ -80,7 +204,18 @@ export const projectsAPI = {
   delete: (id) => api.delete(`/projects/${id}`),
   addMember: (id, memberData) => api.post(`/projects/${id}/members`, memberData),
   removeMember: (id, userId) => api.delete(`/projects/${id}/members/${userId}`),
+  updateMemberRole: (id, userId, role) => api.put(`/projects/${id}/members/${userId}`, { role }),
   getStats: () => api.get('/projects/stats'),
+  getSchedule: (id) => api.get(`/projects/${id}/schedule`),
+  getWorkflow: (id) => api.get(`/projects/${id}/workflow`),
+  updateWorkflow: (id, workflow) => api.put(`/projects/${id}/workflow`, workflow),
+  resetWorkflow: (id) => api.delete(`/projects/${id}/workflow`),
+  uploadAttachment: (id, file) => uploadFile(`/projects/${id}/attachments`, file),
+  downloadAttachment: (id, attachmentId) => api.get(`/projects/${id}/attachments/${attachmentId}`, { responseType: 'blob' }),
+  deleteAttachment: (id, attachmentId) => api.delete(`/projects/${id}/attachments/${attachmentId}`),
+  getMemberRules: (id) => api.get(`/projects/${id}/member-rules`),
+  updateMemberRules: (id, memberRules) => api.put(`/projects/${id}/member-rules`, memberRules),
+  resetMemberRules: (id) => api.delete(`/projects/${id}/member-rules`),
 };
 
 // Tasks API calls
@@ -92,8 +227,77 @@ export const tasksAPI = {
   update: (id, taskData) => api.put(`/tasks/${id}`, taskData),
   updateProgress: (id, progressData) => api.put(`/tasks/${id}/progress`, progressData),
   addComment: (id, commentData) => api.post(`/tasks/${id}/comments`, commentData),
+  updateComment: (id, commentId, commentData) => api.put(`/tasks/${id}/comments/${commentId}`, commentData),
+  deleteComment: (id, commentId) => api.delete(`/tasks/${id}/comments/${commentId}`),
   delete: (id) => api.delete(`/tasks/${id}`),
   getStats: () => api.get('/tasks/stats'),
+  getDependencies: (id) => api.get(`/tasks/${id}/dependencies`),
+  getSubtasks: (id) => api.get(`/tasks/${id}/subtasks`),
+  addChecklistItem: (id, itemData) => api.post(`/tasks/${id}/checklist`, itemData),
+  updateChecklistItem: (id, itemId, itemData) => api.put(`/tasks/${id}/checklist/${itemId}`, itemData),
+  removeChecklistItem: (id, itemId) => api.delete(`/tasks/${id}/checklist/${itemId}`),
+  getRecurrence: (id) => api.get(`/tasks/${id}/recurrence`),
+  updateRecurrence: (id, recurrenceData) => api.put(`/tasks/${id}/recurrence`, recurrenceData),
+  stopRecurrence: (id) => api.delete(`/tasks/${id}/recurrence`),
+  getTimeEntries: (id) => api.get(`/tasks/${id}/time`),
+  startTimer: (id, timerData) => api.post(`/tasks/${id}/time/start`, timerData),
+  stopTimer: (id, timerData) => api.post(`/tasks/${id}/time/stop`, timerData),
+  addTimeEntry: (id, entryData) => api.post(`/tasks/${id}/time`, entryData),
+  updateTimeEntry: (id, entryId, entryData) => api.put(`/tasks/${id}/time/${entryId}`, entryData),
+  deleteTimeEntry: (id, entryId) => api.delete(`/tasks/${id}/time/${entryId}`),
+  uploadAttachment: (id, file) => uploadFile(`/tasks/${id}/attachments`, file),
+  downloadAttachment: (id, attachmentId) => api.get(`/tasks/${id}/attachments/${attachmentId}`, { responseType: 'blob' }),
+  deleteAttachment: (id, attachmentId) => api.delete(`/tasks/${id}/attachments/${attachmentId}`),
+};
+
+// Time tracking API calls
+export const timeAPI = {
+  getRunning: () => api.get('/time/running'),
+  getTimesheet: (params) => api.get('/time/timesheet', { params }),
+};
+
+// Daily check-ins API calls
+export const checkInsAPI = {
+  getAll: (params) => api.get('/checkins', { params }),
+  getToday: () => api.get('/checkins/today'),
+  getTeam: (teamId, params) => api.get(`/checkins/team/${teamId}`, { params }),
+  create: (checkInData) => api.post('/checkins', checkInData),
+  update: (id, checkInData) => api.put(`/checkins/${id}`, checkInData),
+  delete: (id) => api.delete(`/checkins/${id}`),
+};
+
+// Activity log API calls
+export const activityAPI = {
+  getAll: (params) => api.get('/activity', { params }),
+};
+
+// Notifications API calls
+export const notificationsAPI = {
+  getAll: (params) => api.get('/notifications', { params }),
+  markRead: (id, isRead = true) => api.patch(`/notifications/${id}/read`, { isRead }),
+  markAllRead: () => api.patch('/notifications/read-all'),
+  getPreferences: () => api.get('/notifications/preferences'),
+  updatePreferences: (preferences) => api.patch('/notifications/preferences', preferences),
+};
+
+export const digestAPI = {
+  getPreferences: () => api.get('/digest/preferences'),
+  updatePreferences: (enabled) => api.patch('/digest/preferences', { enabled }),
+  preview: () => api.get('/digest/preview'),
+  send: () => api.post('/digest/send'),
+};
+
+export const settingsAPI = {
+  get: () => api.get('/settings'),
+  updateSecurity: (security) => api.put('/settings/security', security),
+};
+
+export const rolesAPI = {
+  getAll: () => api.get('/roles'),
+  getPermissions: () => api.get('/roles/permissions'),
+  create: (roleData) => api.post('/roles', roleData),
+  update: (key, roleData) => api.put(`/roles/${key}`, roleData),
+  delete: (key) => api.delete(`/roles/${key}`),
 };
 
 export default api;
\ No newline at end of file
@@ -54,10 +54,32 @@ export const priorityColors = {
   },
 };
 
-// Get status badge classes
-export const getStatusBadge = (status, type = 'default') => {
+// Badge colors available to custom project workflow statuses
+export const workflowColors = {
+  gray: 'bg-gray-100 text-gray-800',
+  blue: 'bg-blue-100 text-blue-800',
+  yellow: 'bg-yellow-100 text-yellow-800',
+  green: 'bg-green-100 text-green-800',
+  red: 'bg-red-100 text-red-800',
+  orange: 'bg-orange-100 text-orange-800',
+  purple: 'bg-purple-100 text-purple-800',
+  indigo: 'bg-indigo-100 text-indigo-800',
+  pink: 'bg-pink-100 text-pink-800',
+};
+
+// Find a status definition in a project workflow
+export const getWorkflowStatus = (workflow, status) => {
+  if (!workflow || !workflow.statuses) return null;
+  return workflow.statuses.find((item) => item.key === status) || null;
+};
+
+// Get status badge classes; a project workflow, when given, supplies the color
+export const getStatusBadge = (status, workflow = null) => {
   const baseClasses = 'inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium';
-  const colorClasses = statusColors[status] || statusColors.todo;
+  const definition = getWorkflowStatus(workflow, status);
+  const colorClasses = (definition && workflowColors[definition.color]) ||
+    statusColors[status] ||
+    statusColors.todo;
   
   return clsx(baseClasses, colorClasses);
 };
@@ -76,9 +98,12 @@ export const getRoleBadge = (role) => {
   return clsx(baseClasses, colorClasses);
 };
 
-// Format status text for display
-export const formatStatus = (status) => {
+// Format status text for display; a project workflow, when given, supplies the label
+export const formatStatus = (status, workflow = null) => {
   if (!status) return '';
+
+  const definition = getWorkflowStatus(workflow, status);
+  if (definition) return definition.label;
   
   const statusMap = {
     todo: 'To Do',
@@ -94,7 +119,8 @@ export const formatStatus = (status) => {
     member: 'Member',
   };
   
-  return statusMap[status] || status.charAt(0).toUpperCase() + status.slice(1);
+  const text = status.replace(/_/g, ' ');
+  return statusMap[status] || text.charAt(0).toUpperCase() + text.slice(1);
 };
 
 // Format priority text for display